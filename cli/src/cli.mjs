@@ -83,16 +83,47 @@ const knownOpts = {
   'state'           : Boolean,
   'merged'          : String,
   'revert'          : Boolean,
+  'saveSnapshot'    : String,
+  'restoreSnapshot' : String,
+  'deleteSnapshot'  : String,
+  'snapshots'       : Boolean,
+  'scope'           : String,                 // For snapshots: group, global, ~<group> or a userId
   'latency'         : [ Number, Array ],
-  'mode'            : [ "default", "box" ],
+  'latencyProfile'  : String,                 // JSON-encoded
+  'mode'            : [ "default", "box", "stateful" ],
   'method'          : String,
   'result'          : String,                 // JSON-encoded
   'errCode'         : Number,
   'errMsg'          : String,
+  'fault'           : [ "drop", "delay", "malformed", "wrongId", "duplicate", "close", "none" ],
+  'faultPercent'    : Number,
+  'faultDelay'      : Number,
+  'route'           : [ "mock", "proxy", "conduit", "shadow", "none" ],
   'upload'          : String,
   'event'           : String,
   'broadcastEvent'  : String,
+  'eventExample'    : String,
   'sequence'        : String,
+  'repeat'          : Boolean,
+  'loopCount'       : Number,
+  'loopDelay'       : Number,
+  'dryRun'          : Boolean,
+  'sequences'       : Boolean,
+  'cancelSequence'  : String,
+  'eventHistory'    : Boolean,
+  'replayEvent'     : String,
+  'scheduleEvent'   : String,
+  'at'              : String,
+  'intervalMs'      : Number,
+  'cron'            : String,
+  'count'           : Number,
+  'schedules'       : Boolean,
+  'cancelSchedule'  : String,
+  'callProvider'    : String,
+  'params'          : String,                 // JSON-encoded
+  'timeoutMs'       : Number,
+  'shadowReport'    : Boolean,
+  'clearShadowReport' : Boolean,
   'session'         : String,
   'sessionOutput'   : String,
   'sessionOutputPath' :  String,
@@ -109,13 +140,17 @@ const shortHands = {
   'hc'  : [ '--healthcheck' ],
   's'   : [ '--state' ],
   'v'   : [ '--revert' ],
+  'ss'  : [ '--saveSnapshot' ],
+  'rs'  : [ '--restoreSnapshot' ],
   'l'   : [ '--latency' ],
+  'lp'  : [ '--latencyProfile' ],
   'mo'  : [ '--mode' ],
   'mg'  : [ '--merged' ],
   'm'   : [ '--method' ],
   'r'   : [ '--result' ],
   'ec'  : [ '--errCode' ],
   'em'  : [ '--errMsg' ],
+  'f'   : [ '--fault' ],
   'u'   : [ '--upload' ],
   'e'   : [ '--event' ],
   'be'  : [ '--broadcastEvent' ],
@@ -213,6 +248,119 @@ if ( parsed.help ) {
       logError(error);
     });
 
+} else if ( parsed.saveSnapshot ) {
+
+  const name = parsed.saveSnapshot;
+  msg(`Saving state snapshot ${name}${parsed.scope ? ` (scope: ${parsed.scope})` : ''}...`);
+  axios.post(url(host, port, `/api/v1/state/snapshots/${encodeURIComponent(name)}`), undefined, { params: { scope: parsed.scope } })
+    .then(function (response) {
+      console.log('Response received for saving state snapshot for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.restoreSnapshot ) {
+
+  const name = parsed.restoreSnapshot;
+  msg(`Restoring state snapshot ${name}${parsed.scope ? ` (scope: ${parsed.scope})` : ''}...`);
+  axios.post(url(host, port, `/api/v1/state/snapshots/${encodeURIComponent(name)}/restore`), undefined, { params: { scope: parsed.scope } })
+    .then(function (response) {
+      console.log('Response received for restoring state snapshot for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.deleteSnapshot ) {
+
+  const name = parsed.deleteSnapshot;
+  msg(`Deleting state snapshot ${name}${parsed.scope ? ` (scope: ${parsed.scope})` : ''}...`);
+  axios.delete(url(host, port, `/api/v1/state/snapshots/${encodeURIComponent(name)}`), { params: { scope: parsed.scope } })
+    .then(function (response) {
+      console.log('Response received for deleting state snapshot for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.snapshots ) {
+
+  msg(`Listing state snapshots${parsed.scope ? ` (scope: ${parsed.scope})` : ''}...`);
+  axios.get(url(host, port, '/api/v1/state/snapshots'), { params: { scope: parsed.scope } })
+    .then(function (response) {
+      console.log('Response received for listing state snapshots for user', userId, ':', JSON.stringify(response.data.snapshots, null, 4));
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.method && parsed.fault ) {
+
+  const method = parsed.method;
+  if ( parsed.fault === 'none' ) {
+    msg(`Clearing fault for ${method}...`);
+    axios.delete(url(host, port, `/api/v1/state/method/${method}/fault`))
+      .then(function (response) {
+        console.log('Response received for clearing method fault for user', userId, ':', response.data);
+      })
+      .catch(function (error) {
+        logError(error);
+      });
+  } else {
+    const fault = { type: parsed.fault };
+    if ( parsed.faultPercent !== undefined ) { fault.percent = parsed.faultPercent; }
+    if ( parsed.faultDelay !== undefined ) { fault.delayMs = parsed.faultDelay; }
+    msg(`Setting fault for ${method} to ${JSON.stringify(fault)}...`);
+    axios.post(url(host, port, `/api/v1/state/method/${method}/fault`), {
+        fault: fault
+      })
+      .then(function (response) {
+        console.log('Response received for setting method fault for user', userId, ':', response.data);
+      })
+      .catch(function (error) {
+        logError(error);
+      });
+  }
+
+} else if ( parsed.method && parsed.route ) {
+
+  // With --method, a method name or glob (e.g., 'authentication.*'); See docs/ProxyMode.md
+  const method = parsed.method;
+  const route = ( parsed.route === 'none' ? null : parsed.route );
+  msg(( route ? `Routing calls matching ${method} to ${route}...` : `Removing routing rule for ${method}...` ));
+  axios.post(url(host, port, '/api/v1/state/routing'), {
+      routing: { [method]: route }
+    })
+    .then(function (response) {
+      console.log('Response received for setting routing rule for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.latencyProfile ) {
+
+  // With --method, the method (e.g., device.type) or module (e.g., device) the profile is for
+  let profile;
+  try {
+    profile = JSON.parse(parsed.latencyProfile);
+  } catch ( ex ) {
+    console.log(`ERROR: --latencyProfile must be valid JSON (e.g., '{"type":"normal","mean":200,"stddev":50}'): ${ex.message}`);
+    process.exit(1);
+  }
+  const target = parsed.method;
+  msg(`Setting ${target ? `latency profile for ${target}` : 'global latency profile'} to ${JSON.stringify(profile)}...`);
+  axios.post(url(host, port, '/api/v1/state/global/latency'), {
+      latency: ( target ? { [target]: profile } : profile )
+    })
+    .then(function (response) {
+      console.log('Response received for setting latency profile for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
 } else if ( parsed.method && parsed.latency ) {
 
   const method = parsed.method;
@@ -428,9 +576,15 @@ if ( parsed.help ) {
     } else {
       seqevent = JSON.parse(sEvent);
     }
-    msg(`Sending sequence of events based on file ${eventFile}...`);
-
-      axios.post(url(host, port, '/api/v1/sequence'), {seqevent : seqevent})
+    // The file can contain just the steps or an object with the steps (seqevent) and options (repeat, loopCount, loopDelay)
+    const body = ( Array.isArray(seqevent) ? { seqevent: seqevent } : seqevent );
+    if ( parsed.repeat ) { body.repeat = true; }
+    if ( parsed.loopCount !== undefined ) { body.loopCount = parsed.loopCount; }
+    if ( parsed.loopDelay !== undefined ) { body.loopDelay = parsed.loopDelay; }
+    if ( parsed.dryRun ) { body.dryRun = true; }
+    msg(`${parsed.dryRun ? 'Validating' : 'Sending'} sequence of events based on file ${eventFile}...`);
+
+      axios.post(url(host, port, '/api/v1/sequence'), body)
       .then(function (response) {
         console.log('Response received for sending sequence of events for user', userId, ':', response.data);
       })
@@ -443,6 +597,158 @@ if ( parsed.help ) {
     console.log(ex);
   }
 
+} else if ( parsed.sequences ) {
+
+  msg(`Listing sequences...`);
+  axios.get(url(host, port, '/api/v1/sequence'))
+    .then(function (response) {
+      console.log('Response received for listing sequences for user', userId, ':', JSON.stringify(response.data.sequences, null, 4));
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.cancelSequence ) {
+
+  const id = parsed.cancelSequence;
+  msg(`Cancelling sequence ${id}...`);
+  axios.delete(url(host, port, `/api/v1/sequence/${encodeURIComponent(id)}`))
+    .then(function (response) {
+      console.log('Response received for cancelling sequence for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.eventExample ) {
+
+  const method = parsed.eventExample;
+  msg(`Getting example event for ${method}...`);
+  axios.get(url(host, port, `/api/v1/event/${encodeURIComponent(method)}/example`))
+    .then(function (response) {
+      // Printed as-is, so it can be saved as an event file for --event
+      console.log(JSON.stringify(response.data.event, null, 2));
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.eventHistory ) {
+
+  msg(`Listing event history...`);
+  axios.get(url(host, port, '/api/v1/events/history'))
+    .then(function (response) {
+      console.log('Response received for listing event history for user', userId, ':', JSON.stringify(response.data.events, null, 4));
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.shadowReport ) {
+
+  msg(`Getting shadow mode report...`);
+  axios.get(url(host, port, '/api/v1/shadow/report'))
+    .then(function (response) {
+      console.log('Response received for getting shadow mode report for user', userId, ':', JSON.stringify(response.data.report, null, 4));
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.clearShadowReport ) {
+
+  msg(`Clearing shadow mode report...`);
+  axios.delete(url(host, port, '/api/v1/shadow/report'))
+    .then(function (response) {
+      console.log('Response received for clearing shadow mode report for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.replayEvent ) {
+
+  const id = parsed.replayEvent;
+  msg(`Replaying event ${id}...`);
+  axios.post(url(host, port, `/api/v1/events/history/${encodeURIComponent(id)}/replay`))
+    .then(function (response) {
+      console.log('Response received for replaying event for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.scheduleEvent ) {
+  // With one of --at, --intervalMs or --cron (and optionally --count)
+  const eventFile = parsed.scheduleEvent;
+  try {
+    const sEvent = fs.readFileSync(path.resolve(__dirname, eventFile), {encoding:'utf8', flag:'r'});
+    let event;
+    if ( eventFile.endsWith('yaml') || eventFile.endsWith('yml') ) {
+      event = yaml.load(sEvent);
+    } else {
+      event = JSON.parse(sEvent);
+    }
+    msg(`Scheduling event based on file ${eventFile}...`);
+    axios.post(url(host, port, '/api/v1/event/schedule'), {
+        method: event.method,
+        result: event.result,
+        at: parsed.at,
+        intervalMs: parsed.intervalMs,
+        cron: parsed.cron,
+        count: parsed.count
+      })
+      .then(function (response) {
+        console.log('Response received for scheduling event for user', userId, ':', JSON.stringify(response.data.schedule, null, 4));
+      })
+      .catch(function (error) {
+        logError(error);
+      });
+  } catch ( ex ) {
+    console.log(`ERROR: File ${eventFile} is either missing or contains invalid JSON or YAML`);
+    console.log(ex);
+  }
+
+} else if ( parsed.schedules ) {
+
+  msg(`Listing event schedules...`);
+  axios.get(url(host, port, '/api/v1/event/schedule'))
+    .then(function (response) {
+      console.log('Response received for listing event schedules for user', userId, ':', JSON.stringify(response.data.schedules, null, 4));
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.cancelSchedule ) {
+
+  const id = parsed.cancelSchedule;
+  msg(`Cancelling event schedule ${id}...`);
+  axios.delete(url(host, port, `/api/v1/event/schedule/${encodeURIComponent(id)}`))
+    .then(function (response) {
+      console.log('Response received for cancelling event schedule for user', userId, ':', response.data);
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
+} else if ( parsed.callProvider ) {
+
+  // Without --params, the params from the method's first example are sent
+  const method = parsed.callProvider;
+  msg(`Calling ${method} on the app and waiting for its response...`);
+  axios.post(url(host, port, '/api/v1/provider/call'), {
+      method: method,
+      params: ( parsed.params ? JSON.parse(parsed.params) : undefined ),
+      timeoutMs: parsed.timeoutMs
+    })
+    .then(function (response) {
+      console.log('Response received for calling', method, 'for user', userId, ':', JSON.stringify(response.data.call, null, 4));
+    })
+    .catch(function (error) {
+      logError(error);
+    });
+
 } else if ( parsed.session || parsed.sessionOutput || parsed.sessionOutputPath) {
   if ( parsed.session && parsed.session == 'start' ) {
     msg(`Starting session...`);
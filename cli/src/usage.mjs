@@ -29,18 +29,48 @@ const lines = [
   { cmdInfo: "--health",                                                                  comment: "Performs health check on Mock Firebolt" },
   { cmdInfo: "--state",                                                                   comment: "Asks Mock Firebolt to dump its state; handy for debugging" },
   { cmdInfo: "--revert",                                                                  comment: "Go back to the way things were when server started (w.r.t. state)" },
+  { cmdInfo: "--saveSnapshot newSubscriber",                                              comment: "Save a named snapshot of the current state" },
+  { cmdInfo: "--restoreSnapshot newSubscriber",                                           comment: "Replace the current state with a named snapshot" },
+  { cmdInfo: "--deleteSnapshot newSubscriber",                                            comment: "Delete a named snapshot" },
+  { cmdInfo: "--snapshots",                                                               comment: "List the names of all saved snapshots" },
+  { cmdInfo: "--saveSnapshot newSubscriber --scope group",                                comment: "With --scope (group, global, ~<group> or a userId), any of the above for another scope" },
   { cmdInfo: "--latency 0",                                                               comment: "Set min and max latency values to given value" },
   { cmdInfo: "--latency 50 --latency 100",                                                comment: "Set min and max latency values to given values; min 1st, max 2nd" },
   { cmdInfo: "--method device.type --latency 3000",                                       comment: "Set min and max latency values to given value for given method" },
   { cmdInfo: "--method device.type --latency 2500 --latency 3500",                        comment: "Set min and max latency values to given values for given method; min 1st, max 2nd" },
+  { cmdInfo: "--latencyProfile '{\"type\":\"normal\",\"mean\":200,\"stddev\":50}'",       comment: "Set global latency profile (fixed, uniform, normal or percentile); See docs/Latency.md" },
+  { cmdInfo: "--method device --latencyProfile '{\"type\":\"fixed\",\"value\":500}'",     comment: "Set latency profile for given module (or method, e.g., device.type)" },
   { cmdInfo: "--mode default",                                                            comment: "Set mode to DEFAULT; mock overrides used first, OpenRPC examples second" },
   { cmdInfo: "--mode box",                                                                comment: "Set mode to BOX; Only OpenRPC examples used/returned. Overrides unused" },
+  { cmdInfo: "--mode stateful",                                                           comment: "Set mode to STATEFUL; Like DEFAULT, but setters change what getters return and fire change events" },
   { cmdInfo: "--method account.id --result \"'111'\"",                                    comment: "Set result for given method the next time it is called" },
   { cmdInfo: "--method device.id --errCode -32888 --errMsg \"Sad day for you\"",          comment: "Set error code & msg for method" },
+  { cmdInfo: "--method account.session --fault drop --faultPercent 25",                   comment: "Never respond to 25% of calls to given method (so they time out)" },
+  { cmdInfo: "--method account.session --fault delay --faultDelay 30000",                 comment: "Respond to calls to given method after 30 seconds" },
+  { cmdInfo: "--method device.id --fault malformed",                                      comment: "Other faults: malformed (JSON), wrongId, duplicate (response) and close (socket)" },
+  { cmdInfo: "--method device.id --fault none",                                           comment: "Stop injecting faults into responses for given method" },
+  { cmdInfo: "--method 'authentication.*' --route proxy",                                 comment: "Route calls to methods matching glob to the proxy (or mock, conduit or shadow)" },
+  { cmdInfo: "--method 'authentication.*' --route none",                                  comment: "Remove routing rule for given method or glob" },
   { cmdInfo: "--upload ../examples/slow.json  ",                                          comment: "See examples/ directory for, uh, examples" },
-  { cmdInfo: "--event ../examples/device-onDeviceNameChanged1.event.json",                comment: "Send event (method, result keys expected)" },
+  { cmdInfo: "--event ../examples/device-onDeviceNameChanged1.event.json",                comment: "Send event (method, result keys expected; Without a result, the event's example result is sent)" },
   { cmdInfo: "--broadcastEvent ../examples/device-onDeviceNameChanged1.event.json",       comment: "Send BroadcastEvent (method, result keys expected)" },
+  { cmdInfo: "--eventExample device.onNameChanged",                                       comment: "Print an example event (method, result) generated from the OpenRPC metadata; Events sent without a result get this result" },
+  { cmdInfo: "--eventHistory",                                                            comment: "List the events recently sent to the app (with their ids)" },
+  { cmdInfo: "--replayEvent <id>",                                                        comment: "Send an event from the event history again" },
+  { cmdInfo: "--scheduleEvent <event file> --intervalMs 60000",                           comment: "Send an event (file like for --event) every minute until cancelled (or --count times)" },
+  { cmdInfo: "--scheduleEvent <event file> --cron '0 6 * * *'",                           comment: "Send an event at 6AM daily (cron: minute hour day-of-month month day-of-week)" },
+  { cmdInfo: "--scheduleEvent <event file> --at '{{+15s|x}}'",                            comment: "Send an event once, at an ISO time or magic date/time (See docs/MockResponses.md)" },
+  { cmdInfo: "--schedules",                                                               comment: "List event schedules (with their ids)" },
+  { cmdInfo: "--cancelSchedule <id>",                                                     comment: "Cancel an event schedule" },
   { cmdInfo: "--sequence ../examples/events1.sequence.json  ",                            comment: "Send an event sequence (See examples/device-onDeviceNameChanged.sequence.json)" },
+  { cmdInfo: "--sequence ../examples/lifecycle-soak.sequence.json --loopCount 10",        comment: "Send an event sequence and run through it 10 times (or --repeat: until cancelled)" },
+  { cmdInfo: "--sequence ../examples/events1.sequence.json --dryRun",                     comment: "Validate an event sequence (event results and registration) without sending anything" },
+  { cmdInfo: "--sequences",                                                               comment: "List running and recently finished sequences (with their ids)" },
+  { cmdInfo: "--cancelSequence <id>",                                                     comment: "Cancel a running sequence" },
+  { cmdInfo: "--callProvider Keyboard.standard --params '{\"message\":\"Name?\"}'",       comment: "Call a method the app provides and wait for its response (validated against the toApp spec)" },
+  { cmdInfo: "--callProvider PinChallenge.challenge --timeoutMs 60000",                   comment: "Same, sending the params from the method's first example and waiting up to 60s" },
+  { cmdInfo: "--shadowReport",                                                            comment: "Show how mock responses differed from real ones (shadow mode; see docs/ProxyMode.md)" },
+  { cmdInfo: "--clearShadowReport",                                                       comment: "Clear the shadow mode report" },
   { cmdInfo: "--session start/stop  ",                                                    comment: "Start/Stop Firebolt session recording" },
   { cmdInfo: "--sessionOutput log|raw|mock-overrides|live|server  ",                      comment: "Set the output format to; log: (paired time sequence of calls, responses)|raw: similiar to log but not paired with request|mock-overrides: a directory of mock overrides|live: log messages as they are received in real time - can also be a websocket url (live only)|server: Connect to MF Session WS Server to receive live session messages. Supports either generic or user-specific connections." },
   { cmdInfo: "--sessionOutputPath ../examples/path  ",                                    comment: "Specifiy the session output path. Default for 'log' format will be ./output/sessions and ./output/mocks/<START_TIME> for 'mock-overrides'. Can also be a websocket url" },
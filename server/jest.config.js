@@ -26,6 +26,7 @@ module.exports = {
     './src/**/*.mjs',
     '!./src/conduitKeys.mjs',
     '!./src/conduit.mjs',
+    '!./src/sandboxWorker.mjs',
     '!**<rootDir>/server/node_modules/**'
   ],
   coveragePathIgnorePatterns: [
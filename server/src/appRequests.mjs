@@ -0,0 +1,103 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Requests sent by Mock Firebolt to apps (e.g., events in bidirectional mode), tracked per socket so the
+// apps' JSON-RPC responses can be matched back to them
+//
+// Each tracked request settles (its Promise resolves; it never rejects) with an outcome like:
+//   { status: 'acked', result: <result>, responseTimeMs: 12 }
+//   { status: 'errored', error: { code: -32601, message: '...' }, responseTimeMs: 12 }
+//   { status: 'timed-out', responseTimeMs: 5000 }
+//   { status: 'closed' }                                       ( the socket closed before the app responded )
+
+'use strict';
+
+import { logger } from './logger.mjs';
+
+let nextId = 1; // Ids of requests sent to apps; Shared by all requests so responses can't be mistaken for each other
+
+// Keys are web sockets, values are Maps of request ids to pending requests ({ method, sentAt, timer, resolve })
+const pendingRequests = new WeakMap();
+
+function getPending(ws) {
+  if ( ! pendingRequests.has(ws) ) {
+    pendingRequests.set(ws, new Map());
+  }
+  return pendingRequests.get(ws);
+}
+
+function settle(ws, id, outcome) {
+  const pending = getPending(ws);
+  const request = pending.get(id);
+  if ( ! request ) { return; }
+  clearTimeout(request.timer);
+  pending.delete(id);
+  request.resolve(outcome);
+}
+
+function nextRequestId() {
+  return nextId++;
+}
+
+// Call just after sending the request with the given id on the given socket; Returns a Promise of the outcome
+function trackRequest(ws, id, method, timeoutMs) {
+  return new Promise((resolve) => {
+    const sentAt = Date.now();
+    const timer = setTimeout(() => {
+      logger.info(`No response from app to request ${id} (${method}) within ${timeoutMs}ms`);
+      settle(ws, id, { status: 'timed-out', responseTimeMs: Date.now() - sentAt });
+    }, timeoutMs);
+    getPending(ws).set(id, { method, sentAt, timer, resolve });
+  });
+}
+
+// Is the given message (from an app) a JSON-RPC response rather than a request or notification?
+function isResponseMessage(oMsg) {
+  return ( oMsg !== null && typeof oMsg === 'object' && ! ( 'method' in oMsg ) && 'id' in oMsg && ( 'result' in oMsg || 'error' in oMsg ) );
+}
+
+// Returns true if the given message is a response to a request tracked for the given socket (settling the request)
+function handleResponse(ws, oMsg) {
+  if ( ! isResponseMessage(oMsg) ) { return false; }
+  const request = getPending(ws).get(oMsg.id);
+  if ( ! request ) { return false; }
+  const responseTimeMs = Date.now() - request.sentAt;
+  if ( 'error' in oMsg ) {
+    logger.info(`App responded to request ${oMsg.id} (${request.method}) with an error: ${JSON.stringify(oMsg.error)}`);
+    settle(ws, oMsg.id, { status: 'errored', error: oMsg.error, responseTimeMs });
+  } else {
+    logger.debug(`App acknowledged request ${oMsg.id} (${request.method})`);
+    settle(ws, oMsg.id, { status: 'acked', result: oMsg.result, responseTimeMs });
+  }
+  return true;
+}
+
+// Settles all requests pending for the given socket (e.g., when it closes)
+function cancelRequests(ws) {
+  Array.from(getPending(ws).keys()).forEach((id) => settle(ws, id, { status: 'closed' }));
+}
+
+function getPendingCount(ws) {
+  return getPending(ws).size;
+}
+
+// --- Exports ---
+
+export {
+  nextRequestId, trackRequest, isResponseMessage, handleResponse, cancelRequests, getPendingCount
+};
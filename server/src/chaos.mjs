@@ -0,0 +1,165 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Chaos scheduling: Drop web socket connections, pause heartbeats and refuse upgrades on a schedule,
+// so app reconnect logic can be tested against flaky sockets
+//
+// Settings (via POST /api/v1/chaos or "chaos" in .mf.config.json) look like:
+//   {
+//     dropConnections: { everyMs: 60000, users: [ '123~A' ] },                              ( users defaults to all users )
+//     pauseHeartbeats: { minIntervalMs: 30000, maxIntervalMs: 300000, durationMs: 90000 },
+//     refuseUpgrades:  { everyMs: 120000, durationMs: 20000 }
+//   }
+// Each action runs every everyMs ms or at random intervals between minIntervalMs and maxIntervalMs ms
+
+'use strict';
+
+import * as userManagement from './userManagement.mjs';
+import * as util from './util.mjs';
+import * as commonErrors from './commonErrors.mjs';
+import { logger } from './logger.mjs';
+
+const actionNames = [ 'dropConnections', 'pauseHeartbeats', 'refuseUpgrades' ];
+
+let settings;                   // Current settings, or undefined if chaos isn't running
+const timers = {};              // Keys are action names, values are timers for the next run of each action
+let heartbeatsPausedUntil = 0;  // Timestamps (ms)
+let upgradesRefusedUntil = 0;
+
+function isObject(val) {
+  return ( val !== null && typeof val === 'object' && ! Array.isArray(val) );
+}
+
+function isNonNegativeNumber(val) {
+  return ( typeof val === 'number' && val >= 0 );
+}
+
+// Returns array of error strings
+function validateChaos(oChaos) {
+  if ( ! isObject(oChaos) ) {
+    return [ 'ERROR: Chaos settings must be an object' ];
+  }
+  const errors = [];
+  for ( const [actionName, spec] of Object.entries(oChaos) ) {
+    if ( ! actionNames.includes(actionName) ) {
+      errors.push(`ERROR: Unknown chaos action '${actionName}'; Expected one of ${actionNames.join(', ')}`);
+      continue;
+    }
+    if ( ! isObject(spec) ) {
+      errors.push(`ERROR: Chaos action ${actionName} must be an object`);
+      continue;
+    }
+    if ( 'everyMs' in spec ) {
+      if ( ! ( isNonNegativeNumber(spec.everyMs) && spec.everyMs > 0 ) ) {
+        errors.push(`ERROR: Chaos action ${actionName} has an invalid 'everyMs' value; Expected a number > 0`);
+      }
+    } else if ( ! ( isNonNegativeNumber(spec.minIntervalMs) && isNonNegativeNumber(spec.maxIntervalMs) && spec.minIntervalMs <= spec.maxIntervalMs && spec.maxIntervalMs > 0 ) ) {
+      errors.push(`ERROR: Chaos action ${actionName} needs either an 'everyMs' value or 'minIntervalMs' and 'maxIntervalMs' values (min <= max)`);
+    }
+    if ( actionName !== 'dropConnections' && ! isNonNegativeNumber(spec.durationMs) ) {
+      errors.push(`ERROR: Chaos action ${actionName} needs a 'durationMs' value >= 0`);
+    }
+    if ( 'users' in spec && ( actionName !== 'dropConnections' || ! Array.isArray(spec.users) ) ) {
+      errors.push(`ERROR: Chaos action ${actionName} has an invalid 'users' value; Expected an array of userIds (for dropConnections only)`);
+    }
+  }
+  return errors;
+}
+
+function dropConnections(spec) {
+  const userIds = spec.users || userManagement.getUsers();
+  logger.info(`Chaos: Dropping web socket connections for ${spec.users ? `user(s) ${userIds.join(', ')}` : 'all users'}`);
+  userIds.forEach((userId) => { userManagement.closeAllConnections(userId); });
+}
+
+function pauseHeartbeats(spec) {
+  logger.info(`Chaos: Pausing heartbeats for ${spec.durationMs}ms`);
+  heartbeatsPausedUntil = Date.now() + spec.durationMs;
+}
+
+function refuseUpgrades(spec) {
+  logger.info(`Chaos: Refusing web socket upgrades for ${spec.durationMs}ms`);
+  upgradesRefusedUntil = Date.now() + spec.durationMs;
+}
+
+const actions = { dropConnections, pauseHeartbeats, refuseUpgrades };
+
+function getNextIntervalMs(spec) {
+  return ( 'everyMs' in spec ? spec.everyMs : util.randomIntFromInterval(spec.minIntervalMs, spec.maxIntervalMs) );
+}
+
+function scheduleAction(actionName) {
+  const spec = settings[actionName];
+  timers[actionName] = setTimeout(() => {
+    actions[actionName](spec);
+    scheduleAction(actionName);
+  }, getNextIntervalMs(spec));
+  timers[actionName].unref(); // Chaos alone shouldn't keep the server running
+}
+
+// Replaces any current settings; Throws DataValidationError if the settings are invalid
+function startChaos(oChaos) {
+  const errors = validateChaos(oChaos);
+  if ( errors.length > 0 ) {
+    throw new commonErrors.DataValidationError(errors);
+  }
+  stopChaos();
+  settings = JSON.parse(JSON.stringify(oChaos));
+  Object.keys(settings).forEach(scheduleAction);
+  logger.info(`Chaos: Started with settings ${JSON.stringify(settings)}`);
+}
+
+function stopChaos() {
+  Object.keys(timers).forEach((actionName) => {
+    clearTimeout(timers[actionName]);
+    delete timers[actionName];
+  });
+  if ( settings ) {
+    logger.info('Chaos: Stopped');
+  }
+  settings = undefined;
+  heartbeatsPausedUntil = 0;
+  upgradesRefusedUntil = 0;
+}
+
+function isHeartbeatPaused() {
+  return ( Date.now() < heartbeatsPausedUntil );
+}
+
+function isRefusingUpgrades() {
+  return ( Date.now() < upgradesRefusedUntil );
+}
+
+function getChaosStatus() {
+  return {
+    running: ( settings !== undefined ),
+    settings: settings,
+    heartbeatsPaused: isHeartbeatPaused(),
+    refusingUpgrades: isRefusingUpgrades()
+  };
+}
+
+// --- Exports ---
+
+export const testExports = {
+  actions, timers
+};
+
+export {
+  validateChaos, startChaos, stopChaos, isHeartbeatPaused, isRefusingUpgrades, getChaosStatus
+};
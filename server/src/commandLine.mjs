@@ -35,6 +35,8 @@ import { mergeArrayOfStrings } from './util.mjs';
 //   node index.mjs --developerToolName "My MF" ...          (Use custom developer tool name (default: "Mock Firebolt"))
 //   node index.mjs --triggers <path1> --triggers <path2>    (Load triggers from files in these paths)
 //   node index.mjs --novalidate <opt1> --novalidate <opt2>  (does not validate options provided by user)
+//   node index.mjs --sandbox                                (Run override functions and trigger files in a sandbox)
+//   node index.mjs --stateFile <path>                       (Persist state to this .json or .db (SQLite) file and reload it at startup)
 
 const knownOpts = {
   'httpPort'             : Number,
@@ -48,7 +50,14 @@ const knownOpts = {
   'triggers'             : [String, Array],
   'novalidate'           : [String, Array],
   'proxy'                : String,
-  'multiUserConnections': String
+  'proxyHeader'          : [String, Array],
+  'proxyCa'              : String,
+  'proxyInsecure'        : Boolean,
+  'record'               : String,
+  'shadow'               : Boolean,
+  'multiUserConnections': String,
+  'sandbox'              : Boolean,
+  'stateFile'            : String
 };
 
 const allSdks = [
@@ -94,7 +103,6 @@ const conduitSocketPort = parsed.conduitSocketPort || config.app.conduitSocketPo
 const conduitKeySocketPort = parsed.conduitKeySocketPort || config.app.conduitKeySocketPort;
 const developerToolPort = parsed.developerToolPort || config.app.developerToolPort;
 const developerToolName = parsed.developerToolName || config.app.developerToolName;
-const proxy = parsed.proxy;
 const conduit = parsed.conduit;
 
 // Overriding multiUserConnections, if a configurartion, eg: allow/warn/deny (case-insensitive) is passed via CLI on starting MF server
@@ -107,6 +115,77 @@ if(/allow/i.test(multiUserConnections) || /warn/i.test(multiUserConnections) ||
 // --- novalidate overrides
 config.validate = mergeArrayOfStrings(config.validate, config.dotConfig.validate, parsed.novalidate)
 
+// --- Sandbox settings from .mf.config.json, with the --sandbox flag taking precedence for enabling it
+config.sandbox = { ...config.sandbox, ...config.dotConfig.sandbox };
+if ( parsed.sandbox !== undefined ) {
+  config.sandbox.enabled = parsed.sandbox;
+}
+if ( config.sandbox.enabled ) {
+  logger.info(`Override functions and trigger files will run in a sandbox (CPU limit ${config.sandbox.cpuTimeoutMs}ms, timeout ${config.sandbox.timeoutMs}ms, memory limit ${config.sandbox.memoryLimitMb}MB)`);
+}
+
+// --- State persistence, via the --stateFile flag OR "stateFile" (and optionally "stateFileFormat") in .mf.config.json
+config.stateFile = parsed.stateFile || config.dotConfig.stateFile;
+config.stateFileFormat = config.dotConfig.stateFileFormat;
+if ( config.stateFileFormat && ! [ 'json', 'sqlite' ].includes(config.stateFileFormat.toLowerCase()) ) {
+  logger.error(`ERROR: Invalid stateFileFormat "${config.stateFileFormat}"; Must be json or sqlite`);
+  process.exit(1);
+}
+
+// --- Proxy mode, via the --proxy flag (the proxy server) OR "proxy" (with a "url") in .mf.config.json
+// --proxyHeader, --proxyCa and --proxyInsecure add to or override the rest of the "proxy" settings
+const dotConfigProxy = config.dotConfig.proxy || {};
+config.proxy = {
+  ...config.proxy,
+  ...dotConfigProxy,
+  reconnect: { ...config.proxy.reconnect, ...dotConfigProxy.reconnect }
+};
+if ( parsed.proxy ) {
+  config.proxy.url = parsed.proxy;
+}
+( parsed.proxyHeader || [] ).forEach((header) => {
+  // Each like "Authorization: Bearer xxx"
+  const idx = header.indexOf(':');
+  if ( idx <= 0 ) {
+    logger.error(`ERROR: Invalid --proxyHeader "${header}"; Expected "<name>: <value>"`);
+    process.exit(1);
+  }
+  config.proxy.headers = { ...config.proxy.headers, [header.slice(0, idx).trim()]: header.slice(idx + 1).trim() };
+});
+if ( parsed.proxyCa ) {
+  config.proxy.ca = parsed.proxyCa;
+}
+if ( parsed.proxyInsecure ) {
+  config.proxy.rejectUnauthorized = false;
+}
+const proxy = config.proxy.url;
+if ( proxy && config.proxy.rejectUnauthorized === false ) {
+  logger.warn('WARNING: TLS certificates of the proxy server will not be verified');
+}
+
+// --- Shadow mode (see shadow.mjs), via the --shadow flag OR "shadow": true in .mf.config.json
+config.shadow = !!( parsed.shadow || config.dotConfig.shadow );
+if ( config.shadow ) {
+  if ( proxy ) {
+    logger.info('Calls will be answered by the mock and also passed through to the proxy server, to compare the responses (shadow mode)');
+  } else {
+    logger.warn('WARNING: Shadow mode only works in proxy mode (--proxy); Calls will only be mocked');
+  }
+}
+
+// --- Recording in proxy mode, via the --record flag (the output path) OR "proxyRecording" in .mf.config.json
+config.proxyRecording = { ...config.proxyRecording, ...config.dotConfig.proxyRecording };
+if ( parsed.record ) {
+  config.proxyRecording.outputPath = parsed.record;
+}
+if ( config.proxyRecording.outputPath ) {
+  if ( proxy ) {
+    logger.info(`Proxied responses and events will be recorded to ${config.proxyRecording.outputPath}`);
+  } else {
+    logger.warn('WARNING: Recording only happens in proxy mode (--proxy); Nothing will be recorded');
+  }
+}
+
 // --- Enabled SDKs specified via any SDK command-line flags OR via .mf.config.json file
 
 // Convert boolean flags for any SDKs into a simple map/dict/obj
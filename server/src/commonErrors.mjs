@@ -37,6 +37,26 @@ class DataValidationError extends Error {
   }
 }
 
+// Thrown by Mock Firebolt if/when an override function or trigger running in the sandbox fails, times out, or
+// runs out of memory; The code is the JSON-RPC "Internal error" code so the error can be returned to the app as-is
+class SandboxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SandboxError';
+    this.code = -32603;
+  }
+}
+
+// Thrown by Mock Firebolt if/when the proxy server or Conduit doesn't respond to a forwarded call in time (see requestCorrelator.mjs)
+// Like SandboxError, the code is the JSON-RPC "Internal error" code so the error can be returned to the app as-is
+class RequestTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RequestTimeoutError';
+    this.code = -32603;
+  }
+}
+
 export {
-  FireboltError, DataValidationError
+  FireboltError, DataValidationError, SandboxError, RequestTimeoutError
 }
@@ -22,19 +22,25 @@
 
 import WebSocket, { WebSocketServer } from 'ws';
 import { config } from './config.mjs';
-import * as userManagement from './userManagement.mjs';
 import * as stateManagement from './stateManagement.mjs';
 import * as events from './events.mjs';
 import * as conduitKeys from './conduitKeys.mjs';
 import * as commandLine from './commandLine.mjs';
+import { createCaseAgnosticMethod } from './util.mjs';
+import { createCorrelator } from './requestCorrelator.mjs';
+
+const DEFAULT_CONDUIT_TIMEOUT_MS = 3000;
 
 
 let heartbeatInterval;    // JS Interval ID for heartbeat feature
 let conduitWs;            // WebSocket used by Conduit to talk to Mock Firebolt
 let conduitWss;
+let conduitUserId;        // Given by Conduit in its initial handshake; Events forwarded from Conduit go to this user
 
-// Will (temporarily) hold Firebolt responses sent via the Conduit socket to a client
-const fireboltResponses = {};  // openRpcMsg.id -> response via Conduit from a real Firebolt on a real device
+// Matches Firebolt responses sent via the Conduit socket (from a real Firebolt on a real device) to the calls sent to it
+// Calls from all users' apps share the Conduit socket, so each call sent gets its own id (see sendMessageToConduit)
+const fireboltResponses = createCorrelator('Conduit');
+let nextConduitCallId = 1;
 
 const conduitSocketPort = commandLine.conduitSocketPort;
 
@@ -77,9 +83,8 @@ if (commandLine.conduit) {
   
     conduitWs.on('close', function socketClose(code, reason) {
       console.log(`Conduit WebSocket Close: ${code}: ${reason}`);
-      for (const prop of Object.getOwnPropertyNames(fireboltResponses)) {
-        delete fireboltResponses[prop];
-      }
+      conduitUserId = undefined;
+      fireboltResponses.rejectAll(new Error('Conduit disconnected before responding'));
     });
   
     conduitWs.on('error', function socketError(error) {
@@ -113,6 +118,12 @@ if (commandLine.conduit) {
   console.log(`Listening on socket port ${conduitSocketPort} (Conduit)...`);
 }
 
+// The user given in the message, if any, otherwise the user from Conduit's handshake, otherwise the default user
+function getConduitUserId(oConduitMsg) {
+  if ( oConduitMsg.userId ) { return ''+oConduitMsg.userId; }
+  return conduitUserId || config.app.defaultUserId;
+}
+
 function uc1(s) {
   return s && s[0].toUpperCase() + s.slice(1);
 }
@@ -137,39 +148,36 @@ function handleConduitMessage(oConduitMsg) {
     try {
       const moduleName = oConduitMsg.data.moduleName;
       const eventName = oConduitMsg.data.eventName;
-      const userId = oConduitMsg.userId || '12345';
-      const ws = userManagement.getWsForUser(userId);
-      const fullMethodName = moduleName + '.on' + uc1(eventName);
-      const id = events.getRegisteredEventListener(fullMethodName);
-      if ( id ) {
-        const oOpenRpcMsg = {
-          jsonrpc: '2.0',
-          result: oConduitMsg.data.value,
-          id: id
-        };
-        const openRpcMsg = JSON.stringify(oOpenRpcMsg);
-        ws.send(openRpcMsg);
-        console.log(`Conduit WebSocket forwarding ${ss} event to local app`);
-        console.log(openRpcMsg);
+      const userId = getConduitUserId(oConduitMsg);
+      let fullMethodName = moduleName + '.on' + uc1(eventName);
+      if ( config.app.caseInsensitiveModules ) {
+        fullMethodName = createCaseAgnosticMethod(fullMethodName);
+      }
+      if ( events.isRegisteredEventListener(userId, fullMethodName) ) {
+        // Sent like any other event, so event templates, bidirectional mode, interaction logs, session recording, etc. apply
+        console.log(`Conduit WebSocket forwarding ${ss} event ${fullMethodName} to local app for user ${userId}`);
+        events.emitResponse(oConduitMsg.data.value, `Conduit ${ss} event`, userId, fullMethodName);
       } else {
         console.log(`Ignoring forwarded Firebolt ${ss} event ${fullMethodName} because there is no event listener for it`);
       }
     } catch ( ex ) {
       console.log(`Error attempting to proces a forwarded Firebolt ${ss} event message from client`)
+      console.log(ex);
     }
 
   } else if ( oConduitMsg.type === 'FIREBOLT-RESPONSE' ) {
     console.log(`Conduit WebSocket received a Firebolt response event message from client: ${JSON.stringify(oConduitMsg)}`);
 
-    // When the app under development made a Firebolt call, if/when Conduit is connected and the method called does
-    // not have an override response specified, we sent the method call request to Conduit, which asked its real
-    // Firebolt for an answer, and then returned it to us. Here we're processing the real Firebolt response from the Conduit
-    // app. We just need to inform messageHandler.mjs::handleMessage (after sendMessageToConduit call) to stop slow polling done there
-    // and then run through the final stretch of post trigger processing and ultimate return to the app under development
-    if ( oConduitMsg.data.openRpcMsg.id ) {
-      fireboltResponses[oConduitMsg.data.openRpcMsg.id] = oConduitMsg.data.openRpcMsg.result;
-    } else {
+    // When the app under development made a Firebolt call routed via Conduit, we sent the method call request to Conduit,
+    // which asked its real Firebolt for an answer, and then returned it to us. Here we're processing the real Firebolt
+    // response from the Conduit app, which resolves the Promise messageHandler.mjs::handleMessage is waiting on (see
+    // sendMessageToConduit) so it can run through the final stretch of post trigger processing and ultimate return to the
+    // app under development
+    const openRpcMsg = oConduitMsg.data.openRpcMsg;
+    if ( ! openRpcMsg.id ) {
       console.log(`INTERNAL ERROR: Received a FIREBOLT-RESPONSE with no id; strange`);
+    } else if ( ! fireboltResponses.resolve(openRpcMsg.id, openRpcMsg) ) {
+      console.log(`Dropping FIREBOLT-RESPONSE with id ${openRpcMsg.id}: No call is waiting for it (it may have timed out)`);
     }
 
   } else if ( oConduitMsg.type === 'KEYPRESS-FORWARD' ) {
@@ -193,7 +201,8 @@ function handleConduitMessage(oConduitMsg) {
     }
 
   } else if ( oConduitMsg.type === 'INITIAL-HANDSHAKE' ) {
-    console.log('Conduit WebSocket received an initial handshake message from client');
+    conduitUserId = ( oConduitMsg.userId ? ''+oConduitMsg.userId : config.app.defaultUserId );
+    console.log(`Conduit WebSocket received an initial handshake message from client for user ${conduitUserId}`);
     const oConduitResponseMsg = {
       from: 'mock-firebolt',
       type: 'INITIAL-HANDSHAKE-ACK',
@@ -215,29 +224,31 @@ function isConduitConnected() {
 }
 
 // openRpcMsg is the original message object ({ id: xxx, method: 'xxx', params: [ ... ] })
+// Returns a Promise of the response message from Conduit ({ jsonrpc: '2.0', id: xxx, result: xxx } or with an error key instead)
+// which rejects with a RequestTimeoutError if Conduit doesn't respond within conduitTimeoutMs (see .mf.config.json)
 function sendMessageToConduit(openRpcMsg) {
+  const id = nextConduitCallId++;
   const oConduitMsg = {
     from: 'mock-firebolt',
     type: 'FIREBOLT-CALL-FROM-SERVER',
-    userId: null, // @TODO?
+    userId: conduitUserId || null,
     data: {
-      openRpcMsg: openRpcMsg
+      openRpcMsg: { ...openRpcMsg, id: id }
     }
   };
+  const pResponse = fireboltResponses.track(id, config.dotConfig.conduitTimeoutMs || DEFAULT_CONDUIT_TIMEOUT_MS);
   const conduitMsg = JSON.stringify(oConduitMsg);
   conduitWs.send(conduitMsg);
   console.log(`Sent a Firebolt method call message to Conduit: ${conduitMsg}`);
+  return pResponse.then((response) => ({ ...response, id: openRpcMsg.id }));
 }
 
-function getResponseFromConduit(openRpcMsg) {
-  const response = fireboltResponses[openRpcMsg.id];
-  if ( response ) {
-    delete fireboltResponses[openRpcMsg.id]; // Keep our "hash" tidy/small
-    return response;
-  }
-  return undefined;
-}
+// --- Exports ---
+
+export const testExports = {
+  handleConduitMessage, getConduitUserId
+};
 
 export {
-  isConduitConnected, sendMessageToConduit, getResponseFromConduit
+  isConduitConnected, sendMessageToConduit
 };
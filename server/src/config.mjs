@@ -35,7 +35,34 @@ const config = {
 
   validate: [ "method", "params", "response", "events" ],
   multiUserConnections: "warn",
+
+  // Sandboxed execution of override functions and trigger files (see sandbox.mjs)
+  sandbox: {
+    enabled: false,
+    cpuTimeoutMs: 1000,    // Max CPU time for each synchronous run of a function (or one of its timer callbacks)
+    timeoutMs: 10000,      // Max wall-clock time for a function's (possibly async) result
+    memoryLimitMb: 64      // Heap cap for the sandbox worker thread
+  },
   
+  // Connection to the proxy server in proxy mode (see proxyManagement.mjs); Enabled by a url (--proxy)
+  proxy: {
+    url: undefined,             // host, host:port (ws://<host:port>/jsonrpc) or a full ws:// or wss:// URL
+    headers: {},                // Sent when connecting, e.g., { "Authorization": "Bearer xxx", "X-Device-Id": "xxx" }
+    ca: undefined,              // Path to a PEM file with the CA certificate(s) to trust for wss:// URLs
+    rejectUnauthorized: true,   // false skips TLS certificate verification (e.g., for a local stand-in)
+    reconnect: {
+      maxAttempts: 5,           // Per connection; Attempts wait initialDelayMs, then twice as long each time, up to maxDelayMs
+      initialDelayMs: 500,
+      maxDelayMs: 10000
+    }
+  },
+
+  // Recording of proxied responses and events as an override bundle (see proxyRecording.mjs); Enabled by an outputPath
+  proxyRecording: {
+    outputPath: undefined,
+    redact: [ 'token', 'accessToken', 'refreshToken', 'deviceId', 'device.id', 'device.uid', 'authentication.token' ]
+  },
+
   app: {
     caseInsensitiveModules: true,
     socketPort: 9998,
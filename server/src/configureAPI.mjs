@@ -28,6 +28,9 @@ import * as eventApi from './routes/api/event.mjs';
 import * as sessionApi from './routes/api/session.mjs';
 import * as sequenceApi from './routes/api/sequence.mjs';
 import * as statusApi from './routes/api/status.mjs';
+import * as chaosApi from './routes/api/chaos.mjs';
+import * as providerApi from './routes/api/provider.mjs';
+import * as shadowApi from './routes/api/shadow.mjs';
 function configureAPI(app) {
 
 	// =========================== Health Check Route =========================
@@ -54,6 +57,18 @@ function configureAPI(app) {
 	// Set error response for method (error with code and message)
 	app.post('/api/v1/state/method/:methodName/error',  stateApi.setMethodError);
 
+	// Inject faults (dropped, delayed, malformed, wrong id, duplicate responses or closed sockets) into responses for method
+	app.post('/api/v1/state/method/:methodName/fault',  stateApi.setMethodFault);
+
+	// Stop injecting faults into responses for method
+	app.delete('/api/v1/state/method/:methodName/fault', stateApi.clearMethodFault);
+
+	// Set routing rules (whether calls to methods matching globs are mocked, proxied or sent via Conduit)
+	app.post('/api/v1/state/routing',                   stateApi.setRouting);
+
+	// Remove all routing rules
+	app.delete('/api/v1/state/routing',                 stateApi.clearRouting);
+
 	// Set multiple state properties at once
 	app.put ('/api/v1/state',                           stateApi.updateState);
 
@@ -63,6 +78,18 @@ function configureAPI(app) {
 	// Revert to the way things were when server started up
     app.post('/api/v1/state/revert',                    stateApi.revertState);
 
+	// Save a named snapshot of the user's (or group's) state
+    app.post('/api/v1/state/snapshots/:name',           stateApi.saveSnapshot);
+
+	// List the user's (or group's) snapshots
+    app.get('/api/v1/state/snapshots',                  stateApi.getSnapshots);
+
+	// Replace the user's (or group's) state with a named snapshot
+    app.post('/api/v1/state/snapshots/:name/restore',   stateApi.restoreSnapshot);
+
+	// Delete a named snapshot
+    app.delete('/api/v1/state/snapshots/:name',         stateApi.deleteSnapshot);
+
 	// Start the interaction log service
     app.post('/api/v1/state/interactionLogs/start',      stateApi.enableInteractionLogs);
 
@@ -86,6 +113,27 @@ function configureAPI(app) {
     // Broadcast an event
     app.post('/api/v1/broadcastEvent',                  eventApi.sendBroadcastEvent);
 
+    // Get an example body for sending an event (generated from the OpenRPC metadata)
+    app.get('/api/v1/event/:method/example',            eventApi.getEventExample);
+
+    // List the events recently sent to the user
+    app.get('/api/v1/events/history',                   eventApi.getEventHistory);
+
+    // Send an event from the event history again
+    app.post('/api/v1/events/history/:id/replay',       eventApi.replayEvent);
+
+    // Schedule an event (once, at an interval or per a cron expression); Returns the schedule, including its id
+    app.post('/api/v1/event/schedule',                  eventApi.scheduleEvent);
+
+    // List the user's event schedules
+    app.get('/api/v1/event/schedule',                   eventApi.getSchedules);
+
+    // Get an event schedule
+    app.get('/api/v1/event/schedule/:id',               eventApi.getSchedule);
+
+    // Cancel an event schedule
+    app.delete('/api/v1/event/schedule/:id',            eventApi.cancelSchedule);
+
     // ======================= Session-Related API Routes =======================
 
     // Toggle session state
@@ -105,9 +153,42 @@ function configureAPI(app) {
 
     // ======================= Sequence-Related API Routes =======================
 
-    // Send an event sequence
+    // Send an event sequence (optionally looping); Returns the sequence, including its id
     app.post('/api/v1/sequence',                        sequenceApi.sendSequence);
 
+    // List the user's running and recently finished sequences
+    app.get('/api/v1/sequence',                         sequenceApi.getSequences);
+
+    // Get the status of a sequence
+    app.get('/api/v1/sequence/:id',                     sequenceApi.getSequence);
+
+    // Cancel a sequence
+    app.delete('/api/v1/sequence/:id',                  sequenceApi.cancelSequence);
+
+    // ======================= Chaos-Related API Routes =======================
+
+    // Start (or replace) scheduled connection drops, heartbeat pauses and refused upgrades
+    app.post('/api/v1/chaos',                           chaosApi.startChaos);
+
+    // Get current chaos settings and whether heartbeats are paused / upgrades are being refused
+    app.get('/api/v1/chaos',                            chaosApi.getChaos);
+
+    // Stop chaos scheduling
+    app.delete('/api/v1/chaos',                         chaosApi.stopChaos);
+
+    // ======================= Provider-Related API Routes =======================
+
+    // Call a method which the app provides (e.g., Keyboard.standard) and wait for the app's response
+    app.post('/api/v1/provider/call',                   providerApi.callProvider);
+
+    // ======================= Shadow-Related API Routes =======================
+
+    // Get how the mock's responses compared with the real device's responses (shadow mode)
+    app.get('/api/v1/shadow/report',                    shadowApi.getShadowReport);
+
+    // Clear the shadow mode report
+    app.delete('/api/v1/shadow/report',                 shadowApi.clearShadowReport);
+
      // ======================= State-Related API Routes =======================
 
     // check status
@@ -0,0 +1,113 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Event history: A bounded, per-user, in-memory record of the events sent to apps (see events.mjs)
+//
+// Each entry looks like:
+//   {
+//     id: '<uuid>',
+//     userId: '12345',
+//     method: 'device.onNameChanged',
+//     result: <the event result>,
+//     message: '<the message sent on each socket>',
+//     msg: '<why the event was sent (log message)>',
+//     timestamp: '2024-01-01T00:00:00.000Z',
+//     sockets: [ { socket: 0, delivered: true, status: 'acked', ... }, { socket: 1, delivered: false, status: 'not-delivered', error: '...' } ],
+//     delivered: true,                         ( true if the event was delivered on at least one socket )
+//     status: 'acked'                          ( see getDeliveryStatus )
+//   }
+//
+// In bidirectional mode, events are JSON-RPC requests and each socket's status goes from 'delivered' to 'acked', 'errored'
+// or 'timed-out' once the app responds (or doesn't); See appRequests.mjs
+
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+
+const MAX_EVENT_HISTORY = 100; // Per user; The oldest entries are forgotten first
+
+// Keys are userIds, values are arrays of entries, oldest first
+const history = new Map();
+
+// The overall status of an event: 'not-delivered' if it wasn't delivered on any socket, otherwise the "worst" status of the
+// sockets it was delivered on: 'errored', then 'timed-out', then 'delivered' (sent; no response expected or received yet), then 'acked'
+function getDeliveryStatus(sockets) {
+  const statuses = sockets.filter((ss) => ss.delivered).map((ss) => ss.status);
+  if ( statuses.length === 0 ) { return 'not-delivered'; }
+  return [ 'errored', 'timed-out', 'delivered', 'acked' ].find((status) => statuses.includes(status));
+}
+
+// Updates the given socket status (within the given entry) with an outcome from appRequests.trackRequest
+function updateSocketStatus(entry, socketStatus, outcome) {
+  socketStatus.status = ( outcome.status === 'closed' ? 'errored' : outcome.status );
+  if ( outcome.status === 'closed' ) { socketStatus.error = 'Socket closed before the app responded'; }
+  if ( 'result' in outcome ) { socketStatus.response = outcome.result; }
+  if ( 'error' in outcome ) { socketStatus.error = outcome.error; }
+  if ( 'responseTimeMs' in outcome ) { socketStatus.responseTimeMs = outcome.responseTimeMs; }
+  entry.status = getDeliveryStatus(entry.sockets);
+}
+
+// Returns the new entry
+function recordEvent(userId, method, result, message, msg, sockets) {
+  const entry = {
+    id: uuidv4(),
+    userId: ''+userId,
+    method: method,
+    result: result,
+    message: message,
+    msg: msg,
+    timestamp: new Date().toISOString(),
+    sockets: sockets,
+    delivered: sockets.some((ss) => ss.delivered),
+    status: getDeliveryStatus(sockets)
+  };
+  const key = ''+userId;
+  if ( ! history.has(key) ) {
+    history.set(key, []);
+  }
+  const entries = history.get(key);
+  entries.push(entry);
+  if ( entries.length > MAX_EVENT_HISTORY ) {
+    entries.splice(0, entries.length - MAX_EVENT_HISTORY);
+  }
+  return entry;
+}
+
+// Returns the user's entries, oldest first
+function getEventHistory(userId) {
+  return history.get(''+userId) || [];
+}
+
+// Returns the given entry or undefined if the user has no such entry
+function getEvent(userId, id) {
+  return getEventHistory(userId).find((entry) => entry.id === id);
+}
+
+function clearEventHistory(userId) {
+  history.delete(''+userId);
+}
+
+// --- Exports ---
+
+export const testExports = {
+  history, MAX_EVENT_HISTORY
+};
+
+export {
+  getDeliveryStatus, recordEvent, updateSocketStatus, getEventHistory, getEvent, clearEventHistory
+};
@@ -31,8 +31,12 @@ import { config } from './config.mjs';
 import { updateCallWithResponse } from './sessionManagement.mjs';
 import { createAndSendInteractionLog } from './interactionLog.mjs';
 import { createCaseAgnosticMethod } from './util.mjs';
+import * as eventHistory from './eventHistory.mjs';
+import * as appRequests from './appRequests.mjs';
+import WebSocket from 'ws';
+import { isEqual } from 'lodash-es';
 
-let id = 1;
+const DEFAULT_ACK_TIMEOUT_MS = 5000; // How long to wait for apps to respond to bidirectional events
 const { dotConfig: { eventConfig } } = config;
 
 function logSuccess(onMethod, result, msg) {
@@ -60,8 +64,50 @@ function logFatalErr() {
 
 // Maps full userIds to maps which map event listner request method
 // name (e.g., lifecycle.onInactive) to message id (e.g., 17)
+// Each listener also has the individual registrations ({ ws, metadata }) for the method, since an app can register
+// more than once for an event with different (filtering) params; See isMatchingRegistration
 const eventListenerMap = {};
 
+// Params in registration messages (e.g., { listen: true, entityType: 'program' }), other than 'listen'
+function getFilterParams(metadata) {
+  const oMsg = ( metadata && ( metadata.registration || metadata.unRegistration ) ) || {};
+  const params = ( oMsg.params && typeof oMsg.params === 'object' && ! Array.isArray(oMsg.params) ? { ...oMsg.params } : {} );
+  delete params.listen;
+  return params;
+}
+
+function queryFirst(obj, path) {
+  try {
+    const values = JSONPath.query(obj, path);
+    return ( values.length > 0 ? values[0] : undefined );
+  } catch ( ex ) {
+    return undefined;
+  }
+}
+
+/**
+ * Should the given event result be delivered to the given registration?
+ * With match rules for the event in eventConfig.filters (e.g., { "discovery.onPullEntityInfo": [ { "registration": "$.params.entityType", "event": "$.entityType" } ] }),
+ * every rule must match: The value at the registration path is either missing or equal to the value at the event (result) path.
+ * Otherwise, every filter param in the registration must be equal to the same-named property of the result, if the result has it.
+ * @param {string} method - The event method name
+ * @param {Object} metadata - The registration's metadata (see extractEventData)
+ * @param {any} result - The event result
+ * @returns {boolean}
+*/
+function isMatchingRegistration(method, metadata, result) {
+  const rules = ( eventConfig.filters && eventConfig.filters[method] );
+  if ( Array.isArray(rules) ) {
+    return rules.every((rule) => {
+      const registrationValue = queryFirst(metadata.registration || {}, rule.registration);
+      return ( registrationValue === undefined || isEqual(registrationValue, queryFirst(result, rule.event)) );
+    });
+  }
+  const filterParams = getFilterParams(metadata);
+  if ( ! result || typeof result !== 'object' ) { return true; }
+  return Object.keys(filterParams).every((key) => ( ! ( key in result ) || isEqual(filterParams[key], result[key]) ));
+}
+
 /**
  * Associate this message ID with this method so if/when events are sent, we know which message ID to use
  * @param {string} userId - The user ID associated with the event listener
@@ -77,7 +123,7 @@ function registerEventListener(userId, metadata, ws) {
   }
 
   if (!eventListenerMap[userId][method]) {
-    eventListenerMap[userId][method] = { wsArr: [], metadata };
+    eventListenerMap[userId][method] = { wsArr: [], metadata, registrations: [] };
   } else {
     // Update the metadata if the method is already registered
     // If the same event is subscribed to twice, the response will be sent back to the second subscription
@@ -89,6 +135,16 @@ function registerEventListener(userId, metadata, ws) {
     eventListenerMap[userId][method].wsArr.push(ws);
   }
 
+  // Registrations on the same socket with the same filter params replace each other (like the metadata above)
+  const { registrations } = eventListenerMap[userId][method];
+  const filterParams = getFilterParams(metadata);
+  const regIndex = registrations.findIndex((reg) => reg.ws === ws && isEqual(getFilterParams(reg.metadata), filterParams));
+  if ( regIndex === -1 ) {
+    registrations.push({ ws, metadata });
+  } else {
+    registrations[regIndex] = { ws, metadata };
+  }
+
   logger.debug(`Registered event listener mapping: ${userId}:${method}`);
 }
 
@@ -127,10 +183,19 @@ function deregisterEventListener(userId, metadata, ws) {
     return;
   }
 
-  const wsArr = eventListenerMap[userId][method].wsArr;
+  const { wsArr, registrations } = eventListenerMap[userId][method];
+
+  // Unregistering with filter params only removes the registration(s) on this socket with the same filter params
+  const filterParams = getFilterParams(metadata);
+  const isFiltered = ( Object.keys(filterParams).length > 0 );
+  eventListenerMap[userId][method].registrations = registrations.filter((reg) => {
+    return ! ( reg.ws === ws && ( ! isFiltered || isEqual(getFilterParams(reg.metadata), filterParams) ) );
+  });
+
   const wsIndex = wsArr.findIndex((item) => item === ws);
+  const hasOtherRegistrations = eventListenerMap[userId][method].registrations.some((reg) => reg.ws === ws);
 
-  if (wsIndex !== -1) {
+  if (wsIndex !== -1 && ! hasOtherRegistrations) {
     wsArr.splice(wsIndex, 1);
     logger.debug(`Deregistered event listener mapping: ${userId}:${method}`);
   }
@@ -272,7 +337,7 @@ function sendBroadcastEvent(ws, userId, method, result, msg, fSuccess, fErr, fFa
 /**
  * Creates a JSON-RPC 2.0-compliant payload for bidirectional communication.
  * 
- * - Assigns a unique `id` to each request by incrementing a global `id` counter.
+ * - Assigns a unique `id` to each request (see appRequests.mjs).
  * - Structures the payload according to the JSON-RPC 2.0 specification.
  * 
  * @param {string} method - The method name for the request.
@@ -282,7 +347,7 @@ function sendBroadcastEvent(ws, userId, method, result, msg, fSuccess, fErr, fFa
 
 function createBidirectionalPayload(method, params) {
     return {
-        id: id++,  // Increment and return `id` in one step
+        id: appRequests.nextRequestId(),
         jsonrpc: "2.0",
         method,
         params
@@ -326,31 +391,71 @@ function unidirectionalEventToBiDirectional(method) {
  * @param {string} method - The original event method name.
  * @returns {void}
  */
+// Events are subject to the same latency (profiles) as method responses; See latency.mjs
+// Returns a Promise of the event history entry for the event, which resolves once the event's delivery has settled
+// (in bidirectional mode, once the app has responded or the response has timed out on each socket)
 function emitResponse(finalResult, msg, userId, method) {
+  const dly = stateManagement.getDelay(userId, method);
+  if ( dly > 0 ) {
+    return new Promise((resolve) => {
+      setTimeout(() => { resolve(emitResponseTracked(finalResult, msg, userId, method).settled); }, dly);
+    });
+  }
+  return emitResponseTracked(finalResult, msg, userId, method).settled;
+}
+
+// Sends the message on the given socket; Returns its delivery status for the event history
+function sendOnSocket(ws, ii, message) {
+  if ( ws.readyState === WebSocket.CLOSING || ws.readyState === WebSocket.CLOSED ) {
+    return { socket: ii, delivered: false, status: 'not-delivered', error: 'Socket is closed' };
+  }
+  try {
+    ws.send(message);
+    return { socket: ii, delivered: true, status: 'delivered' };
+  } catch ( ex ) {
+    logger.error(`ERROR: Could not send event message: ${ex}`);
+    return { socket: ii, delivered: false, status: 'not-delivered', error: ex.toString() };
+  }
+}
+
+// Returns the event history entry for the event (see eventHistory.mjs)
+function emitResponseNow(finalResult, msg, userId, method) {
+  return emitResponseTracked(finalResult, msg, userId, method).entry;
+}
+
+// Returns { entry, settled }, where entry is the event history entry for the event and settled is a Promise of the entry
+// which resolves once delivery has settled; See emitResponse
+function emitResponseTracked(finalResult, msg, userId, method) {
   const listener = getRegisteredEventListener(userId, method);
   if (!listener) {
     logger.debug('Event message could not be sent because a listener was not found');
-    return;
+    return settledNow(eventHistory.recordEvent(userId, method, finalResult, undefined, msg, []));
   }
 
-  const { metadata, wsArr } = listener;
+  const { wsArr } = listener;
 
-  // Defines the data object that will be inputted into handlebars
-  const templateData = {
-    ...metadata,
-    result: finalResult,
-    resultAsJson: JSON.stringify(finalResult)
-  };
+  // Only registrations whose filter params match the event get it (each registration with its own message id)
+  const targets = ( listener.registrations || [] ).filter((reg) => isMatchingRegistration(method, reg.metadata, finalResult));
+  if ( targets.length === 0 ) {
+    logger.debug(`Event message ${method} not sent because no registration matched its filters`);
+    return settledNow(eventHistory.recordEvent(userId, method, finalResult, undefined, msg, []));
+  }
 
-  let eventMessage;
+  function getEventMessage(metadata) {
+    // Defines the data object that will be inputted into handlebars
+    const templateData = {
+      ...metadata,
+      result: finalResult,
+      resultAsJson: JSON.stringify(finalResult)
+    };
 
-  // If event template config exists, use it
-  if (eventConfig.event) {
-    const template = hbs.compile(eventConfig.event);
-    eventMessage = template(templateData);
-  } else {
+    // If event template config exists, use it
+    if (eventConfig.event) {
+      const template = hbs.compile(eventConfig.event);
+      return template(templateData);
+    }
     // If event template config does not exist, just send the raw finalResult
-    eventMessage = finalResult;
+    return finalResult;
   }
 
   // Check if bidirectional mode is enabled
@@ -358,27 +463,58 @@ function emitResponse(finalResult, msg, userId, method) {
     const bidirectionalMethod = unidirectionalEventToBiDirectional(method);
     let payload = createBidirectionalPayload(bidirectionalMethod, finalResult);
 
-    wsArr.forEach((ws) => {
-      ws.send(JSON.stringify(payload)); // Send bidirectional event
+    // Bidirectional events have no registration message id, so each socket gets the event once
+    const targetWsArr = wsArr.filter((ws) => targets.some((reg) => reg.ws === ws));
+    const sockets = targetWsArr.map((ws) => {
+      const socketStatus = sendOnSocket(ws, wsArr.indexOf(ws), JSON.stringify(payload)); // Send bidirectional event
       logger.info(`${msg}: Sent bidirectional event to user ${userId}: ${JSON.stringify(payload)}`);
+      return socketStatus;
     });
+    const entry = eventHistory.recordEvent(userId, method, finalResult, JSON.stringify(payload), msg, sockets);
+
+    // Bidirectional events are JSON-RPC requests; Track the app's response to each (see appRequests.mjs)
+    const ackTimeoutMs = config.dotConfig.bidirectionalAckTimeoutMs || DEFAULT_ACK_TIMEOUT_MS;
+    const acks = targetWsArr.map((ws, ii) => {
+      if ( ! sockets[ii].delivered ) { return undefined; }
+      return appRequests.trackRequest(ws, payload.id, bidirectionalMethod, ackTimeoutMs).then((outcome) => {
+        eventHistory.updateSocketStatus(entry, sockets[ii], outcome);
+      });
+    });
+    return { entry, settled: Promise.all(acks).then(() => entry) };
   } else {
     // Unidirectional mode (Default behavior)
+    const eventMessage = getEventMessage(targets[0].metadata);
     updateCallWithResponse(method, eventMessage, "events", userId);
     config.interactionService && config.interactionService.forEach((_, userId) => {
       const userWSData = userManagement.getWsForUser(userId);
       createAndSendInteractionLog(eventMessage, method, null, userWSData, userId); // creating interaction log and send it to the client
     });
-    wsArr.forEach((ws) => {
-      ws.send(eventMessage);
+    const sockets = targets.map((reg) => {
+      const regEventMessage = getEventMessage(reg.metadata);
+      const socketStatus = sendOnSocket(reg.ws, wsArr.indexOf(reg.ws), regEventMessage);
       if (eventConfig.eventType) {
-        logger.info(`${msg}: Sent ${eventConfig.eventType} message to user ${userId}: ${eventMessage}`);
+        logger.info(`${msg}: Sent ${eventConfig.eventType} message to user ${userId}: ${regEventMessage}`);
       } else {
-        logger.info(`${msg}: Sent event message to user ${userId}: ${eventMessage}`);
+        logger.info(`${msg}: Sent event message to user ${userId}: ${regEventMessage}`);
       }
+      return socketStatus;
     });
+    return settledNow(eventHistory.recordEvent(userId, method, finalResult, eventMessage, msg, sockets));
   }}
 
+function settledNow(entry) {
+  return { entry, settled: Promise.resolve(entry) };
+}
+
+// Sends the given event from the user's event history again, as-is (without triggers, validation or latency)
+// Returns the new history entry or undefined if the user has no such entry
+function replayEvent(userId, id) {
+  const entry = eventHistory.getEvent(userId, id);
+  if ( ! entry ) { return undefined; }
+  logger.info(`Replaying event ${entry.method} (${id}) for user ${userId}`);
+  return emitResponseNow(entry.result, `Replay of ${id}`, userId, entry.method);
+}
+
 // sendEvent to handle post API event calls, including pre- and post- event trigger processing
 function coreSendEvent(isBroadcast, ws, userId, method, result, msg, fSuccess, fErr, fFatalErr) {
   if (config.app.caseInsensitiveModules) {
@@ -396,6 +532,7 @@ function coreSendEvent(isBroadcast, ws, userId, method, result, msg, fSuccess, f
 
     } else {
        // Fire pre trigger if there is one for this method
+       let preResult;
        if ( method in eventTriggers ) {
         if ( 'pre' in eventTriggers[method] ) {
           try {
@@ -417,85 +554,119 @@ function coreSendEvent(isBroadcast, ws, userId, method, result, msg, fSuccess, f
               }
             };
             logger.debug(`Calling pre trigger for event ${method}`);
-            eventTriggers[method].pre.call(null,ctx);
+            preResult = eventTriggers[method].pre.call(null,ctx);
           } catch ( ex ) {
             logger.error(`ERROR: Exception occurred while executing pre-trigger for ${method}; continuing`);
           }
         }
       }
 
-      const response = {result : result};
-      let postResult;
-      
-      // Fire post trigger if there is one for this method
-      if ( method in eventTriggers ) {
-        if ( 'post' in eventTriggers[method] ) {
-          try {
-            const ctx = {
-              logger: logger,
-              setTimeout: setTimeout,
-              setInterval: setInterval,
-              set: function ss(key, val, scope) { return stateManagement.setScratch(userId, key, val, scope) },
-              get: function gs(key) { return stateManagement.getScratch(userId, key); },
-              delete: function ds(key, scope) { return stateManagement.deleteScratch(userId, key, scope)},
-              closeConnection: function cc() {return userManagement.closeConnection(userId, ws)},
-              closeAllConnections: function closeallconn() {return userManagement.closeAllConnections(userId)},
-              uuid: function cuuid() {return stateManagement.createUuid()},
-              sendEvent: function(method, result, msg) {
-                sendEvent( ws, userId, method, result, msg, logSuccess.bind(this, method, result, msg), logErr.bind(this, method, null), logFatalErr.bind(this) );
-              },
-              sendBroadcastEvent: function(onMethod, result, msg) {
-                sendBroadcastEvent( ws, userId, onMethod, result, msg, logSuccess.bind(this, onMethod, result, msg), logErr.bind(this, onMethod, null), logFatalErr.bind(this) );
-              },
-              ...response
-            };
-            logger.debug(`Calling post trigger for event ${method}`);
-            // post trigger can return undefined to leave as-is or can return a new result object
-            postResult = eventTriggers[method].post.call(null, ctx);
-          } catch ( ex ) {
-            {
-              logger.error(`ERROR: Exception occurred while executing post-trigger for ${method}`);
-              logger.error(ex);
-            }
+      // Triggers which run in the sandbox return Promises; Otherwise, everything below happens synchronously
+      whenSettled(preResult, () => {
+        firePostEventTrigger();
+      }, (ex) => {
+        logger.error(`ERROR: Exception occurred while executing pre-trigger for ${method}; continuing`);
+        firePostEventTrigger();
+      }, fFatalErr);
+    }
+  } catch ( ex ) {
+    logger.error('sendEvent: ERROR:');
+    logger.error(ex);
+    fFatalErr.call(null, ex);
+  }
+
+  function firePostEventTrigger() {
+    const response = {result : result};
+    let postResult;
+    
+    // Fire post trigger if there is one for this method
+    if ( method in eventTriggers ) {
+      if ( 'post' in eventTriggers[method] ) {
+        try {
+          const ctx = {
+            logger: logger,
+            setTimeout: setTimeout,
+            setInterval: setInterval,
+            set: function ss(key, val, scope) { return stateManagement.setScratch(userId, key, val, scope) },
+            get: function gs(key) { return stateManagement.getScratch(userId, key); },
+            delete: function ds(key, scope) { return stateManagement.deleteScratch(userId, key, scope)},
+            closeConnection: function cc() {return userManagement.closeConnection(userId, ws)},
+            closeAllConnections: function closeallconn() {return userManagement.closeAllConnections(userId)},
+            uuid: function cuuid() {return stateManagement.createUuid()},
+            sendEvent: function(method, result, msg) {
+              sendEvent( ws, userId, method, result, msg, logSuccess.bind(this, method, result, msg), logErr.bind(this, method, null), logFatalErr.bind(this) );
+            },
+            sendBroadcastEvent: function(onMethod, result, msg) {
+              sendBroadcastEvent( ws, userId, onMethod, result, msg, logSuccess.bind(this, onMethod, result, msg), logErr.bind(this, onMethod, null), logFatalErr.bind(this) );
+            },
+            ...response
+          };
+          logger.debug(`Calling post trigger for event ${method}`);
+          // post trigger can return undefined to leave as-is or can return a new result object
+          postResult = eventTriggers[method].post.call(null, ctx);
+        } catch ( ex ) {
+          {
+            logger.error(`ERROR: Exception occurred while executing post-trigger for ${method}`);
+            logger.error(ex);
           }
         }
       }
+    }
 
-      const finalResult = ( postResult ? postResult : result );
-      // Error to be logged in "novalidate mode" if result validation failed
-      if( config.validate.includes("events") ) {
-        const resultErrors = fireboltOpenRpc.validateMethodResult(finalResult, method);
-        if ( resultErrors && resultErrors.length > 0 ) {
-          fErr.call(null, 'validationError', method);
-          return
-        }
+    whenSettled(postResult, (postResult) => {
+      deliverEvent(postResult);
+    }, (ex) => {
+      logger.error(`ERROR: Exception occurred while executing post-trigger for ${method}`);
+      logger.error(ex);
+      deliverEvent(undefined);
+    }, fFatalErr);
+  }
+
+  function deliverEvent(postResult) {
+    const finalResult = ( postResult ? postResult : result );
+    // Error to be logged in "novalidate mode" if result validation failed
+    if( config.validate.includes("events") ) {
+      const resultErrors = fireboltOpenRpc.validateMethodResult(finalResult, method);
+      if ( resultErrors && resultErrors.length > 0 ) {
+        fErr.call(null, 'validationError', method);
+        return
       }
-      // There may be more than one app using different base userId values
-      // but the same group name. We need to send the event to all
-      // clients/apps within the group (whether just this one or more than one).
-      if( isBroadcast ){
-        // object map with ws and userid as key value pair
-        const wsUserMap = userManagement.getWsListForUser(userId);
-        // looping over each web-sockets of same group
-        if ( wsUserMap && wsUserMap.size >=1 ) {
-          wsUserMap.forEach ((userWithSameGroup, ww) => {
-            emitResponse(finalResult, msg, userWithSameGroup, method);
-          });
-          fSuccess.call(null);
-        } else {
-          // Internal error
-          const msg = 'sendEvent: ERROR: Internal Error: No sockets in list';
-          throw new Error(msg);
-        }
+    }
+    // There may be more than one app using different base userId values
+    // but the same group name. We need to send the event to all
+    // clients/apps within the group (whether just this one or more than one).
+    if( isBroadcast ){
+      // object map with ws and userid as key value pair
+      const wsUserMap = userManagement.getWsListForUser(userId);
+      // looping over each web-sockets of same group
+      if ( wsUserMap && wsUserMap.size >=1 ) {
+        const delivery = [];
+        wsUserMap.forEach ((userWithSameGroup, ww) => {
+          delivery.push(emitResponse(finalResult, msg, userWithSameGroup, method));
+        });
+        fSuccess.call(null, Promise.all(delivery));
       } else {
-        emitResponse(finalResult, msg, userId, method);
-        fSuccess.call(null);
+        // Internal error
+        const msg = 'sendEvent: ERROR: Internal Error: No sockets in list';
+        throw new Error(msg);
       }
+    } else {
+      const delivery = emitResponse(finalResult, msg, userId, method);
+      fSuccess.call(null, delivery.then((entry) => [ entry ]));
     }
-  } catch ( ex ) {
-    logger.error('sendEvent: ERROR:');
-    logger.error(ex);
-    fFatalErr.call(null, ex);
+  }
+}
+
+// Calls onSettled with the given value right away or, if it is a Promise (as returned by sandboxed triggers), once it resolves
+function whenSettled(value, onSettled, onError, fFatalErr) {
+  if ( value && typeof value.then === 'function' ) {
+    value.then(onSettled, onError).catch((ex) => {
+      logger.error('sendEvent: ERROR:');
+      logger.error(ex);
+      fFatalErr.call(null, ex);
+    });
+  } else {
+    onSettled(value);
   }
 }
 
@@ -506,6 +677,7 @@ export const testExports = {
   isRegisteredEventListener,
   getRegisteredEventListener,
   isAnyRegisteredInGroup,
+  isMatchingRegistration,
   sendBroadcastEvent,
   emitResponse, 
   extractEventData,
@@ -517,6 +689,7 @@ export {
   registerEventListener, deregisterEventListener,
   isEventListenerOnMessage, isEventListenerOffMessage,
   sendEventListenerAck, sendUnRegistrationAck,
-  sendEvent, sendBroadcastEvent, logSuccess, logErr,
+  isRegisteredEventListener, isAnyRegisteredInGroup,
+  sendEvent, sendBroadcastEvent, emitResponse, replayEvent, logSuccess, logErr,
   logFatalErr, extractEventData
 };
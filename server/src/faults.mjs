@@ -0,0 +1,124 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Fault injection: Misbehave (on purpose) when responding to some percentage of calls to a method
+//
+// A faults object (state.faults) looks like:
+//   {
+//     'device.id': { type: 'drop', percent: 25 },
+//     'account.session': { type: 'delay', delayMs: 30000 },
+//     ...
+//   }
+// where type is one of:
+//   drop       Never respond (so the client times out)
+//   delay      Respond after delayMs ms
+//   malformed  Respond with malformed JSON
+//   wrongId    Respond with the wrong id (id, if given, otherwise -1)
+//   duplicate  Respond twice
+//   close      Close the socket instead of responding
+// and percent (0-100, default 100) is the percentage of calls which get the fault
+
+'use strict';
+
+import * as util from './util.mjs';
+import { logger } from './logger.mjs';
+
+const faultTypes = [ 'drop', 'delay', 'malformed', 'wrongId', 'duplicate', 'close' ];
+
+function isObject(val) {
+  return ( val !== null && typeof val === 'object' && ! Array.isArray(val) );
+}
+
+// Returns the fault to inject for this call to the given method, if any
+function pickFault(faults, methodName) {
+  if ( ! isObject(faults) || ! isObject(faults[methodName]) ) { return undefined; }
+  const fault = faults[methodName];
+  const percent = ( 'percent' in fault ? fault.percent : 100 );
+  return ( Math.random() * 100 < percent ? fault : undefined );
+}
+
+// Send the given response message (a string) via reply(), but per the given fault
+// closeConnection() closes the socket the call came in on
+async function injectFault(fault, methodName, responseMessage, reply, closeConnection) {
+  logger.info(`Injecting '${fault.type}' fault into response for method ${methodName}`);
+  switch ( fault.type ) {
+    case 'drop':
+      break;
+    case 'delay':
+      await util.delay(fault.delayMs);
+      reply(responseMessage);
+      break;
+    case 'malformed':
+      reply(responseMessage.slice(0, Math.ceil(responseMessage.length / 2)));
+      break;
+    case 'wrongId': {
+      const oResponseMessage = JSON.parse(responseMessage);
+      oResponseMessage.id = ( 'id' in fault ? fault.id : -1 );
+      reply(JSON.stringify(oResponseMessage));
+      break;
+    }
+    case 'duplicate':
+      reply(responseMessage);
+      reply(responseMessage);
+      break;
+    case 'close':
+      closeConnection();
+      break;
+  }
+}
+
+// Returns array of error strings
+function validateFaults(faults) {
+  if ( ! isObject(faults) ) {
+    return [ 'ERROR: Faults must be an object' ];
+  }
+  const errors = [];
+  for ( const [methodName, fault] of Object.entries(faults) ) {
+    if ( fault === null ) { continue; } // Clears any fault for the method
+    if ( ! isObject(fault) ) {
+      errors.push(`ERROR: Fault for method ${methodName} must be an object`);
+      continue;
+    }
+    if ( ! faultTypes.includes(fault.type) ) {
+      errors.push(`ERROR: Fault for method ${methodName} has unknown type '${fault.type}'; Expected one of ${faultTypes.join(', ')}`);
+    }
+    if ( 'percent' in fault && ! ( typeof fault.percent === 'number' && fault.percent >= 0 && fault.percent <= 100 ) ) {
+      errors.push(`ERROR: Fault for method ${methodName} has an invalid 'percent' value; Expected a number from 0 to 100`);
+    }
+    if ( fault.type === 'delay' && ! ( typeof fault.delayMs === 'number' && fault.delayMs >= 0 ) ) {
+      errors.push(`ERROR: Fault for method ${methodName} of type 'delay' needs a 'delayMs' value >= 0`);
+    }
+  }
+  return errors;
+}
+
+// Used when merging state: A fault replaces any previous fault for the same method; null removes it
+function mergeFaults(oldFaults, newFaults) {
+  if ( ! isObject(newFaults) ) { return newFaults; }
+  const merged = { ...( isObject(oldFaults) ? oldFaults : {} ), ...JSON.parse(JSON.stringify(newFaults)) };
+  Object.keys(merged).forEach((methodName) => {
+    if ( merged[methodName] === null ) { delete merged[methodName]; }
+  });
+  return merged;
+}
+
+// --- Exports ---
+
+export {
+  faultTypes, pickFault, injectFault, validateFaults, mergeFaults
+};
@@ -76,6 +76,23 @@ function getMethod(methodName) {
   return undefined;
 }
 
+// Like getMethod, but only finds methods which apps provide (supportedToAppOpenRPCs; e.g., Keyboard.standard)
+// These are only loaded in bidirectional mode
+function getToAppMethod(methodName) {
+  if (config.app.caseInsensitiveModules) {
+    methodName = createCaseAgnosticMethod(methodName);
+  }
+
+  const sources = getOpenRPCSources().filter((oSdk) => ( config.dotConfig.supportedToAppOpenRPCs || [] ).some((sdk) => sdk.name === oSdk.name));
+
+  for (const { name: sdkName } of sources) {
+    if (methodMaps[sdkName]?.[methodName]) {
+      return methodMaps[sdkName][methodName];
+    }
+  }
+  return undefined;
+}
+
 function isMethodKnown(methodName) {
   // Returns true in "novalidate mode"
   if( ! config.validate.includes("method") ){
@@ -105,6 +122,78 @@ function getFirstExampleValueForMethod(methodName) {
   return oMethod.examples[0].result.value;
 }
 
+const MAX_EXAMPLE_DEPTH = 10; // Guards against (self-)referencing schemas
+
+// Returns a value which is valid per the given (dereferenced) JSON schema, as far as practical
+// (e.g., string patterns aren't honored), preferring any const, enum, default and examples values in the schema
+function generateExampleFromSchema(oSchema, depth = 0) {
+  if ( ! isObject(oSchema) || depth > MAX_EXAMPLE_DEPTH ) { return undefined; }
+  if ( '$ref' in oSchema ) {
+    return generateExampleFromSchema(getSchema(oSchema['$ref'].substring(oSchema['$ref'].lastIndexOf('/') + 1)), depth + 1);
+  }
+  if ( 'const' in oSchema ) { return oSchema.const; }
+  if ( Array.isArray(oSchema.enum) && oSchema.enum.length > 0 ) { return oSchema.enum[0]; }
+  if ( 'default' in oSchema ) { return oSchema.default; }
+  if ( Array.isArray(oSchema.examples) && oSchema.examples.length > 0 ) { return oSchema.examples[0]; }
+
+  // Event result schemas are often anyOf the event value and ListenResponse (the result of listening); Skip the latter
+  const alternatives = oSchema.anyOf || oSchema.oneOf;
+  if ( Array.isArray(alternatives) && alternatives.length > 0 ) {
+    const alternative = alternatives.find((alt) => isObject(alt) && alt.title !== 'ListenResponse' && alt.type !== 'null') || alternatives[0];
+    return generateExampleFromSchema(alternative, depth + 1);
+  }
+  if ( Array.isArray(oSchema.allOf) ) {
+    return oSchema.allOf.reduce((merged, part) => {
+      const val = generateExampleFromSchema(part, depth + 1);
+      return ( isObject(val) && isObject(merged) ? Object.assign(merged, val) : val );
+    }, {});
+  }
+
+  const type = ( Array.isArray(oSchema.type) ? ( oSchema.type.find((tt) => tt !== 'null') || oSchema.type[0] ) : oSchema.type );
+  switch ( type ) {
+    case 'object': {
+      const val = {};
+      Object.entries(oSchema.properties || {}).forEach(([key, propSchema]) => {
+        val[key] = generateExampleFromSchema(propSchema, depth + 1);
+      });
+      return val;
+    }
+    case 'array': {
+      const item = generateExampleFromSchema(oSchema.items, depth + 1);
+      return ( item === undefined ? [] : new Array(Math.max(1, oSchema.minItems || 0)).fill(item) );
+    }
+    case 'string':
+      if ( oSchema.format === 'date-time' ) { return new Date(0).toISOString(); }
+      if ( oSchema.format === 'uri' ) { return 'https://example.com'; }
+      return 'example'.padEnd(oSchema.minLength || 0, 'x');
+    case 'integer':
+    case 'number': {
+      let val = ( 'minimum' in oSchema ? oSchema.minimum : 0 );
+      if ( 'exclusiveMinimum' in oSchema ) { val = oSchema.exclusiveMinimum + 1; }
+      if ( 'maximum' in oSchema ) { val = Math.min(val, oSchema.maximum); }
+      return val;
+    }
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return ( oSchema.properties ? generateExampleFromSchema({ ...oSchema, type: 'object' }, depth) : undefined );
+  }
+}
+
+// Returns a result value for the given event (e.g., device.onNameChanged), for sending it without writing the result by hand:
+// The first example result, if any, otherwise a value generated from the result schema
+// Returns undefined if the event is unknown
+function getExampleValueForEvent(methodName) {
+  const oMethod = getMethod(methodName);
+  if ( ! oMethod ) { return undefined; }
+  const exampleValue = getFirstExampleValueForMethod(methodName);
+  if ( exampleValue !== undefined ) { return exampleValue; }
+  const val = generateExampleFromSchema(oMethod.result && oMethod.result.schema);
+  return ( val === undefined ? null : val );
+}
+
 // Returns undefined if/when no notes or an object like { alternative: "xxx", notes: "xxx", docUrl: "xxx" }
 function getDeveloperNotesForMethod(methodName) {
   const oMethod = getMethod(methodName);
@@ -121,9 +210,51 @@ function getDeveloperNotesForMethod(methodName) {
   return developerNotes;
 }
 
+// Returns the value of the given key (e.g., 'x-setter-for') within the method's tag with the given name (e.g., 'setter')
+function getMethodTagValue(oMethod, tagName, key) {
+  if ( ! oMethod || ! oMethod.tags ) { return undefined; }
+  const oTag = oMethod.tags.find(oTag => oTag.name === tagName && key in oTag);
+  return ( oTag ? oTag[key] : undefined );
+}
+
+// x-setter-for/x-subscriber-for values name a method within the same module (e.g., 'enabled' for closedcaptions.setEnabled)
+function resolveRelatedMethodName(methodName, relatedName) {
+  let fqRelatedName = ( relatedName.includes('.') ? relatedName : `${methodName.split('.')[0]}.${relatedName}` );
+  if ( config.app.caseInsensitiveModules ) {
+    fqRelatedName = createCaseAgnosticMethod(fqRelatedName);
+  }
+  return fqRelatedName;
+}
+
+// Returns the name of the property (getter) method the given method is a setter for or undefined if it isn't a setter
+function getPropertyForSetter(methodName) {
+  const oMethod = getMethod(methodName);
+  const setterFor = getMethodTagValue(oMethod, 'setter', 'x-setter-for');
+  return ( setterFor ? resolveRelatedMethodName(oMethod.name, setterFor) : undefined );
+}
+
+// Returns the names of the event methods (e.g., closedcaptions.onEnabledChanged) which notify apps of changes
+// to the given property (getter) method (e.g., closedcaptions.enabled)
+function getSubscribersForProperty(propertyName) {
+  if ( config.app.caseInsensitiveModules ) {
+    propertyName = createCaseAgnosticMethod(propertyName);
+  }
+  const subscribers = [];
+  for ( const { name: sdkName } of getOpenRPCSources() ) {
+    for ( const oMethod of Object.values(methodMaps[sdkName] || {}) ) {
+      const subscriberFor = getMethodTagValue(oMethod, 'subscriber', 'x-subscriber-for');
+      if ( subscriberFor && resolveRelatedMethodName(oMethod.name, subscriberFor) === propertyName && ! subscribers.includes(oMethod.name) ) {
+        subscribers.push(oMethod.name);
+      }
+    }
+  }
+  return subscribers;
+}
+
 // Are the given params valid for thegiven method, based on the OpenRPC metadata?
 // Returns an array of errors; Returns an empty array if no errors are found
-function validateMethodCall(methodName, params) {
+// oMethod defaults to the method with the given name (see getMethod)
+function validateMethodCall(methodName, params, oMethod = getMethod(methodName)) {
   // Returns an empty array in "novalidate mode"
   if( ! config.validate.includes("params") ){
     return [];
@@ -131,7 +262,6 @@ function validateMethodCall(methodName, params) {
   let errors = [];
 
   try {
-    const oMethod = getMethod(methodName);
     const oParams = oMethod.params;
     for ( let pp = 0; pp < oParams.length; pp += 1 ) {
       let oParam = oParams[pp];
@@ -169,7 +299,8 @@ function validateMethodCall(methodName, params) {
 
 // Is the given value a valid result for the given method, based on the OpenRPC metadata?
 // Returns an array of errors; Returns an empty array if no errors are found
-function validateMethodResult(val, methodName) {
+// oMethod defaults to the method with the given name (see getMethod)
+function validateMethodResult(val, methodName, oMethod = getMethod(methodName)) {
   // Returns an empty array in "novalidate mode"
   if( ! config.validate.includes("response") ){
     return [];
@@ -180,7 +311,6 @@ function validateMethodResult(val, methodName) {
   if ( typeof val === 'string' && val.trimStart().startsWith('function') ) { return errors; }
 
   try {
-    const oMethod = getMethod(methodName);
     const oResult = oMethod.result;
     let oSchema = oResult.schema;
     if ( '$ref' in oSchema  ) {
@@ -356,11 +486,12 @@ readAllEnabledSdkJsonFiles()
 
 // --- Exports ---
 export const testExports={
-  rawMeta, meta, methodMaps, buildMethodMapsForAllEnabledSdks, buildMethodMap, downloadOpenRpcJsonFile
+  rawMeta, meta, methodMaps, buildMethodMapsForAllEnabledSdks, buildMethodMap, downloadOpenRpcJsonFile, generateExampleFromSchema
 }
 export {
   getRawMeta, getMeta,
-  getMethod, isMethodKnown, getSchema,
-  getFirstExampleValueForMethod, getDeveloperNotesForMethod,
+  getMethod, getToAppMethod, isMethodKnown, getSchema,
+  getFirstExampleValueForMethod, getExampleValueForEvent, getDeveloperNotesForMethod,
+  getPropertyForSetter, getSubscribersForProperty,
   validateMethodCall, validateMethodResult, validateMethodError
 };
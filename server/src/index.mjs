@@ -29,6 +29,7 @@ import * as userManagement from './userManagement.mjs';
 import * as stateManagement from './stateManagement.mjs';
 import * as proxyManagement from './proxyManagement.mjs';
 import * as sessionManagement from './sessionManagement.mjs';
+import * as chaos from './chaos.mjs';
 
 // --------------------------------------------------- Conduit ----------------------------------------------------
 
@@ -45,6 +46,14 @@ logger.important(`Welcome to Mock Firebolt`);
 const server = createServer();
 
 server.on('upgrade', function upgrade(request, socket, head) {
+  // Chaos scheduling can refuse upgrades for a while (see chaos.mjs)
+  if ( chaos.isRefusingUpgrades() ) {
+    logger.info('Chaos: Refusing web socket upgrade');
+    socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+
   const { pathname } = parse(request.url);
   let userId = pathname.substring(1);
 
@@ -82,6 +91,13 @@ server.on('upgrade', function upgrade(request, socket, head) {
   }
 });
 
+// Restore any state saved to the state file (--stateFile), along with web socket servers for the users within it
+stateManagement.restorePersistedState().forEach((userId) => {
+  if ( userId !== 'global' && ! userId.startsWith('~') && ! userManagement.isKnownUser(userId) ) {
+    userManagement.addUser(userId);
+  }
+});
+
 // Starter user(s)
 stateManagement.addUser('123~A'); userManagement.addUser('123~A');
 stateManagement.addUser('567~B'); userManagement.addUser('567~B');
@@ -90,6 +106,28 @@ stateManagement.addUser('978~B'); userManagement.addUser('978~B');
 stateManagement.addUser('456~A'); userManagement.addUser('456~A');
 stateManagement.addUser('789~A'); userManagement.addUser('789~A');
 
+// Routing rules for all users, if configured via "routing" in .mf.config.json (see routing.mjs)
+if ( config.dotConfig.routing ) {
+  try {
+    stateManagement.setRouting('global', config.dotConfig.routing);
+  } catch ( ex ) {
+    logger.error('ERROR: Invalid "routing" rules in .mf.config.json:');
+    ( ex.errors || [ ex.message ] ).forEach((errorMessage) => { logger.error(errorMessage); });
+    process.exit(1);
+  }
+}
+
+// Chaos scheduling, if configured via "chaos" in .mf.config.json (see chaos.mjs)
+if ( config.dotConfig.chaos ) {
+  try {
+    chaos.startChaos(config.dotConfig.chaos);
+  } catch ( ex ) {
+    logger.error('ERROR: Invalid "chaos" settings in .mf.config.json:');
+    ( ex.errors || [ ex.message ] ).forEach((errorMessage) => { logger.error(errorMessage); });
+    process.exit(1);
+  }
+}
+
 server.listen(commandLine.socketPort);
 logger.info(`Listening on socket port ${commandLine.socketPort}...`);
 
@@ -0,0 +1,211 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Latency profiles: How long to wait before responding to a method call or sending an event
+//
+// A latency object (state.global.latency) looks like:
+//   {
+//     <profile keys>,                          ( global profile )
+//     'device': { <profile keys> },            ( per-module profile )
+//     'device.type': { <profile keys> },       ( per-method profile )
+//     'lifecycle': {                           ( per-method profile(s), nested within their module )
+//       'ready': { <profile keys> }
+//     }
+//   }
+// where the profile keys are one of:
+//   min: 100, max: 200                                        ( uniform between min and max; min === max means fixed )
+//   type: 'fixed', value: 150
+//   type: 'uniform', min: 100, max: 200
+//   type: 'normal', mean: 150, stddev: 25                     ( never below 0 )
+//   type: 'percentile', p50: 120, p95: 400, p99: 900          ( optionally p0 (fastest, default 0) and p100 (slowest, default p99) )
+
+'use strict';
+
+import * as util from './util.mjs';
+
+const profileTypes = [ 'fixed', 'uniform', 'normal', 'percentile' ];
+const profileKeys = [ 'type', 'min', 'max', 'value', 'mean', 'stddev', 'p0', 'p50', 'p95', 'p99', 'p100' ];
+
+// Keys required for each profile type (besides 'type')
+const requiredKeys = {
+  fixed: [ 'value' ],
+  uniform: [ 'min', 'max' ],
+  normal: [ 'mean', 'stddev' ],
+  percentile: [ 'p50' ]
+};
+
+function isObject(val) {
+  return ( val !== null && typeof val === 'object' && ! Array.isArray(val) );
+}
+
+// The global (or per-module) profile is given by the profile keys at the top-level of the latency (or module) object
+// Object values are nested per-method profiles instead (e.g., device: { type: { ... } } is for device.type)
+function getProfile(oo) {
+  const profile = {};
+  profileKeys.forEach((key) => {
+    if ( key in oo && ! isObject(oo[key]) ) { profile[key] = oo[key]; }
+  });
+  return profile;
+}
+
+// Per-method profiles win over per-module profiles, which win over the global profile
+function getProfileForMethod(latency, methodName) {
+  if ( ! isObject(latency) ) { return undefined; }
+  if ( methodName && isObject(latency[methodName]) ) {
+    return latency[methodName];
+  }
+  const [ moduleName, shortMethodName ] = ( methodName ? methodName.split('.') : [] );
+  if ( moduleName && ! profileKeys.includes(moduleName) && isObject(latency[moduleName]) ) {
+    const moduleSpec = latency[moduleName];
+    if ( shortMethodName && isObject(moduleSpec[shortMethodName]) ) {
+      return moduleSpec[shortMethodName];
+    }
+    const moduleProfile = getProfile(moduleSpec);
+    if ( Object.keys(moduleProfile).length > 0 ) {
+      return moduleProfile;
+    }
+  }
+  return getProfile(latency);
+}
+
+// Standard normal random value (Box-Muller)
+function randomNormal() {
+  const u1 = 1 - Math.random(); // (0, 1], so log() below is finite
+  const u2 = Math.random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+// Inverse CDF by linear interpolation between the given percentiles
+function samplePercentiles(profile) {
+  const p95 = ( 'p95' in profile ? profile.p95 : profile.p50 );
+  const p99 = ( 'p99' in profile ? profile.p99 : p95 );
+  const knots = [
+    [ 0, profile.p0 || 0 ],
+    [ 0.5, profile.p50 ],
+    [ 0.95, p95 ],
+    [ 0.99, p99 ],
+    [ 1, ( 'p100' in profile ? profile.p100 : p99 ) ]
+  ];
+  const uu = Math.random();
+  for ( let ii = 1; ii < knots.length; ii += 1 ) {
+    const [ u0, v0 ] = knots[ii - 1];
+    const [ u1, v1 ] = knots[ii];
+    if ( uu <= u1 ) {
+      return v0 + ( v1 - v0 ) * ( uu - u0 ) / ( u1 - u0 );
+    }
+  }
+  return knots[knots.length - 1][1];
+}
+
+// Returns a delay in ms (integer >= 0) for the given profile
+function sampleDelay(profile) {
+  let dly;
+  switch ( profile.type ) {
+    case 'fixed':
+      dly = profile.value;
+      break;
+    case 'normal':
+      dly = profile.mean + profile.stddev * randomNormal();
+      break;
+    case 'percentile':
+      dly = samplePercentiles(profile);
+      break;
+    default: {
+      // 'uniform' or no type (the original min/max latency values)
+      const min = profile.min || 0;
+      const max = ( 'max' in profile ? profile.max : min );
+      dly = ( min === max ? min : util.randomIntFromInterval(min, max) );
+    }
+  }
+  return Math.max(0, Math.round(dly || 0));
+}
+
+// Returns a delay in ms for the given method (or event) or undefined if there is no latency object
+function getDelayForMethod(latency, methodName) {
+  const profile = getProfileForMethod(latency, methodName);
+  return ( profile ? sampleDelay(profile) : undefined );
+}
+
+// Returns array of error strings
+function validateProfile(profile, where) {
+  const errors = [];
+  const isNonNegativeNumber = (val) => ( typeof val === 'number' && val >= 0 );
+  if ( 'type' in profile && ! profileTypes.includes(profile.type) ) {
+    errors.push(`ERROR: Latency ${where} has unknown type '${profile.type}'; Expected one of ${profileTypes.join(', ')}`);
+    return errors;
+  }
+  ( requiredKeys[profile.type] || [] ).forEach((key) => {
+    if ( ! ( key in profile ) ) {
+      errors.push(`ERROR: Latency ${where} of type '${profile.type}' is missing '${key}'`);
+    }
+  });
+  profileKeys.filter((key) => key !== 'type' && key in profile).forEach((key) => {
+    if ( ! isNonNegativeNumber(profile[key]) ) {
+      errors.push(`ERROR: Latency ${where} has an invalid '${key}' value; Expected a number >= 0`);
+    }
+  });
+  if ( isNonNegativeNumber(profile.min) && isNonNegativeNumber(profile.max) && profile.min > profile.max ) {
+    errors.push(`ERROR: Latency ${where} has a 'min' value greater than its 'max' value`);
+  }
+  return errors;
+}
+
+// Returns array of error strings
+function validateLatency(latency) {
+  if ( ! isObject(latency) ) {
+    return [ 'ERROR: Latency must be an object' ];
+  }
+  let errors = validateProfile(getProfile(latency), 'for all methods');
+  for ( const [key, val] of Object.entries(latency) ) {
+    if ( profileKeys.includes(key) ) { continue; }
+    if ( ! isObject(val) ) {
+      errors.push(`ERROR: Latency for ${key} must be an object`);
+    } else if ( key.includes('.') ) {
+      errors = errors.concat(validateProfile(val, `for method ${key}`));
+    } else {
+      errors = errors.concat(validateProfile(getProfile(val), `for module ${key}`));
+      for ( const [shortMethodName, methodVal] of Object.entries(val) ) {
+        if ( isObject(methodVal) ) {
+          errors = errors.concat(validateProfile(methodVal, `for method ${key}.${shortMethodName}`));
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// Used when merging state: Unlike other state, profiles replace each other rather than being deep-merged,
+// so, e.g., setting { min, max } after { type: 'normal', ... } doesn't leave a 'normal' profile behind
+function mergeLatency(oldLatency, newLatency) {
+  if ( ! isObject(oldLatency) || ! isObject(newLatency) ) { return newLatency; }
+  const merged = { ...oldLatency };
+  if ( profileKeys.some((key) => key in newLatency) ) {
+    profileKeys.forEach((key) => { delete merged[key]; });
+  }
+  return Object.assign(merged, JSON.parse(JSON.stringify(newLatency)));
+}
+
+// --- Exports ---
+
+export const testExports = {
+  getProfile, samplePercentiles
+};
+
+export {
+  getProfileForMethod, sampleDelay, getDelayForMethod, validateLatency, mergeLatency
+};
@@ -27,10 +27,14 @@ import * as fireboltOpenRpc from './fireboltOpenRpc.mjs';
 import * as stateManagement from './stateManagement.mjs';
 import * as userManagement from './userManagement.mjs';
 import * as events from './events.mjs';
+import * as faults from './faults.mjs';
 import { methodTriggers } from './triggers.mjs';
 import { addCall, updateCallWithResponse } from './sessionManagement.mjs';
 import * as proxyManagement from './proxyManagement.mjs';
 import * as conduit from './conduit.mjs';
+import * as shadow from './shadow.mjs';
+import * as sequenceManagement from './sequenceManagement.mjs';
+import * as appRequests from './appRequests.mjs';
 import { config } from './config.mjs';
 import { createAndSendInteractionLog } from './interactionLog.mjs';
 
@@ -55,13 +59,107 @@ function fFatalErr() {
   logger.info(`Internal error`)
 }
 
+// Where to send a call to the given method: 'mock', 'proxy', 'conduit' or 'shadow' (mock, and proxy to compare; see shadow.mjs)
+// A routing rule (see routing.mjs) wins, unless its proxy or Conduit isn't available; Without a rule, calls are shadowed
+// (in shadow mode), overridden methods are mocked, then calls are proxied (in proxy mode) or sent via Conduit (if connected) or mocked
+function getRoute(userId, methodName) {
+  const route = stateManagement.getRoute(userId, methodName);
+  if ( ( route === 'proxy' || route === 'shadow' ) && ! process.env.proxy ) {
+    logger.warn(`WARNING: Routing rule for ${methodName} is '${route}', but not in proxy mode (--proxy); Mocking it instead`);
+    return 'mock';
+  }
+  if ( route === 'conduit' && ! conduit.isConduitConnected() ) {
+    logger.warn(`WARNING: Routing rule says to send ${methodName} via Conduit, but Conduit isn't connected; Mocking it instead`);
+    return 'mock';
+  }
+  if ( route ) { return route; }
+  if ( process.env.proxy && config.shadow ) { return 'shadow'; }
+  if ( stateManagement.hasOverride(userId, methodName) ) { return 'mock'; }
+  if ( process.env.proxy ) { return 'proxy'; }
+  if ( conduit.isConduitConnected() ) { return 'conduit'; }
+  return 'mock';
+}
+
 // Process given message and send any ack/reply to given web socket connection
+// The message may be a single JSON-RPC request/notification or a JSON-RPC 2.0 batch (an array of them)
 async function handleMessage(message, userId, ws) {
-  let response, newResponse;
-
   logger.debug(`Received message for user ${userId} : ${message}`);
 
   const oMsg = JSON.parse(message);
+  if ( Array.isArray(oMsg) ) {
+    await handleBatchMessage(oMsg, userId, ws);
+    return;
+  }
+
+  await handleSingleMessage(oMsg, userId, ws, function reply(responseMessage) {
+    ws.send(responseMessage);
+  });
+}
+
+// Process each request within a JSON-RPC 2.0 batch and send back a single array of responses,
+// in the same order as the requests, leaving out notifications (which get no response)
+async function handleBatchMessage(aMsgs, userId, ws) {
+  if ( aMsgs.length === 0 ) {
+    const oResponseMessage = {
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'Invalid Request'
+      }
+    };
+    const responseMessage = JSON.stringify(oResponseMessage);
+    ws.send(responseMessage);
+    logger.info(`Sent "invalid request" message for empty batch: ${responseMessage}`);
+    return;
+  }
+
+  const responseMessages = await Promise.all(aMsgs.map(async (oMsg) => {
+    if ( typeof oMsg !== 'object' || oMsg === null || Array.isArray(oMsg) ) {
+      return JSON.stringify({
+        jsonrpc: '2.0',
+        id: null,
+        error: {
+          code: -32600,
+          message: 'Invalid Request'
+        }
+      });
+    }
+    // Usually one response per request, but none for notifications (or for dropped responses; see faults.mjs),
+    // and possibly two for duplicated responses
+    const aResponseMessages = [];
+    await handleSingleMessage(oMsg, userId, ws, function reply(msg) {
+      aResponseMessages.push(msg);
+    });
+    return aResponseMessages;
+  }));
+
+  // Joined as strings rather than parsed and re-stringified, so malformed (fault-injected) responses stay malformed
+  const aAllResponseMessages = [].concat(...responseMessages);
+  if ( aAllResponseMessages.length === 0 ) {
+    logger.info('Not responding, since the batch contained only notifications');
+    return;
+  }
+
+  const batchResponseMessage = `[${aAllResponseMessages.join(',')}]`;
+  ws.send(batchResponseMessage);
+  logger.debug(`Sent batch message for user ${userId}: ${batchResponseMessage}`);
+}
+
+// Process a single JSON-RPC request/notification object, passing any ack/reply message to the given reply function
+async function handleSingleMessage(oMsg, userId, ws, reply) {
+  let response, newResponse;
+
+  // Responses from the app to requests sent to it (e.g., bidirectional events) aren't calls; See appRequests.mjs
+  if ( appRequests.handleResponse(ws, oMsg) ) {
+    return;
+  }
+  // Other responses (e.g., to requests which already timed out or were cancelled) are dropped; Replying to them would break JSON-RPC
+  if ( ! ( 'method' in oMsg ) && ( 'result' in oMsg || 'error' in oMsg ) ) {
+    logger.info(`Dropping response from the app with id ${oMsg.id}: No request is waiting for it (it may have timed out)`);
+    return;
+  }
+
   if (oMsg.method && config.app.caseInsensitiveModules) {
     oMsg.method = util.createCaseAgnosticMethod(oMsg.method);
   } else if (!oMsg.method) {
@@ -74,7 +172,7 @@ async function handleMessage(message, userId, ws) {
       }
     };
     const responseMessage = JSON.stringify(oResponseMessage);
-    ws.send(responseMessage);
+    reply(responseMessage);
     logger.debug(`Sent message for user ${userId}: ${responseMessage}`);
     return;
   }
@@ -82,6 +180,9 @@ async function handleMessage(message, userId, ws) {
   // record the message if we are recording
   addCall(oMsg.method, oMsg.params, userId);
 
+  // let any running sequences with waitForCall or assertCalled steps know about the call
+  sequenceManagement.notifyCall(userId, oMsg.method, oMsg.params);
+
   // Handle JSON-RPC notifications (w/ no id in request)
   // - Don't send reply message over socket back to SDK
   if (!('id' in oMsg)) {
@@ -103,7 +204,7 @@ async function handleMessage(message, userId, ws) {
     };
     const responseMessage = JSON.stringify(oResponseMessage);
     // No delay
-    ws.send(responseMessage);
+    reply(responseMessage);
     logger.info(`Sent "method not found" message: ${responseMessage}`);
     updateCallWithResponse(oMsg.method, oResponseMessage.error, "error", userId)
     return;
@@ -117,11 +218,11 @@ async function handleMessage(message, userId, ws) {
 
     events.registerEventListener(userId, eventMetadata, ws);
   
-    // Only perform additional actions if not in proxy mode
-    if (!process.env.proxy) {
+    // Only perform additional actions if not proxying the registration
+    if (getRoute(userId, oMsg.method) !== 'proxy') {
       // If registrationAck config is included, send ack message
       if (eventConfig.registrationAck) {
-        events.sendEventListenerAck(userId, ws, eventMetadata);
+        events.sendEventListenerAck(userId, { send: reply }, eventMetadata);
       }
       return;
     }
@@ -135,11 +236,11 @@ async function handleMessage(message, userId, ws) {
 
     events.deregisterEventListener(userId, eventMetadata, ws);
   
-    // Only perform additional actions if not in proxy mode
-    if (!process.env.proxy) {
+    // Only perform additional actions if not proxying the deregistration
+    if (getRoute(userId, oMsg.method) !== 'proxy') {
       // If unRegistrationAck config is included, send ack message
       if (eventConfig.unRegistrationAck) {
-        events.sendUnRegistrationAck(userId, ws, eventMetadata);
+        events.sendUnRegistrationAck(userId, { send: reply }, eventMetadata);
       }
       return;
     }
@@ -166,7 +267,7 @@ async function handleMessage(message, userId, ws) {
     };
     const responseMessage = JSON.stringify(oResponseMessage);
     // No delay
-    ws.send(responseMessage);
+    reply(responseMessage);
     logger.info(`Sent "invalid params" message: ${responseMessage}`);
     updateCallWithResponse(oMsg.method, oResponseMessage.error, "error", userId);
     return;
@@ -195,69 +296,69 @@ async function handleMessage(message, userId, ws) {
           }
         };
         logger.debug(`Calling pre trigger for method ${oMsg.method}`);
-        methodTriggers[oMsg.method].pre.call(null, ctx, oMsg.params);
+        await methodTriggers[oMsg.method].pre.call(null, ctx, oMsg.params);
       } catch (ex) {
         logger.error(`ERROR: Exception occurred while executing pre-trigger for ${oMsg.method}; continuing`);
       }
     }
   }
 
-  // Handle the Firebolt call
-  // - If an override value has been specified (via response, result, error, results properties), use/return it
-  // - If Conduit is connected, route the incoming Firebolt call from the app under development through here
+  // Handle the Firebolt call, per its route (see getRoute)
+  // - If mocked and an override value has been specified (via response, result, error, results properties), use/return it
+  // - If shadowed, do the same, but also pass the call through to the proxy server to compare the responses (see shadow.mjs)
+  // - If proxied, pass the call through to the proxy server and return its response as-is
+  // - If sent via Conduit, route the incoming Firebolt call from the app under development through here
   //   (Mock Firebolt) and the Conduit app on a device and back in order to get a real result.
   // - Otherwise, return the standard static default mock results (from examples in the OpenRPC specification)
 
-  if (stateManagement.hasOverride(userId, oMsg.method)) {
+  const route = getRoute(userId, oMsg.method);
+  const hasOverride = stateManagement.hasOverride(userId, oMsg.method);
+  if ((route === 'mock' || route === 'shadow') && hasOverride) {
     // Handle Firebolt Method call using our in-memory mock values
     logger.debug(`Retrieving override mock value for method ${oMsg.method}`);
     response = await stateManagement.getMethodResponse(userId, oMsg.method, oMsg.params, ws); // Could be optimized cuz we know we want an override response
-  } else if (process.env.proxy) {
+  } else if (route === 'proxy') {
     //bypass JSON-RPC calls and hit proxy server endpoint
     //init websocket connection for proxy request to be sent and use receiver client to send events back to caller.
     try {
       response = await proxyManagement.sendRequest(ws, JSON.stringify(oMsg), userId)
     } catch (err) {
-      logger.error(`ERROR: Unable to establish proxy connection due to ${err}`)
-      process.exit(1)
+      // The proxy server couldn't be reached or didn't respond in time; Let the app know (like any other response, as a JSON-RPC message)
+      const message = (err instanceof commonErrors.RequestTimeoutError ? err.message : `Unable to establish proxy connection due to ${err.message || err}`);
+      logger.error(`ERROR: ${message} (method: ${oMsg.method})`);
+      response = JSON.stringify({ jsonrpc: '2.0', id: oMsg.id, error: { code: -32603, message: message } });
     }
-  } else if (conduit.isConduitConnected()) {
+  } else if (route === 'conduit') {
     // When the Conduit app is connected, we'll route incoming Firebolt calls from the app under development
     // through here (Mock Firebolt) and the Conduit app on a device and back in order to get a real result.
     logger.debug(`Forwarding Firebolt method call message to Conduit to get a real answer from a real device (method: ${oMsg.method})`);
-    conduit.sendMessageToConduit(oMsg);
-    // The actual Firebolt result, as collected and forwarded by the Conduit app will be returned upon
-    // receipt and handling of a FIREBOLT-RESPONSE message
-
-    let isTimeout = false;
-    let timeoutTimer = setTimeout(() => {
-      isTimeout = true;
-    }, 3000);
-    let tmpResponse;
-    await new Promise((resolve, reject) => {
-      let intervalTimer = setInterval(_ => {
-        tmpResponse = conduit.getResponseFromConduit(oMsg);
-        if (tmpResponse || isTimeout) {
-          clearInterval(intervalTimer);
-          clearTimeout(timeoutTimer);
-          logger.debug('Received response from Conduit app');
-          // Make the real Firebolt response look like our normal response objects (with a result key or error key)
-          // @TODO: Test that the error case works correctly
-          if (typeof tmpResponse === 'object' && tmpResponse.hasOwnProperty('code') && tmpResponse.hasOwnProperty('message')) {
-            response = {
-              error: tmpResponse
-            };
-          } else {
-            response = {
-              result: tmpResponse
-            };
-          }
-          resolve();
-        } else {
-          // logger.debug('handleMessage: Still waiting for result response from Conduit app...');
-        }
-      }, 500);
-    });
+    try {
+      // The actual Firebolt result, as collected and forwarded by the Conduit app will be returned upon
+      // receipt and handling of a FIREBOLT-RESPONSE message
+      const conduitResponse = await conduit.sendMessageToConduit(oMsg);
+      logger.debug('Received response from Conduit app');
+      // Make the real Firebolt response look like our normal response objects (with a result key or error key)
+      const tmpResponse = conduitResponse.result;
+      if ('error' in conduitResponse) {
+        response = {
+          error: conduitResponse.error
+        };
+      } else if (typeof tmpResponse === 'object' && tmpResponse !== null && tmpResponse.hasOwnProperty('code') && tmpResponse.hasOwnProperty('message')) {
+        response = {
+          error: tmpResponse
+        };
+      } else {
+        response = {
+          result: tmpResponse
+        };
+      }
+    } catch (err) {
+      // Conduit didn't respond in time (or disconnected); Let the app know
+      logger.error(`ERROR: ${err.message} (method: ${oMsg.method})`);
+      response = {
+        error: { code: ( err.code || -32603 ), message: err.message }
+      };
+    }
 
   } else {
     // Handle Firebolt Method call using default defaults (from the examples in the Open RPC specification)
@@ -304,7 +405,7 @@ async function handleMessage(message, userId, ws) {
         };
         logger.debug(`Calling post trigger for method ${oMsg.method}`);
         // post trigger can return undefined to leave as-is or can return a new response object
-        newResponse = methodTriggers[oMsg.method].post.call(null, ctx, oMsg.params);
+        newResponse = await methodTriggers[oMsg.method].post.call(null, ctx, oMsg.params);
 
         // If there is one, make the real Firebolt response look like our normal response objects (with a result key or error key)
         if (newResponse !== undefined) {
@@ -319,8 +420,8 @@ async function handleMessage(message, userId, ws) {
           }
         }
       } catch (ex) {
-        if (ex instanceof commonErrors.FireboltError) {
-          // Looks like the function threw a FireboltError, which means we want to mock an error, not a result
+        if (ex instanceof commonErrors.FireboltError || ex instanceof commonErrors.SandboxError) {
+          // Looks like the function threw a FireboltError (or failed within the sandbox), which means we want to mock an error, not a result
           newResponse = {
             error: { code: ex.code, message: ex.message }
           }
@@ -337,7 +438,11 @@ async function handleMessage(message, userId, ws) {
 
   logger.debug(`Sending response for method ${oMsg.method}`);
   let finalResponse = (newResponse ? newResponse : response);
-  if (!process.env.proxy || stateManagement.hasOverride(userId, oMsg.method)) {
+  // Compare what the app gets (after any post trigger) with the real response; Not awaited, so the app doesn't wait for the proxy server
+  if (route === 'shadow') {
+    shadow.shadowCall(userId, oMsg, finalResponse, (hasOverride ? 'override' : 'example'), ws);
+  }
+  if (route !== 'proxy') {
     const oResponseMessage = {
       jsonrpc: '2.0',
       id: oMsg.id,
@@ -345,16 +450,21 @@ async function handleMessage(message, userId, ws) {
     };
     finalResponse = JSON.stringify(oResponseMessage);
   }
-  const dly = stateManagement.getAppropriateDelay(userId, oMsg.method);
+  const dly = await stateManagement.getAppropriateDelay(userId, oMsg.method);
   await util.delay(dly);
 
-  ws.send(finalResponse);
-  logger.debug(`Sent message for user ${userId}: ${finalResponse}`);
+  const fault = stateManagement.getFault(userId, oMsg.method);
+  if ( fault ) {
+    await faults.injectFault(fault, oMsg.method, finalResponse, reply, function cc() { userManagement.closeConnection(userId, ws); });
+  } else {
+    reply(finalResponse);
+    logger.debug(`Sent message for user ${userId}: ${finalResponse}`);
+  }
   updateCallWithResponse(oMsg.method, JSON.parse(finalResponse).result, "result", userId)
 
   config.interactionService && config.interactionService.forEach((_, userId) => {
     const userWSData = userManagement.getWsForUser(userId);
-    createAndSendInteractionLog(finalResponse, JSON.parse(message).method, JSON.parse(message).params, userWSData, userId); // creating interaction log and send it to the client
+    createAndSendInteractionLog(finalResponse, oMsg.method, oMsg.params, userWSData, userId); // creating interaction log and send it to the client
   });
 }
 
@@ -0,0 +1,135 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Provider simulation: Call methods which apps provide (per supportedToAppOpenRPCs; e.g., Keyboard.standard or
+// PinChallenge.challenge) the way a device would, and check the apps' responses against the toApp OpenRPC spec
+//
+// Each call resolves with:
+//   {
+//     method: 'Keyboard.standard',
+//     request: { id: 17, jsonrpc: '2.0', method: 'Keyboard.standard', params: { ... } },   ( as sent to the app )
+//     response: { status: 'acked', result: 'Living Room', responseTimeMs: 1234 },          ( see appRequests.mjs )
+//     errors: [ ... ]                                                                      ( problems with the app's response, if any )
+//   }
+
+'use strict';
+
+import * as fireboltOpenRpc from './fireboltOpenRpc.mjs';
+import * as userManagement from './userManagement.mjs';
+import * as appRequests from './appRequests.mjs';
+import * as commonErrors from './commonErrors.mjs';
+import { config } from './config.mjs';
+import { logger } from './logger.mjs';
+
+const DEFAULT_PROVIDER_TIMEOUT_MS = 30000; // Providers like keyboards may wait for (simulated) user input
+
+// Schema validation errors may be strings or ajv error objects
+function describeError(err, what) {
+  return ( typeof err === 'string' ? err : `${what}${err.dataPath || ''} ${err.message}` );
+}
+
+// The params from the method's first example, if any (as an object, keyed by param name)
+function getExampleParams(oMethod) {
+  const example = ( oMethod.examples || [] )[0];
+  if ( ! example || ! Array.isArray(example.params) ) { return {}; }
+  return example.params.reduce((params, oParam) => {
+    params[oParam.name] = oParam.value;
+    return params;
+  }, {});
+}
+
+// Returns array of error strings
+function validateProviderCall(method, params, timeoutMs) {
+  if ( ! config.dotConfig.bidirectional ) {
+    return [ 'ERROR: Calling app-provided methods requires bidirectional mode; See docs/DotConfig.md' ];
+  }
+  const oMethod = fireboltOpenRpc.getToAppMethod(method);
+  if ( ! oMethod ) {
+    return [ `ERROR: ${method} is not a method apps provide (not found in supportedToAppOpenRPCs)` ];
+  }
+  if ( params !== undefined && ( params === null || typeof params !== 'object' || Array.isArray(params) ) ) {
+    return [ 'ERROR: Params must be an object (keyed by param name)' ];
+  }
+  if ( timeoutMs !== undefined && ! ( typeof timeoutMs === 'number' && Number.isFinite(timeoutMs) && timeoutMs > 0 ) ) {
+    return [ `ERROR: timeoutMs must be a positive number of milliseconds; Got ${JSON.stringify(timeoutMs)}` ];
+  }
+  return fireboltOpenRpc.validateMethodCall(method, params || {}, oMethod).map((err) => describeError(err, 'params'));
+}
+
+// Returns array of error strings for the app's response (an outcome from appRequests.trackRequest)
+function validateProviderResponse(method, response) {
+  const oMethod = fireboltOpenRpc.getToAppMethod(method);
+  switch ( response.status ) {
+    case 'acked':
+      // Notifiers (e.g., Device.nameChanged) have no result to validate
+      if ( ! oMethod.result ) { return []; }
+      return fireboltOpenRpc.validateMethodResult(response.result, method, oMethod).map((err) => describeError(err, 'result'));
+    case 'errored':
+      return fireboltOpenRpc.validateMethodError(response.error);
+    case 'timed-out':
+      return [ `ERROR: The app did not respond within ${response.responseTimeMs}ms` ];
+    default:
+      return [ 'ERROR: The app disconnected before responding' ];
+  }
+}
+
+// Calls the given toApp method on the user's (latest) web socket connection and waits for the app to respond
+// Without params, the params from the method's first example are sent
+// Throws DataValidationError if the method, params or timeoutMs are invalid; Resolves with undefined if the user isn't connected
+async function callProvider(userId, method, params, timeoutMs) {
+  const oMethod = fireboltOpenRpc.getToAppMethod(method);
+  if ( params === undefined && oMethod ) {
+    params = getExampleParams(oMethod);
+  }
+  const errors = validateProviderCall(method, params, timeoutMs);
+  if ( errors.length > 0 ) {
+    throw new commonErrors.DataValidationError(errors);
+  }
+  const ws = userManagement.getWsForUser(userId);
+  if ( ! ws ) {
+    logger.info(`Could not call ${method}: No web socket connection for user ${userId}`);
+    return undefined;
+  }
+
+  const request = {
+    id: appRequests.nextRequestId(),
+    jsonrpc: '2.0',
+    method: method,
+    params: params
+  };
+  ws.send(JSON.stringify(request));
+  logger.info(`Called app-provided method for user ${userId}: ${JSON.stringify(request)}`);
+
+  const response = await appRequests.trackRequest(ws, request.id, method, timeoutMs || DEFAULT_PROVIDER_TIMEOUT_MS);
+  return {
+    method: method,
+    request: request,
+    response: response,
+    errors: validateProviderResponse(method, response)
+  };
+}
+
+// --- Exports ---
+
+export const testExports = {
+  getExampleParams, DEFAULT_PROVIDER_TIMEOUT_MS
+};
+
+export {
+  validateProviderCall, validateProviderResponse, callProvider
+};
@@ -18,108 +18,183 @@
 
 'use strict';
 
+import fs from 'fs';
 import { parse } from 'url';
 import WebSocket from 'ws';
+import { config } from './config.mjs';
 import { deleteWsOfUser } from './userManagement.mjs';
+import { delay } from './util.mjs';
+import * as proxyRecording from './proxyRecording.mjs';
+import { createCorrelator } from './requestCorrelator.mjs';
+
+const DEFAULT_PROXY_TIMEOUT_MS = 10000;
 
 const wsMap = new Map();
-const wsMsgMap = new Map();
+const connecting = new Map(); // Keys are (incoming) web sockets, values are Promises of outgoing ws connections being set up
+// Keys are (incoming) web sockets, values are correlators matching the proxy server's responses to the calls sent on them
+const correlators = new Map();
+// Keys are (incoming) web sockets, values are Maps of the ids of calls waiting for responses to the calls (as sent), so
+// responses can be recorded as soon as they arrive, before any events which follow them (see proxyRecording.mjs)
+const pendingCommands = new Map();
+
+function getCorrelator(returnWs) {
+  if ( ! correlators.has(returnWs) ) {
+    correlators.set(returnWs, createCorrelator('the proxy'));
+  }
+  return correlators.get(returnWs);
+}
 
-async function sendRequest(returnWs, command, userId) {
-  let outgoingWs = wsMap.get(returnWs);
-  /* Checks to see if ws connection is in map.
-   * If connection exists and is active, it will be used.
-   * Else, a new connection will be created and mapped to returnWs.
-   */
-
-  // Set up listeners once and only once
-  if (!outgoingWs) {
-    outgoingWs = await setupOutgoingWs(returnWs, userId);
-
-    outgoingWs.on('message', (data) => {
-      const buf = Buffer.from(data, 'utf8');
-      const response = JSON.parse(buf.toString());
-
-      if (response.id === undefined) {
-        // In case of event, send the event to caller directly.
-        returnWs.send(buf.toString());
-      } else {
-        wsMsgMap.set(returnWs, buf.toString());
-      }
+function getPendingCommands(returnWs) {
+  if ( ! pendingCommands.has(returnWs) ) {
+    pendingCommands.set(returnWs, new Map());
+  }
+  return pendingCommands.get(returnWs);
+}
+
+function isOpen(returnWs) {
+  return !!returnWs && returnWs.readyState === WebSocket.OPEN;
+}
+
+// Resolves with the outgoing ws connection for the given (incoming) ws connection
+// If the connection exists and is active, it will be used; Else, a new connection will be created and mapped to returnWs
+// Concurrent calls (and calls made while reconnecting) share the same new connection
+function getOutgoingWs(returnWs, userId) {
+  if (wsMap.has(returnWs)) {
+    return Promise.resolve(wsMap.get(returnWs));
+  }
+  if (!connecting.has(returnWs)) {
+    const pOutgoingWs = setupOutgoingWs(returnWs, userId).finally(() => {
+      connecting.delete(returnWs);
     });
+    connecting.set(returnWs, pOutgoingWs);
   }
+  return connecting.get(returnWs);
+}
 
+async function sendRequest(returnWs, command, userId) {
+  const outgoingWs = await getOutgoingWs(returnWs, userId);
+
+  // Responses are matched to calls by id, so concurrent calls each get their own response
+  const timeoutMs = config.dotConfig.proxyTimeoutMs || DEFAULT_PROXY_TIMEOUT_MS;
+  const id = JSON.parse(command).id;
+  const pResponse = getCorrelator(returnWs).track(id, timeoutMs);
+  const commands = getPendingCommands(returnWs);
+  if (!commands.has(id)) {
+    commands.set(id, command);
+  }
   outgoingWs.send(command);
 
-  return new Promise(async (res, rej) => {
-    try {
-      const response = await getResponseMessageFromProxy(returnWs);
-      // Clear for next message
-      wsMsgMap.set(returnWs, null);
-      res(response);
-    } catch (err) {
-      rej('Timeout waiting for WS response.');
+  try {
+    return await pResponse;
+  } finally {
+    if (commands.get(id) === command) {
+      commands.delete(id);
     }
-  });
+  }
 }
 
+function handleProxyMessage(returnWs, userId, data) {
+  const buf = Buffer.from(data, 'utf8');
+  const response = JSON.parse(buf.toString());
+
+  if (response.id !== undefined && !('method' in response) && getCorrelator(returnWs).resolve(response.id, buf.toString())) {
+    proxyRecording.recordResponse(userId, getPendingCommands(returnWs).get(response.id), buf.toString());
+    return;
+  }
+  // In case of event, send the event to caller directly.
+  // Events either have a method (and params) or, like Firebolt 1.x events, the id of the (already answered) registration call
+  returnWs.send(buf.toString());
+  proxyRecording.recordEvent(userId, buf.toString());
+}
+
+// Resolves with a new (open) connection to the proxy server for the given (incoming) ws connection
 function setupOutgoingWs(returnWs, userId) {
   const url = buildWSUrl();
-  const ws = new WebSocket(url);
-  try {
-    return new Promise((res, rej) => {
-      ws.on('open', function open() {
-        console.log('Connection to websocket proxy server established.');
-        // Add ws connection to map
-        wsMap.set(returnWs, ws);
-        res(ws);
-      });
-
+  const ws = new WebSocket(url, getWsOptions());
+  return new Promise((res, rej) => {
+    ws.on('open', function open() {
+      console.log('Connection to websocket proxy server established.');
+      ws.on('message', (data) => handleProxyMessage(returnWs, userId, data));
       ws.on('close', function close() {
         console.log('WS disconnected.');
-        /* Remove closed connection from maps
-         Deletes the websocket object for the closed connection from the impacted user's data
-        */
-        deleteWsOfUser(returnWs, userId)
-        // Deletes the closed incoming and outgoing websocket object from map
-        wsMap.delete(returnWs);
+        handleProxyClose(returnWs, userId, ws);
       });
+      // Close the connection when the app's connection closes
+      if (returnWs && typeof returnWs.once === 'function') {
+        returnWs.once('close', () => ws.close());
+      }
+      // Add ws connection to map
+      wsMap.set(returnWs, ws);
+      res(ws);
+    });
 
-      ws.on('error', function message(err) {
-        rej(err);
-      });
+    ws.on('error', function message(err) {
+      rej(err);
     });
-  } catch (err) {
-    return err;
+  });
+}
+
+function handleProxyClose(returnWs, userId, ws) {
+  // Deletes the closed outgoing websocket object from map
+  if (wsMap.get(returnWs) === ws) {
+    wsMap.delete(returnWs);
+  }
+  // Calls still waiting for responses won't get them
+  getCorrelator(returnWs).rejectAll(new Error('Connection to websocket proxy server closed.'));
+  if (isOpen(returnWs)) {
+    reconnect(returnWs, userId);
+  } else {
+    correlators.delete(returnWs);
+    pendingCommands.delete(returnWs);
   }
 }
 
-function getResponseMessageFromProxy(returnWs) {
-  let timeout = 10000;
-  let counter = 0;
-  let interval = 100;
-  return new Promise((res, rej) => {
-    var timer = setInterval(function () {
-      if (counter >= timeout) {
-        console.log('Response not received for given returnWs.');
-        rej(false);
-      }
+// Reconnects to the proxy server with backoff (per config.proxy.reconnect); Calls made meanwhile wait for the new connection
+function reconnect(returnWs, userId) {
+  const pOutgoingWs = reconnectWithBackoff(returnWs, userId).catch((err) => {
+    console.log(`Could not reconnect to websocket proxy server (${err.message || err}); Giving up.`);
+    // Deletes the websocket object for the closed connection from the impacted user's data
+    deleteWsOfUser(returnWs, userId);
+    throw err;
+  }).finally(() => {
+    connecting.delete(returnWs);
+  });
+  pOutgoingWs.catch(() => {}); // Any calls waiting for the new connection get the error
+  connecting.set(returnWs, pOutgoingWs);
+}
 
-      const returnMsg = wsMsgMap.get(returnWs);
-      if (returnMsg) {
-        // Clear interval if response received for given returnWs
-        clearInterval(timer);
-        res(returnMsg);
+async function reconnectWithBackoff(returnWs, userId) {
+  const { maxAttempts, initialDelayMs, maxDelayMs } = config.proxy.reconnect;
+  let delayMs = initialDelayMs;
+  for (let attempt = 1; ; attempt++) {
+    console.log(`Reconnecting to websocket proxy server in ${delayMs}ms (attempt ${attempt} of ${maxAttempts})...`);
+    await delay(delayMs);
+    if (!isOpen(returnWs)) {
+      throw new Error('The app disconnected');
+    }
+    try {
+      return await setupOutgoingWs(returnWs, userId);
+    } catch (err) {
+      if (attempt >= maxAttempts) {
+        throw err;
       }
-      counter = counter + interval;
-    }, interval);
-  });
+      delayMs = Math.min(delayMs * 2, maxDelayMs);
+    }
+  }
 }
 
+// Full URLs (ws:// or wss://, with any path) are used as-is; Otherwise the URL is ws://<host:port>/jsonrpc
+// Either way, the token from the env (MF_TOKEN), if any, is added as a "token" query param
 function buildWSUrl() {
   let proxyUrl = process.env.proxyServerIP;
   if (!proxyUrl) {
     throw Error('ERROR: Proxy Url not found in env.');
+  } else if (/^wss?:\/\//i.test(proxyUrl)) {
+    const url = new URL(proxyUrl);
+    if (process.env.MF_TOKEN && !url.searchParams.has('token')) {
+      url.searchParams.set('token', process.env.MF_TOKEN);
+    }
+    return url.toString();
   } else if (!proxyUrl.includes(':')) {
     proxyUrl = proxyUrl + ':' + 9998;
     console.log('Using the default port of 9998.')
@@ -136,6 +211,18 @@ function buildWSUrl() {
   ].join('');
 }
 
+// Headers and TLS options for connections to the proxy server, per config.proxy
+function getWsOptions() {
+  const options = {
+    headers: config.proxy.headers || {},
+    rejectUnauthorized: config.proxy.rejectUnauthorized !== false
+  };
+  if (config.proxy.ca) {
+    options.ca = fs.readFileSync(config.proxy.ca);
+  }
+  return options;
+}
+
 // Get token from request param or env variable
 function getMFToken(request) {
   let output = {
@@ -159,4 +246,9 @@ function getMFToken(request) {
 }
 
 // --- Exports ---
+
+export const testExports = {
+  buildWSUrl, getWsOptions, wsMap
+};
+
 export { getMFToken, sendRequest, deleteWsOfUser };
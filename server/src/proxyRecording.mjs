@@ -0,0 +1,169 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Proxy recording: In proxy mode, save the real device's responses to proxied calls (and the events it sends) as an
+// override bundle, so the same session can be replayed later without the device (e.g., in CI)
+//
+// Recordings are written to <outputPath>/<userId>/ as they're made (see config.proxyRecording):
+//   mocks.json                                    { "methods": { ... } }; Upload via PUT /api/v1/state or "node cli.mjs --upload"
+//   events/001-device.onNameChanged.event.json    { "method": ..., "result": ... }; Send via "node cli.mjs --event"
+//
+// Methods which always got the same response get a "result" (or "error"); Others get their "responses", in call order
+// Events either have a method or, like Firebolt 1.x events, the id of the registration call (listen: true) of their method
+// Values named in config.proxyRecording.redact (key names or method names; case-insensitive) are replaced with REDACTED_VALUE
+
+'use strict';
+
+import fs from 'fs';
+import path from 'path';
+import { isEqual } from 'lodash-es';
+import { config } from './config.mjs';
+import { logger } from './logger.mjs';
+
+const REDACTED_VALUE = 'REDACTED';
+const MOCKS_FILE_NAME = 'mocks.json';
+
+// Keys are userIds, values are { methods: Map of method names to arrays of responses, registrations: Map of
+// registration call ids to event method names, eventCount }
+const recordings = new Map();
+
+function isRecording() {
+  return !! ( config.proxyRecording && config.proxyRecording.outputPath );
+}
+
+function getRecording(userId) {
+  const key = ''+userId;
+  if ( ! recordings.has(key) ) {
+    recordings.set(key, { methods: new Map(), registrations: new Map(), eventCount: 0 });
+  }
+  return recordings.get(key);
+}
+
+function getUserDir(userId) {
+  return path.join(config.proxyRecording.outputPath, ''+userId);
+}
+
+// Returns a copy of the given value (a result or event result of the given method) with values redacted:
+// - Entries with a '.' are method names (e.g., 'device.id'); The whole value is redacted for these methods
+// - Other entries are key names (e.g., 'token'); The values of these keys are redacted, at any depth
+function redact(val, method) {
+  const entries = ( config.proxyRecording.redact || [] ).map((entry) => entry.toLowerCase());
+  if ( entries.includes(method.toLowerCase()) ) { return REDACTED_VALUE; }
+  function redactVal(vv) {
+    if ( Array.isArray(vv) ) { return vv.map(redactVal); }
+    if ( vv === null || typeof vv !== 'object' ) { return vv; }
+    return Object.fromEntries(Object.entries(vv).map(([key, kv]) => {
+      return [ key, ( entries.includes(key.toLowerCase()) ? REDACTED_VALUE : redactVal(kv) ) ];
+    }));
+  }
+  return redactVal(val);
+}
+
+function parseMessage(message) {
+  try {
+    return JSON.parse(message);
+  } catch ( ex ) {
+    return undefined;
+  }
+}
+
+function writeJsonFile(filePath, oJson) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(oJson, null, 2));
+  } catch ( ex ) {
+    logger.error(`ERROR: Could not write recording to ${filePath}: ${ex.message}`);
+  }
+}
+
+// The user's recorded responses, in the "methods" format used by PUT /api/v1/state
+function getMockOverrides(userId) {
+  const methods = {};
+  getRecording(userId).methods.forEach((responses, method) => {
+    if ( responses.every((rr) => isEqual(rr, responses[0])) ) {
+      methods[method] = responses[0];
+    } else {
+      methods[method] = { responses: responses };
+    }
+  });
+  return { methods: methods };
+}
+
+// Keeps track of the user's event registrations, so events which only have the id of their registration call can be named
+function trackRegistration(userId, oCommand, oResponse) {
+  const { registrations } = getRecording(userId);
+  if ( oCommand.params.listen && ! ( 'error' in oResponse ) ) {
+    registrations.set(oCommand.id, oCommand.method);
+  } else if ( ! oCommand.params.listen ) {
+    registrations.forEach((method, id) => {
+      if ( method === oCommand.method ) { registrations.delete(id); }
+    });
+  }
+}
+
+// Records the response (a JSON-RPC response message) to the given call (a JSON-RPC request message) from the user's app
+// Does nothing unless recording; Event (un)registrations (calls with a "listen" param) aren't recorded, just tracked
+function recordResponse(userId, command, response) {
+  if ( ! isRecording() ) { return; }
+  const oCommand = parseMessage(command);
+  const oResponse = parseMessage(response);
+  if ( ! oCommand || ! oCommand.method || ! oResponse ) { return; }
+  if ( oCommand.params && typeof oCommand.params.listen === 'boolean' ) {
+    trackRegistration(userId, oCommand, oResponse);
+    return;
+  }
+  if ( ! ( 'result' in oResponse || 'error' in oResponse ) ) { return; }
+
+  const recorded = ( 'error' in oResponse ? { error: oResponse.error } : { result: redact(oResponse.result, oCommand.method) } );
+  const { methods } = getRecording(userId);
+  if ( ! methods.has(oCommand.method) ) {
+    methods.set(oCommand.method, []);
+  }
+  methods.get(oCommand.method).push(recorded);
+  writeJsonFile(path.join(getUserDir(userId), MOCKS_FILE_NAME), getMockOverrides(userId));
+  logger.debug(`Recorded response to ${oCommand.method} for user ${userId}`);
+}
+
+// Records the given event (a message from the device which isn't a response to a call) sent to the user's app
+// Does nothing unless recording
+function recordEvent(userId, message) {
+  if ( ! isRecording() ) { return; }
+  const oEvent = parseMessage(message);
+  if ( ! oEvent ) { return; }
+  const recording = getRecording(userId);
+  const method = oEvent.method || recording.registrations.get(oEvent.id);
+  if ( ! method ) { return; }
+
+  recording.eventCount += 1;
+  const fileName = `${String(recording.eventCount).padStart(3, '0')}-${method}.event.json`;
+  writeJsonFile(path.join(getUserDir(userId), 'events', fileName), {
+    method: method,
+    result: redact(( 'result' in oEvent ? oEvent.result : oEvent.params ), method)
+  });
+  logger.debug(`Recorded event ${method} for user ${userId}`);
+}
+
+// --- Exports ---
+
+export const testExports = {
+  recordings, redact, REDACTED_VALUE
+};
+
+export {
+  isRecording, getMockOverrides, recordResponse, recordEvent
+};
@@ -0,0 +1,85 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Request correlation: Match responses to the requests Mock Firebolt forwards elsewhere (to the proxy server or via
+// Conduit to a real device) by JSON-RPC id, so concurrent requests each get their own response
+//
+// Usage:
+//   const correlator = createCorrelator('the proxy');
+//   const pResponse = correlator.track(id, 10000);   ( just before sending the request with the given id )
+//   ...
+//   correlator.resolve(id, response);                 ( when a response with the given id arrives )
+//
+// The Promise from track() resolves with the response or rejects with a RequestTimeoutError (or the error given to
+// rejectAll(), e.g., when the connection closes)
+
+'use strict';
+
+import * as commonErrors from './commonErrors.mjs';
+import { logger } from './logger.mjs';
+
+// The name (e.g., 'the proxy') is only used in messages
+function createCorrelator(name) {
+  // Keys are request ids, values are pending requests ({ timer, resolve, reject })
+  const pending = new Map();
+
+  function settle(id) {
+    const request = pending.get(id);
+    clearTimeout(request.timer);
+    pending.delete(id);
+    return request;
+  }
+
+  // Returns a Promise of the response to the request with the given id
+  function track(id, timeoutMs) {
+    if ( pending.has(id) ) {
+      return Promise.reject(new Error(`A request with id ${id} is already waiting for a response from ${name}`));
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        logger.info(`No response from ${name} to request ${id} within ${timeoutMs}ms`);
+        settle(id).reject(new commonErrors.RequestTimeoutError(`No response from ${name} within ${timeoutMs}ms`));
+      }, timeoutMs);
+      pending.set(id, { timer, resolve, reject });
+    });
+  }
+
+  // Returns true if a request with the given id was waiting for the response (and now has it)
+  function resolve(id, response) {
+    if ( ! pending.has(id) ) { return false; }
+    settle(id).resolve(response);
+    return true;
+  }
+
+  // Rejects all pending requests with the given error
+  function rejectAll(error) {
+    Array.from(pending.keys()).forEach((id) => settle(id).reject(error));
+  }
+
+  function getPendingCount() {
+    return pending.size;
+  }
+
+  return { track, resolve, rejectAll, getPendingCount };
+}
+
+// --- Exports ---
+
+export {
+  createCorrelator
+};
@@ -0,0 +1,84 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// HTTP-based API routes: Chaos-Related
+
+'use strict';
+
+import * as chaos from '../../chaos.mjs';
+import * as commonErrors from '../../commonErrors.mjs';
+
+// --- Route Handlers ---
+
+// POST /api/v1/chaos
+// Expected body: { chaos: { dropConnections: { ... }, pauseHeartbeats: { ... }, refuseUpgrades: { ... } } }
+// See chaos.mjs; Replaces any chaos settings already in effect
+function startChaos(req, res) {
+  if ( 'chaos' in req.body ) {
+    try {
+      chaos.startChaos(req.body.chaos);
+      res.status(200).send({
+        status: 'SUCCESS'
+      });
+    } catch ( ex ) {
+      if ( ex instanceof commonErrors.DataValidationError ) {
+        res.status(400).send({
+          status: 'ERROR',
+          errorCode: 'INVALID-CHAOS-SETTINGS',
+          message: 'Invalid chaos settings provided',
+          errors: ex.errors
+        });
+      } else {
+        res.status(500).send({
+          status: 'ERROR',
+          errorCode: 'COULD-NOT-START-CHAOS',
+          message: 'Could not start chaos scheduling',
+          error: ex.message
+        });
+      }
+    }
+  } else {
+    res.status(400).send({
+      status: 'ERROR',
+      errorCode: 'MISSING-CHAOS',
+      message: "Did not find expected 'chaos' key within post body"
+    });
+  }
+}
+
+// GET /api/v1/chaos
+function getChaos(req, res) {
+  res.status(200).send({
+    status: 'SUCCESS',
+    chaos: chaos.getChaosStatus()
+  });
+}
+
+// DELETE /api/v1/chaos
+function stopChaos(req, res) {
+  chaos.stopChaos();
+  res.status(200).send({
+    status: 'SUCCESS'
+  });
+}
+
+// --- Exports ---
+
+export {
+  startChaos, getChaos, stopChaos
+};
@@ -22,20 +22,46 @@
 
 import { getUserIdFromReq } from '../../util.mjs';
 import * as events from '../../events.mjs';
+import * as eventHistory from '../../eventHistory.mjs';
+import * as fireboltOpenRpc from '../../fireboltOpenRpc.mjs';
+import * as scheduledEvents from '../../scheduledEvents.mjs';
+import * as commonErrors from '../../commonErrors.mjs';
+
+function getResult(body) {
+  return ( 'result' in body ? body.result : fireboltOpenRpc.getExampleValueForEvent(body.method) );
+}
+
+// The delivery status of the event: Per user (socket) and overall; See eventHistory.mjs
+// In bidirectional mode, this waits for the app to respond to the event (or for the response to time out)
+function sendSuccess(res, delivery) {
+  Promise.resolve(delivery).then((entries) => {
+    const sockets = [];
+    ( entries || [] ).forEach((entry) => {
+      entry.sockets.forEach((ss) => { sockets.push({ event: entry.id, userId: entry.userId, ...ss }); });
+    });
+    res.status(200).send({
+      status: 'SUCCESS',
+      delivery: {
+        status: eventHistory.getDeliveryStatus(sockets),
+        sockets: sockets
+      }
+    });
+  });
+}
 
 // --- Route Handlers ---
 
 // POST /api/v1/event
 // Expected body: { method: 'device.onDeviceNameChanged' result: ... }
+// Without a result, the event's example result is sent; See GET /api/v1/event/:method/example
 function sendEvent(req, res) {
   const { ws } = res.locals; // Like magic!
   const userId = getUserIdFromReq(req);
-  const { method, result } = req.body;
+  const { method } = req.body;
+  const result = getResult(req.body);
 
-  function fSuccess() {
-    res.status(200).send({
-      status: 'SUCCESS'
-    });
+  function fSuccess(delivery) {
+    sendSuccess(res, delivery);
   }
 
   function fErr(method, eventErrorType) {
@@ -64,15 +90,15 @@ function sendEvent(req, res) {
 
 // POST /api/v1/broadcastEvent
 // Expected body: { method: 'device.onDeviceNameChanged' result: ... }
+// Without a result, the event's example result is sent; See GET /api/v1/event/:method/example
 function sendBroadcastEvent(req, res) {
   const { ws } = res.locals; // Like magic!
   const userId = getUserIdFromReq(req);
-  const { method, result } = req.body;
+  const { method } = req.body;
+  const result = getResult(req.body);
 
-  function fSuccess() {
-    res.status(200).send({
-      status: 'SUCCESS'
-    });
+  function fSuccess(delivery) {
+    sendSuccess(res, delivery);
   }
 
   function fErr(method, eventErrorType) {
@@ -99,8 +125,138 @@ function sendBroadcastEvent(req, res) {
   events.sendBroadcastEvent(ws, userId, method, result, `${method}`, fSuccess,  fErr.bind(this, method, null), fFatalErr);
 }
 
+// GET /api/v1/event/:method/example
+// Returns an event body (method and result) which can be sent via POST /api/v1/event as-is
+function getEventExample(req, res) {
+  const { method } = req.params;
+  if ( ! fireboltOpenRpc.getMethod(method) ) {
+    res.status(404).send({
+      status: 'ERROR',
+      errorCode: 'UNKNOWN-EVENT',
+      message: `Could not find event ${method} in the OpenRPC metadata`
+    });
+    return;
+  }
+  res.status(200).send({
+    status: 'SUCCESS',
+    event: {
+      method: method,
+      result: fireboltOpenRpc.getExampleValueForEvent(method)
+    }
+  });
+}
+
+// GET /api/v1/events/history
+// The events recently sent to the user, oldest first; See eventHistory.mjs
+function getEventHistory(req, res) {
+  const userId = getUserIdFromReq(req);
+  res.status(200).send({
+    status: 'SUCCESS',
+    events: eventHistory.getEventHistory(userId)
+  });
+}
+
+// POST /api/v1/events/history/:id/replay
+// Sends the event again, as it was sent the first time; Returns the new history entry
+function replayEvent(req, res) {
+  const userId = getUserIdFromReq(req);
+  const { id } = req.params;
+  const entry = events.replayEvent(userId, id);
+  if ( ! entry ) {
+    res.status(404).send({
+      status: 'ERROR',
+      errorCode: 'EVENT-NOT-FOUND',
+      message: `Could not find event ${id} in the event history`
+    });
+    return;
+  }
+  res.status(200).send({
+    status: 'SUCCESS',
+    event: entry
+  });
+}
+
+// POST /api/v1/event/schedule
+// Expected body: { method: 'authentication.onTokenChanged', result: ..., at: ... | intervalMs: ... | cron: ..., broadcast: ..., count: ... }
+// See scheduledEvents.mjs; Without a result, the event's example result is sent; Returns the schedule, including its id
+function scheduleEvent(req, res) {
+  const userId = getUserIdFromReq(req);
+  try {
+    const schedule = scheduledEvents.scheduleEvent(userId, { ...req.body, result: getResult(req.body) });
+    res.status(200).send({
+      status: 'SUCCESS',
+      schedule: schedule
+    });
+  } catch ( ex ) {
+    if ( ex instanceof commonErrors.DataValidationError ) {
+      res.status(400).send({
+        status: 'ERROR',
+        errorCode: 'INVALID-SCHEDULE',
+        message: 'Invalid event schedule provided',
+        errors: ex.errors
+      });
+    } else {
+      res.status(500).send({
+        status: 'ERROR',
+        errorCode: 'COULD-NOT-SCHEDULE-EVENT',
+        message: 'Internal error',
+        error: ex.toString()
+      });
+    }
+  }
+}
+
+// GET /api/v1/event/schedule
+// Returns the user's schedules (active and recently finished)
+function getSchedules(req, res) {
+  const userId = getUserIdFromReq(req);
+  res.status(200).send({
+    status: 'SUCCESS',
+    schedules: scheduledEvents.getSchedules(userId)
+  });
+}
+
+function sendScheduleNotFound(res, id) {
+  res.status(404).send({
+    status: 'ERROR',
+    errorCode: 'SCHEDULE-NOT-FOUND',
+    message: `Could not find event schedule ${id}`
+  });
+}
+
+// GET /api/v1/event/schedule/:id
+function getSchedule(req, res) {
+  const userId = getUserIdFromReq(req);
+  const { id } = req.params;
+  const schedule = scheduledEvents.getSchedule(userId, id);
+  if ( ! schedule ) {
+    sendScheduleNotFound(res, id);
+    return;
+  }
+  res.status(200).send({
+    status: 'SUCCESS',
+    schedule: schedule
+  });
+}
+
+// DELETE /api/v1/event/schedule/:id
+function cancelSchedule(req, res) {
+  const userId = getUserIdFromReq(req);
+  const { id } = req.params;
+  const schedule = scheduledEvents.cancelSchedule(userId, id);
+  if ( ! schedule ) {
+    sendScheduleNotFound(res, id);
+    return;
+  }
+  res.status(200).send({
+    status: 'SUCCESS',
+    schedule: schedule
+  });
+}
+
 // --- Exports ---
 
 export {
-  sendEvent, sendBroadcastEvent
+  sendEvent, sendBroadcastEvent, getEventExample, getEventHistory, replayEvent,
+  scheduleEvent, getSchedules, getSchedule, cancelSchedule
 };
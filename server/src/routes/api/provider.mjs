@@ -0,0 +1,104 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+// HTTP-based API routes: Provider-Related (calling methods which apps provide)
+
+'use strict';
+
+import { getUserIdFromReq } from '../../util.mjs';
+import * as providers from '../../providers.mjs';
+import * as commonErrors from '../../commonErrors.mjs';
+
+// HTTP status code and error code by the app's response status, for responses which aren't successful; See appRequests.mjs
+const responseErrors = {
+  'timed-out': { httpStatus: 504, errorCode: 'APP-RESPONSE-TIMEOUT', message: 'The app did not respond in time' },
+  'closed':    { httpStatus: 502, errorCode: 'APP-DISCONNECTED',     message: 'The app disconnected before responding' }
+};
+
+// --- Route Handlers ---
+
+// POST /api/v1/provider/call
+// Expected body: { method: 'Keyboard.standard', params: { message: 'Enter a name' }, timeoutMs: 30000 }
+// Without params, the params from the method's first example are sent; timeoutMs is optional
+// Responds once the app has responded (or the response has timed out); See providers.mjs
+function callProvider(req, res) {
+  const userId = getUserIdFromReq(req);
+  const { method, params, timeoutMs } = req.body;
+
+  if ( ! method ) {
+    res.status(400).send({
+      status: 'ERROR',
+      errorCode: 'MISSING-METHOD',
+      message: "Did not find expected 'method' key within post body"
+    });
+    return;
+  }
+
+  providers.callProvider(userId, method, params, timeoutMs)
+    .then((call) => {
+      if ( ! call ) {
+        res.status(404).send({
+          status: 'ERROR',
+          errorCode: 'NO-APP-CONNECTED',
+          message: `User ${userId} has no web socket connection`
+        });
+      } else if ( responseErrors[call.response.status] ) {
+        const { httpStatus, errorCode, message } = responseErrors[call.response.status];
+        res.status(httpStatus).send({
+          status: 'ERROR',
+          errorCode: errorCode,
+          message: message,
+          call: call
+        });
+      } else if ( call.errors.length > 0 ) {
+        res.status(502).send({
+          status: 'ERROR',
+          errorCode: 'INVALID-APP-RESPONSE',
+          message: `The app's response is not valid per the toApp OpenRPC spec for ${method}`,
+          call: call
+        });
+      } else {
+        res.status(200).send({
+          status: 'SUCCESS',
+          call: call
+        });
+      }
+    })
+    .catch((ex) => {
+      if ( ex instanceof commonErrors.DataValidationError ) {
+        res.status(400).send({
+          status: 'ERROR',
+          errorCode: 'INVALID-PROVIDER-CALL',
+          message: 'Invalid provider call',
+          errors: ex.errors
+        });
+      } else {
+        res.status(500).send({
+          status: 'ERROR',
+          errorCode: 'COULD-NOT-CALL-PROVIDER',
+          message: 'Internal error',
+          error: ex.toString()
+        });
+      }
+    });
+}
+
+// --- Exports ---
+
+export {
+  callProvider
+};
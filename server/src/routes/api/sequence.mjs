@@ -21,26 +21,56 @@
 'use strict';
 
 import { logger } from '../../logger.mjs';
-import {executeSequence} from '../../sequenceManagement.mjs';
+import * as sequenceManagement from '../../sequenceManagement.mjs';
 import * as commonErrors from '../../commonErrors.mjs';
 import { getUserIdFromReq } from '../../util.mjs';
 
+function sendSequenceNotFound(res, id) {
+  res.status(404).send({
+    status: 'ERROR',
+    errorCode: 'SEQUENCE-NOT-FOUND',
+    message: `Could not find sequence ${id}`
+  });
+}
+
 //Execute sequence events with respective delay values
+// POST /api/v1/sequence
+// Expected body: { seqevent: [ ... ], repeat: <bool>, loopCount: <n>, loopDelay: <ms>, dryRun: <bool> } or just [ ... ]; See sequenceManagement.mjs
+// The whole sequence is validated (including event results and registration) before anything is scheduled
+// With dryRun (in the body or as a ?dryRun=true query parameter), the sequence is only validated
 function sendSequence(req, res) {
     try {
         let seqevent
+        let options = {}
+        let dryRun = ( req.query.dryRun === 'true' )
         const { ws } = res.locals; // Like magic!
         const userId = getUserIdFromReq(req);
 
         if (req.body.seqevent){
             seqevent = req.body.seqevent
+            const { repeat, loopCount, loopDelay } = req.body;
+            options = JSON.parse(JSON.stringify({ repeat, loopCount, loopDelay })); // Leave out any not given
+            dryRun = dryRun || req.body.dryRun === true
         }
         else{
             seqevent = req.body
         }
-        executeSequence(ws,userId,seqevent);
+        const errors = sequenceManagement.validateSequence(seqevent, options, userId);
+        if ( errors.length > 0 ) {
+            throw new commonErrors.DataValidationError(errors);
+        }
+        if ( dryRun ) {
+            res.status(200).send({
+              status: 'SUCCESS',
+              dryRun: true,
+              message: `Sequence of ${seqevent.length} step(s) is valid; Nothing was sent`
+            });
+            return;
+        }
+        const sequence = sequenceManagement.executeSequence(ws,userId,seqevent,options);
         res.status(200).send({
-          status: 'SUCCESS'
+          status: 'SUCCESS',
+          sequence: sequence
         });
     } catch ( ex ) {
         if ( ex instanceof commonErrors.DataValidationError ) {
@@ -63,5 +93,44 @@ function sendSequence(req, res) {
     }
 }
 
+// GET /api/v1/sequence
+// Running and recently finished sequences for the user
+function getSequences(req, res) {
+    const userId = getUserIdFromReq(req);
+    res.status(200).send({
+      status: 'SUCCESS',
+      sequences: sequenceManagement.getSequences(userId)
+    });
+}
+
+// GET /api/v1/sequence/:id
+function getSequence(req, res) {
+    const userId = getUserIdFromReq(req);
+    const sequence = sequenceManagement.getSequence(userId, req.params.id);
+    if ( ! sequence ) {
+      sendSequenceNotFound(res, req.params.id);
+      return;
+    }
+    res.status(200).send({
+      status: 'SUCCESS',
+      sequence: sequence
+    });
+}
+
+// DELETE /api/v1/sequence/:id
+// Cancels the sequence; Events not yet sent won't be
+function cancelSequence(req, res) {
+    const userId = getUserIdFromReq(req);
+    const sequence = sequenceManagement.cancelSequence(userId, req.params.id);
+    if ( ! sequence ) {
+      sendSequenceNotFound(res, req.params.id);
+      return;
+    }
+    res.status(200).send({
+      status: 'SUCCESS',
+      sequence: sequence
+    });
+}
+
 // --- Exports ---
-export { sendSequence };
+export { sendSequence, getSequences, getSequence, cancelSequence };
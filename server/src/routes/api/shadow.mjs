@@ -0,0 +1,49 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// HTTP-based API routes: Shadow-Related
+
+'use strict';
+
+import { getUserIdFromReq } from '../../util.mjs';
+import * as shadow from '../../shadow.mjs';
+
+// GET /api/v1/shadow/report
+// How the mock's responses compared with the real device's responses in shadow mode; See shadow.mjs
+function getShadowReport(req, res) {
+  const userId = getUserIdFromReq(req);
+  res.status(200).send({
+    status: 'SUCCESS',
+    report: shadow.getShadowReport(userId)
+  });
+}
+
+// DELETE /api/v1/shadow/report
+function clearShadowReport(req, res) {
+  const userId = getUserIdFromReq(req);
+  shadow.clearShadowReport(userId);
+  res.status(200).send({
+    status: 'SUCCESS'
+  });
+}
+
+// --- Exports ---
+
+export {
+  getShadowReport, clearShadowReport
+};
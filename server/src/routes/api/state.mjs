@@ -46,15 +46,17 @@ function getState(req, res) {
 
 // POST /api/v1/state/global/latency
 // Expected body: { latency: { min: xxx, max: xxx } }
+// or any latency profile(s), e.g., { latency: { type: 'normal', mean: xxx, stddev: xxx, 'device.type': { ... } } }
 function setLatency(req, res) {
   const userId = getUserIdFromReq(req);
   if ( 'latency' in req.body ) {
     const latency = req.body.latency;
+    const hasOnlyMinOrMax = (oo) => ( ! ( 'type' in oo ) && ( ( 'min' in oo ) !== ( 'max' in oo ) ) );
 
-    // Validate the latency object
+    // Validate the latency object (profiles themselves are validated by stateManagement)
 
     // - If latency object contains a min or a max at the top-level, it should also include the other
-    if ( ( 'min' in latency && ! 'max' in latency ) || ( ! 'min' in latency && 'max' in latency ) ) {
+    if ( typeof latency === 'object' && latency !== null && hasOnlyMinOrMax(latency) ) {
       res.status(400).send({
         status: 'ERROR',
         errorCode: 'MISSING-MIN-OR-MAX',
@@ -64,8 +66,8 @@ function setLatency(req, res) {
     }
 
     // - For any method-specific specifications, each object (per method) has a min and max
-    for ( const [methodName, oMinMax] of Object.entries(latency) ) {
-      if ( ! 'min' in oMinMax || ! 'max' in oMinMax ) {
+    for ( const [methodName, oMinMax] of Object.entries(latency || {}) ) {
+      if ( typeof oMinMax === 'object' && oMinMax !== null && hasOnlyMinOrMax(oMinMax) ) {
         res.status(400).send({
           status: 'ERROR',
           errorCode: 'MISSING-MIN-OR-MAX-FOR-METHOD',
@@ -231,6 +233,100 @@ function setMethodError(req, res) {
   }
 }
 
+// POST /api/v1/state/method/:methodName/fault
+// Expected body: { fault: { type: xxx, percent: xxx, ... } }; See faults.mjs
+function setMethodFault(req, res) {
+  const userId = getUserIdFromReq(req);
+  let methodName = req.params.methodName;
+  if (config.app.caseInsensitiveModules){
+    methodName = createCaseAgnosticMethod(methodName);
+  }
+  if ( 'fault' in req.body && req.body.fault !== null ) {
+    try {
+      stateManagement.setMethodFault(userId, methodName, req.body.fault);
+
+      res.status(200).send({
+        status: 'SUCCESS'
+      });
+    } catch ( ex ) {
+      res.status(400).send({
+        status: 'ERROR',
+        errorCode: 'INVALID-STATE-DATA-FOR-METHOD-FAULT',
+        message: 'Invalid state data provided',
+        error: ex
+      });
+    }
+  } else {
+    res.status(400).send({
+      status: 'ERROR',
+      errorCode: 'MISSING-FAULT',
+      message: "Did not find expected 'fault' key within post body"
+    });
+  }
+}
+
+// DELETE /api/v1/state/method/:methodName/fault
+function clearMethodFault(req, res) {
+  const userId = getUserIdFromReq(req);
+  let methodName = req.params.methodName;
+  if (config.app.caseInsensitiveModules){
+    methodName = createCaseAgnosticMethod(methodName);
+  }
+  stateManagement.clearMethodFault(userId, methodName);
+  res.status(200).send({
+    status: 'SUCCESS'
+  });
+}
+
+// POST /api/v1/state/routing
+// Expected body: { routing: { 'authentication.*': 'proxy', 'lifecycle.*': 'mock', ... } }; See routing.mjs
+// Rules are added or replaced; A null route removes the rule for that method or glob
+function setRouting(req, res) {
+  const userId = getUserIdFromReq(req);
+  if ( 'routing' in req.body && req.body.routing !== null ) {
+    try {
+      stateManagement.setRouting(userId, req.body.routing);
+
+      res.status(200).send({
+        status: 'SUCCESS'
+      });
+    } catch ( ex ) {
+      if ( ex instanceof commonErrors.DataValidationError ) {
+        res.status(400).send({
+          status: 'ERROR',
+          errorCode: 'INVALID-ROUTING',
+          message: 'Invalid routing rules provided',
+          errors: ex.errors
+        });
+      } else {
+        logger.error('ERROR: Exception in setRouting:');
+        logger.error(ex);
+        res.status(500).send({
+          status: 'ERROR',
+          errorCode: 'COULD-NOT-SET-ROUTING',
+          message: 'Could not set routing rules',
+          error: ex.toString()
+        });
+      }
+    }
+  } else {
+    res.status(400).send({
+      status: 'ERROR',
+      errorCode: 'MISSING-ROUTING',
+      message: "Did not find expected 'routing' key within post body"
+    });
+  }
+}
+
+// DELETE /api/v1/state/routing
+function clearRouting(req, res) {
+  const userId = getUserIdFromReq(req);
+  stateManagement.clearRouting(userId);
+  res.status(200).send({
+    status: 'SUCCESS'
+  });
+}
+
 // PUT /api/v1/state
 // Expected body: { state: <stateObject> }
 // Where <stateObject> is an object that matches the structure of the internal state object
@@ -289,6 +385,92 @@ function revertState(req, res) {
   });
 }
 
+// Shared validation for the snapshot routes below; Sends a 400 and returns false if the snapshot name is bad
+function checkSnapshotName(req, res) {
+  if ( ! stateManagement.isLegalSnapshotName(req.params.name) ) {
+    res.status(400).send({
+      status: 'ERROR',
+      errorCode: 'ILLEGAL-SNAPSHOT-NAME',
+      message: `${req.params.name} is not a legal snapshot name; Use letters, digits, '_', '-' and '.' only`
+    });
+    return false;
+  }
+  return true;
+}
+
+function checkSnapshotScope(req, res) {
+  if ( ! stateManagement.isLegalSnapshotScope(req.query.scope) ) {
+    res.status(400).send({
+      status: 'ERROR',
+      errorCode: 'ILLEGAL-SNAPSHOT-SCOPE',
+      message: `${req.query.scope} is not a legal snapshot scope; Use 'group', 'global', a group (e.g., '~A') or a known userId`
+    });
+    return false;
+  }
+  return true;
+}
+
+function sendSnapshotNotFound(req, res) {
+  res.status(404).send({
+    status: 'ERROR',
+    errorCode: 'SNAPSHOT-NOT-FOUND',
+    message: `Could not find snapshot ${req.params.name}`
+  });
+}
+
+// POST /api/v1/state/snapshots/:name
+// Expected body: N/A
+// Optional query param "scope" - 'group' (the group of the user), a group (e.g., '~A') or 'global'
+function saveSnapshot(req, res) {
+  const userId = getUserIdFromReq(req);
+  if ( ! checkSnapshotName(req, res) || ! checkSnapshotScope(req, res) ) { return; }
+  const snapshot = stateManagement.saveSnapshot(userId, req.params.name, req.query.scope);
+  res.status(200).send({
+    status: 'SUCCESS',
+    snapshot: snapshot
+  });
+}
+
+// GET /api/v1/state/snapshots
+// Optional query param "scope" - See above
+function getSnapshots(req, res) {
+  const userId = getUserIdFromReq(req);
+  if ( ! checkSnapshotScope(req, res) ) { return; }
+  res.status(200).send({
+    status: 'SUCCESS',
+    snapshots: stateManagement.getSnapshots(userId, req.query.scope)
+  });
+}
+
+// POST /api/v1/state/snapshots/:name/restore
+// Expected body: N/A
+// Optional query param "scope" - See above
+function restoreSnapshot(req, res) {
+  const userId = getUserIdFromReq(req);
+  if ( ! checkSnapshotName(req, res) || ! checkSnapshotScope(req, res) ) { return; }
+  if ( stateManagement.restoreSnapshot(userId, req.params.name, req.query.scope) ) {
+    res.status(200).send({
+      status: 'SUCCESS'
+    });
+  } else {
+    sendSnapshotNotFound(req, res);
+  }
+}
+
+// DELETE /api/v1/state/snapshots/:name
+// Optional query param "scope" - See above
+function deleteSnapshot(req, res) {
+  const userId = getUserIdFromReq(req);
+  if ( ! checkSnapshotName(req, res) || ! checkSnapshotScope(req, res) ) { return; }
+  if ( stateManagement.deleteSnapshot(userId, req.params.name, req.query.scope) ) {
+    res.status(200).send({
+      status: 'SUCCESS'
+    });
+  } else {
+    sendSnapshotNotFound(req, res);
+  }
+}
+
 // POST /api/v1/state/enableInteractionLogs
 // Expected body: None
 // Expected headers: x-mockfirebolt-userid - The user id of the user making the request
@@ -331,6 +513,9 @@ export {
   getState,
   setLatency, setMode,
   setMethodResult, setMethodError,
+  setMethodFault, clearMethodFault,
+  setRouting, clearRouting,
   updateState, revertState,
+  saveSnapshot, getSnapshots, restoreSnapshot, deleteSnapshot,
   enableInteractionLogs, disableInteractionLogs
 };
@@ -0,0 +1,91 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Routing rules: Whether calls to a method are answered by the mock, passed through to the proxy (--proxy), sent via
+// Conduit to a real device or answered by the mock while also being passed through to the proxy (see shadow.mjs)
+//
+// A routing object (state.routing) looks like:
+//   {
+//     'lifecycle.*': 'mock',
+//     'authentication.*': 'proxy',
+//     'discovery.*': 'conduit',
+//     'discovery.launch': 'mock',
+//     'device.*': 'shadow',
+//     ...
+//   }
+// where each key is a method name or a glob ('*' matches any characters) and each value is one of routes
+// Method names win over globs, and longer globs win over shorter ones (so '*' can be used as a catch-all)
+// Matching is case-insensitive
+
+'use strict';
+
+const routes = [ 'mock', 'proxy', 'conduit', 'shadow' ];
+
+function isObject(val) {
+  return ( val !== null && typeof val === 'object' && ! Array.isArray(val) );
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+// Returns the route ruled for the given method, or undefined if no rule matches it
+function getRouteForMethod(routing, methodName) {
+  if ( ! isObject(routing) || ! methodName ) { return undefined; }
+  const matches = Object.keys(routing)
+    .filter((key) => routes.includes(routing[key]) && globToRegExp(key).test(methodName))
+    .sort((key1, key2) => {
+      const isGlob1 = key1.includes('*');
+      const isGlob2 = key2.includes('*');
+      if ( isGlob1 !== isGlob2 ) { return ( isGlob1 ? 1 : -1 ); }
+      return key2.length - key1.length;
+    });
+  return ( matches.length > 0 ? routing[matches[0]] : undefined );
+}
+
+// Returns array of error strings
+function validateRouting(routing) {
+  if ( ! isObject(routing) ) {
+    return [ 'ERROR: Routing must be an object' ];
+  }
+  const errors = [];
+  for ( const [key, route] of Object.entries(routing) ) {
+    if ( route === null ) { continue; } // Clears any rule for the method or glob
+    if ( ! routes.includes(route) ) {
+      errors.push(`ERROR: Routing rule for ${key} has unknown route '${route}'; Expected one of ${routes.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+// Used when merging state: A rule replaces any previous rule for the same method or glob; null removes it
+function mergeRouting(oldRouting, newRouting) {
+  if ( ! isObject(newRouting) ) { return newRouting; }
+  const merged = { ...( isObject(oldRouting) ? oldRouting : {} ), ...newRouting };
+  Object.keys(merged).forEach((key) => {
+    if ( merged[key] === null ) { delete merged[key]; }
+  });
+  return merged;
+}
+
+// --- Exports ---
+
+export {
+  routes, getRouteForMethod, validateRouting, mergeRouting
+};
@@ -0,0 +1,228 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Sandboxed execution of override functions (result, error, response) and trigger files (pre, post)
+// When config.sandbox.enabled is true, each function runs in a fresh vm context within a worker thread
+// that has a memory cap; The function only sees the ctx object it is given and its params
+
+'use strict';
+
+import vm from 'vm';
+import { Worker, MessageChannel } from 'worker_threads';
+import { config } from './config.mjs';
+import { logger } from './logger.mjs';
+import * as commonErrors from './commonErrors.mjs';
+
+// ctx properties which get a sandbox-local implementation rather than a call back to the main thread
+const localCtxProps = [ 'setTimeout', 'setInterval', 'delay', 'FireboltError' ];
+
+let sandboxWorker;      // { worker, hostPort, flag }
+let nextCallId = 1;
+
+// Keys are callIds, values are { ctx, label, resolve, reject, timer, settled }
+const calls = new Map();
+
+function isSandboxEnabled() {
+  return ( config.sandbox && config.sandbox.enabled === true );
+}
+
+// Create a function that takes (ctx, params) from the given source code, which must define a function named fcnName
+// When sandboxing is disabled, this is exactly what Mock Firebolt has always done (new Function)
+// When sandboxing is enabled, the returned function always returns a Promise
+// Either way, a syntax error in the source code is thrown right away
+function compileFunction(source, fcnName) {
+  const sFcnBody = `${source}; return ${fcnName}(ctx, params);`;
+  if ( ! isSandboxEnabled() ) {
+    return new Function('ctx', 'params', sFcnBody);
+  }
+
+  new vm.Script(`(function (ctx, params) { ${sFcnBody}\n})`); // Throws a SyntaxError if the source is bad
+  return function sandboxedFunction(ctx, params) {
+    return runInSandbox(sFcnBody, fcnName, ctx, params);
+  };
+}
+
+// Describe the given ctx object in a form the worker can rebuild inside the vm context:
+// functions become calls back to the main thread and everything else is copied as JSON
+function describeCtx(ctx) {
+  const meta = {
+    methods: [],
+    namespaces: {},
+    data: {},
+    hasDelay: ( typeof ctx.delay === 'function' ),
+    hasFireboltError: ( typeof ctx.FireboltError === 'function' )
+  };
+  for ( const [key, val] of Object.entries(ctx) ) {
+    if ( localCtxProps.includes(key) ) { continue; }
+    if ( typeof val === 'function' ) {
+      meta.methods.push(key);
+    } else if ( val && typeof val === 'object' && Object.values(val).every((vv) => typeof vv === 'function') ) {
+      meta.namespaces[key] = Object.keys(val);
+    } else if ( val !== undefined ) {
+      meta.data[key] = val;
+    }
+  }
+  meta.data = JSON.stringify(meta.data);
+  return JSON.stringify(meta);
+}
+
+function getSandboxWorker() {
+  if ( sandboxWorker ) { return sandboxWorker; }
+
+  const { port1: hostPort, port2: workerPort } = new MessageChannel();
+  const signal = new SharedArrayBuffer(4);
+  const worker = new Worker(new URL('./sandboxWorker.mjs', import.meta.url), {
+    workerData: { hostPort: workerPort, signal, cpuTimeoutMs: config.sandbox.cpuTimeoutMs },
+    transferList: [ workerPort ],
+    resourceLimits: { maxOldGenerationSizeMb: config.sandbox.memoryLimitMb }
+  });
+  worker.unref();
+
+  const thisWorker = { worker, hostPort, flag: new Int32Array(signal), lastPong: 0 };
+  worker.on('message', (msg) => handleWorkerMessage(thisWorker, msg));
+  worker.on('error', (err) => {
+    const message = ( err.code === 'ERR_WORKER_OUT_OF_MEMORY' ?
+      `Exceeded memory limit of ${config.sandbox.memoryLimitMb}MB` : `Sandbox failure: ${err.message}` );
+    logger.error(`ERROR: Sandbox worker failed: ${message}`);
+    discardWorker(thisWorker, message);
+  });
+  worker.on('exit', () => {
+    discardWorker(thisWorker, 'Sandbox was restarted');
+  });
+
+  sandboxWorker = thisWorker;
+  return sandboxWorker;
+}
+
+// Forget the given worker and fail any calls still waiting on it; The next call starts a fresh worker
+function discardWorker(thisWorker, message) {
+  if ( sandboxWorker !== thisWorker ) { return; }
+  sandboxWorker = undefined;
+  thisWorker.hostPort.close();
+  for ( const callId of calls.keys() ) {
+    settleCall(callId, new commonErrors.SandboxError(message));
+    calls.delete(callId);
+  }
+}
+
+function handleWorkerMessage(thisWorker, msg) {
+  switch ( msg.type ) {
+    case 'ctx':
+      replyToCtxCall(thisWorker, msg);
+      break;
+    case 'done':
+      if ( msg.error ) {
+        const call = calls.get(msg.callId);
+        const label = ( call ? call.label : 'function' );
+        const err = ( msg.error.name === 'FireboltError' ?
+          new commonErrors.FireboltError(msg.error.code, msg.error.message) :
+          new commonErrors.SandboxError(`Sandboxed ${label} failed: ${msg.error.message}`) );
+        settleCall(msg.callId, err);
+      } else {
+        settleCall(msg.callId, undefined, msg.value);
+      }
+      break;
+    case 'callbackError':
+      logger.error(`ERROR: Exception occurred in a timer callback of a sandboxed function: ${msg.error.message}`);
+      break;
+    case 'release':
+      calls.delete(msg.callId);
+      break;
+    case 'pong':
+      thisWorker.lastPong = Date.now();
+      break;
+    default:
+      break;
+  }
+}
+
+// Run the requested ctx function on the main thread and wake the (blocked) worker up with the JSON-encoded outcome
+function replyToCtxCall(thisWorker, { callId, name, args }) {
+  let reply;
+  try {
+    const call = calls.get(callId);
+    if ( ! call ) { throw new Error(`ctx.${name} is no longer available`); }
+    const [ ns, fcnName ] = ( name.includes('.') ? name.split('.', 2) : [ undefined, name ] );
+    const target = ( ns ? call.ctx[ns] : call.ctx );
+    if ( ! target || typeof target[fcnName] !== 'function' ) { throw new Error(`ctx.${name} is not a function`); }
+    const value = target[fcnName](...args);
+    reply = JSON.stringify({ value: value });
+  } catch ( ex ) {
+    reply = JSON.stringify({ error: ex.message });
+  }
+  thisWorker.hostPort.postMessage(reply);
+  Atomics.store(thisWorker.flag, 0, 1);
+  Atomics.notify(thisWorker.flag, 0);
+}
+
+function settleCall(callId, err, value) {
+  const call = calls.get(callId);
+  if ( ! call || call.settled ) { return; }
+  call.settled = true;
+  clearTimeout(call.timer);
+  if ( err ) {
+    call.reject(err);
+  } else {
+    call.resolve(value);
+  }
+}
+
+// If a call didn't finish in time, the worker may be stuck (e.g., in an endless loop after an await);
+// If it doesn't answer a ping promptly, terminate it so the next call gets a fresh one
+function checkWorkerHealth(thisWorker) {
+  const pingTime = Date.now();
+  thisWorker.worker.postMessage({ type: 'ping' });
+  setTimeout(() => {
+    if ( thisWorker.lastPong < pingTime ) {
+      logger.error('ERROR: Sandbox worker is unresponsive; terminating it');
+      thisWorker.worker.terminate();
+    }
+  }, config.sandbox.cpuTimeoutMs).unref();
+}
+
+function runInSandbox(body, label, ctx, params) {
+  return new Promise((resolve, reject) => {
+    let thisWorker, meta, paramsJson;
+    try {
+      thisWorker = getSandboxWorker();
+      meta = describeCtx(ctx || {});
+      paramsJson = ( params === undefined ? undefined : JSON.stringify(params) );
+    } catch ( ex ) {
+      reject(new commonErrors.SandboxError(`Could not start sandboxed ${label}: ${ex.message}`));
+      return;
+    }
+
+    const callId = nextCallId++;
+    const timer = setTimeout(() => {
+      settleCall(callId, new commonErrors.SandboxError(`Sandboxed ${label} did not complete within ${config.sandbox.timeoutMs}ms`));
+      checkWorkerHealth(thisWorker);
+    }, config.sandbox.timeoutMs);
+    calls.set(callId, { ctx: ctx || {}, label, resolve, reject, timer, settled: false });
+    thisWorker.worker.postMessage({ type: 'run', callId, body, meta, paramsJson });
+  });
+}
+
+// --- Exports ---
+
+export const testExports = {
+  describeCtx, calls
+};
+
+export {
+  isSandboxEnabled, compileFunction
+};
@@ -0,0 +1,189 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Sandbox worker thread: Runs override functions and trigger files inside fresh vm contexts
+// See sandbox.mjs for the main-thread side of things
+
+'use strict';
+
+import vm from 'vm';
+import { parentPort, workerData, receiveMessageOnPort } from 'worker_threads';
+
+const { hostPort, signal, cpuTimeoutMs } = workerData;
+const flag = new Int32Array(signal);
+
+// Callers' timers, keyed by callId; A call's ctx is released on the main thread once it is done and has no active timers
+const callTimers = new Map();
+let nextTimerId = 1;
+
+// Builds the ctx object inside the vm context, so nothing the sandboxed code can reach belongs to this (outer) realm
+// Only JSON strings and the two bridge functions (which have no prototype) cross the boundary
+const bootstrapSource = `(function (bridge, timerBridge, metaJson) {
+  const meta = JSON.parse(metaJson);
+  function call(name, args) {
+    const reply = JSON.parse(bridge(name, JSON.stringify(args)));
+    if ( reply.error ) { throw new Error(reply.error); }
+    return reply.value;
+  }
+  const ctx = JSON.parse(meta.data);
+  meta.methods.forEach(function (name) {
+    ctx[name] = function () { return call(name, Array.prototype.slice.call(arguments)); };
+  });
+  Object.keys(meta.namespaces).forEach(function (ns) {
+    ctx[ns] = {};
+    meta.namespaces[ns].forEach(function (name) {
+      ctx[ns][name] = function () { return call(ns + '.' + name, Array.prototype.slice.call(arguments)); };
+    });
+  });
+  ctx.setTimeout = function (fn, ms) { return timerBridge('setTimeout', fn, ms); };
+  ctx.setInterval = function (fn, ms) { return timerBridge('setInterval', fn, ms); };
+  ctx.clearTimeout = function (id) { return timerBridge('clear', undefined, id); };
+  ctx.clearInterval = function (id) { return timerBridge('clear', undefined, id); };
+  if ( meta.hasDelay ) {
+    ctx.delay = function (ms) { return new Promise(function (res) { ctx.setTimeout(res, ms); }); };
+  }
+  if ( meta.hasFireboltError ) {
+    ctx.FireboltError = class FireboltError extends Error {
+      constructor(code, message) {
+        super('Firebolt error');
+        this.name = 'FireboltError';
+        this.code = code;
+        this.message = message;
+      }
+    };
+  }
+  return ctx;
+})`;
+
+// Synchronously call a ctx function on the main thread, which replies through hostPort
+function callHost(callId, name, args) {
+  Atomics.store(flag, 0, 0);
+  parentPort.postMessage({ type: 'ctx', callId, name, args });
+  Atomics.wait(flag, 0, 0);
+  const { message } = receiveMessageOnPort(hostPort);
+  return message;
+}
+
+function describeError(ex) {
+  if ( ex && ex.name === 'FireboltError' ) {
+    return { name: 'FireboltError', code: ex.code, message: String(ex.message) };
+  }
+  if ( ex && ex.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ) {
+    return { name: 'TimeoutError', message: `Exceeded CPU time limit of ${cpuTimeoutMs}ms` };
+  }
+  return { name: String(ex && ex.name), message: String(ex && ex.message) };
+}
+
+function releaseIfIdle(callId) {
+  const timers = callTimers.get(callId);
+  if ( timers && timers.done && timers.active.size === 0 ) {
+    callTimers.delete(callId);
+    parentPort.postMessage({ type: 'release', callId });
+  }
+}
+
+function createBridge(callId) {
+  const bridge = function (name, argsJson) {
+    try {
+      return callHost(callId, name, JSON.parse(argsJson));
+    } catch ( ex ) {
+      return JSON.stringify({ error: String(ex && ex.message) });
+    }
+  };
+  Object.setPrototypeOf(bridge, null);
+  return bridge;
+}
+
+function createTimerBridge(callId, context) {
+  const timers = callTimers.get(callId);
+  const runCallback = new vm.Script('__mfCallback()');
+
+  function fire(id, fn, repeat) {
+    if ( ! repeat ) { timers.active.delete(id); }
+    try {
+      context.__mfCallback = fn;
+      runCallback.runInContext(context, { timeout: cpuTimeoutMs });
+    } catch ( ex ) {
+      parentPort.postMessage({ type: 'callbackError', callId, error: describeError(ex) });
+    } finally {
+      delete context.__mfCallback;
+      releaseIfIdle(callId);
+    }
+  }
+
+  const timerBridge = function (kind, fn, ms) {
+    try {
+      if ( kind === 'clear' ) {
+        const handle = timers.active.get(ms);
+        if ( handle ) {
+          clearTimeout(handle);
+          clearInterval(handle);
+          timers.active.delete(ms);
+          releaseIfIdle(callId);
+        }
+        return undefined;
+      }
+      if ( typeof fn !== 'function' ) { return undefined; }
+      const id = nextTimerId++;
+      const repeat = ( kind === 'setInterval' );
+      const handle = ( repeat ? setInterval : setTimeout )(function () { fire(id, fn, repeat); }, Number(ms) || 0);
+      timers.active.set(id, handle);
+      return id;
+    } catch ( ex ) {
+      return undefined;
+    }
+  };
+  Object.setPrototypeOf(timerBridge, null);
+  return timerBridge;
+}
+
+async function runCall({ callId, body, meta, paramsJson }) {
+  callTimers.set(callId, { active: new Map(), done: false });
+  try {
+    const context = vm.createContext({}, { codeGeneration: { strings: false, wasm: false } });
+    context.__mfBridge = createBridge(callId);
+    context.__mfTimerBridge = createTimerBridge(callId, context);
+    context.__mfMeta = meta;
+    context.__mfParams = paramsJson;
+    const script = new vm.Script(`(function () {
+      const ctx = ${bootstrapSource}(__mfBridge, __mfTimerBridge, __mfMeta);
+      const params = ( __mfParams === undefined ? undefined : JSON.parse(__mfParams) );
+      delete globalThis.__mfBridge; delete globalThis.__mfTimerBridge; delete globalThis.__mfMeta; delete globalThis.__mfParams;
+      return (function (ctx, params) { ${body}
+      })(ctx, params);
+    })()`);
+    const value = await script.runInContext(context, { timeout: cpuTimeoutMs });
+    parentPort.postMessage({ type: 'done', callId, value });
+  } catch ( ex ) {
+    parentPort.postMessage({ type: 'done', callId, error: describeError(ex) });
+  } finally {
+    callTimers.get(callId).done = true;
+    releaseIfIdle(callId);
+  }
+}
+
+parentPort.on('message', (msg) => {
+  if ( msg.type === 'run' ) {
+    runCall(msg).catch((ex) => {
+      // Typically a result value that can't be cloned back to the main thread
+      parentPort.postMessage({ type: 'done', callId: msg.callId, error: describeError(ex) });
+    });
+  } else if ( msg.type === 'ping' ) {
+    parentPort.postMessage({ type: 'pong' });
+  }
+});
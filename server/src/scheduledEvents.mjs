@@ -0,0 +1,336 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Scheduled events: Send an event to a user at a given time, or repeatedly (on a cron schedule or at an interval)
+//
+// Each schedule (POST /api/v1/event/schedule) is a managed object with an id, so it can be listed and cancelled
+// Request body: { method, result, broadcast: <bool>, count: <n>, <when> } where <when> is one of:
+//   at: '2030-01-01T06:00:00Z'         Send once, at the given ISO time; Magic date/time strings like '{{+15s|x}}' work too
+//   intervalMs: 60000                  Send every intervalMs ms
+//   cron: '0 6 * * *'                  Send per the cron expression (minute hour day-of-month month day-of-week, local time)
+// - result: Defaults to the event's example result; Magic date/time strings within it are evaluated each time it's sent
+// - broadcast: Send to the user's group (like POST /api/v1/broadcastEvent) instead of just the user
+// - count: Stop after sending the event count times (default: until cancelled, for intervalMs and cron)
+//
+// Events are sent via events.sendEvent / events.sendBroadcastEvent, so triggers, validation and latency all apply
+
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import { sendEvent, sendBroadcastEvent } from './events.mjs';
+import * as userManagement from './userManagement.mjs';
+import * as magicDateTime from './magicDateTime.mjs';
+import * as commonErrors from './commonErrors.mjs';
+import { config } from './config.mjs';
+import { logger } from './logger.mjs';
+
+const MAX_FINISHED_SCHEDULES = 100;  // Completed/cancelled schedules kept around for status requests
+const MAX_TIMER_MS = 2147483647;     // setTimeout's limit (~24.8 days); Longer waits are done in steps
+const MAX_CRON_SEARCH_YEARS = 5;     // A cron expression which doesn't match a time within this many years never fires
+
+// Keys are schedule ids, values are schedule objects
+const schedules = new Map();
+
+// --- Cron Expressions ---
+
+// Field order, ranges and (for month and day-of-week) names
+const cronFields = [
+  { name: 'minute',     min: 0, max: 59 },
+  { name: 'hour',       min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month',      min: 1, max: 12, names: [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ] },
+  { name: 'dayOfWeek',  min: 0, max: 7,  names: [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ] }  // 0 and 7 are both Sunday
+];
+
+function parseCronValue(field, val) {
+  const nameIndex = ( field.names ? field.names.indexOf(val.toLowerCase()) : -1 );
+  if ( nameIndex >= 0 ) {
+    return nameIndex + ( field.name === 'month' ? 1 : 0 );
+  }
+  if ( ! /^\d+$/.test(val) ) { return NaN; }
+  return parseInt(val, 10);
+}
+
+// Parses one field (e.g., '*', '*/15', '1-5', '0,30' or 'mon-fri') into a Set of values; Throws Error if it's invalid
+function parseCronField(field, text) {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const [ range, stepText ] = part.split('/');
+    const step = ( stepText === undefined ? 1 : parseInt(stepText, 10) );
+    let from, to;
+    if ( range === '*' ) {
+      from = field.min;
+      to = field.max;
+    } else if ( range.includes('-') ) {
+      [ from, to ] = range.split('-').map((val) => parseCronValue(field, val));
+    } else {
+      from = parseCronValue(field, range);
+      to = ( stepText === undefined ? from : field.max );
+    }
+    if ( ! ( step > 0 ) || ! ( from >= field.min && to <= field.max && from <= to ) ) {
+      throw new Error(`Invalid ${field.name} field '${text}' in cron expression`);
+    }
+    for ( let val = from; val <= to; val += step ) {
+      values.add(field.name === 'dayOfWeek' ? val % 7 : val);
+    }
+  });
+  return values;
+}
+
+// Returns an object with a Set of values per field; Throws Error if the expression is invalid
+function parseCron(expression) {
+  const texts = ( typeof expression === 'string' ? expression.trim().split(/\s+/) : [] );
+  if ( texts.length !== cronFields.length ) {
+    throw new Error(`Invalid cron expression '${expression}'; Expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+  const oCron = {};
+  cronFields.forEach((field, ii) => {
+    oCron[field.name] = parseCronField(field, texts[ii]);
+  });
+  // Like cron, if both day fields are restricted, a day matches if either matches
+  oCron.anyDay = ( texts[2] !== '*' && texts[4] !== '*' );
+  return oCron;
+}
+
+function isCronDay(oCron, date) {
+  const domMatch = oCron.dayOfMonth.has(date.getDate());
+  const dowMatch = oCron.dayOfWeek.has(date.getDay());
+  return ( oCron.anyDay ? domMatch || dowMatch : domMatch && dowMatch );
+}
+
+// Returns the first time (ms) after the given time (ms) which matches the given (parsed) cron expression, or undefined
+function getNextCronTime(oCron, afterMs) {
+  const date = new Date(afterMs);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const endMs = afterMs + MAX_CRON_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+  while ( date.getTime() <= endMs ) {
+    if ( ! oCron.month.has(date.getMonth() + 1) ) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if ( ! isCronDay(oCron, date) ) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if ( ! oCron.hour.has(date.getHours()) ) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if ( ! oCron.minute.has(date.getMinutes()) ) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  return undefined;
+}
+
+// --- Schedules ---
+
+// Evaluates any magic date/time string (e.g., '{{+15s|x}}' or '{{06:00+1d|x}}') and parses the resulting
+// epoch (ms) or ISO time; Returns the time (ms) or NaN
+function parseTime(at) {
+  const { prefix, suffix } = config.app.magicDateTime;
+  const val = magicDateTime.replaceDynamicDateTimeVariablesObj({ at: at }, prefix, suffix).at;
+  if ( typeof val === 'number' ) { return val; }
+  if ( typeof val === 'string' && /^\d+$/.test(val) ) { return parseInt(val, 10); }
+  return ( typeof val === 'string' ? Date.parse(val) : NaN );
+}
+
+// Returns array of error strings
+function validateSchedule(oSchedule) {
+  if ( oSchedule === null || typeof oSchedule !== 'object' || Array.isArray(oSchedule) ) {
+    return [ 'ERROR: Schedule must be an object' ];
+  }
+  const errors = [];
+  if ( typeof oSchedule.method !== 'string' || ! oSchedule.method ) {
+    errors.push("ERROR: Schedule is missing the event's 'method'");
+  }
+  const whens = [ 'at', 'intervalMs', 'cron' ].filter((key) => key in oSchedule);
+  if ( whens.length !== 1 ) {
+    errors.push("ERROR: Schedule needs exactly one of 'at', 'intervalMs' or 'cron'");
+  } else if ( 'at' in oSchedule ) {
+    const atMs = parseTime(oSchedule.at);
+    if ( isNaN(atMs) ) {
+      errors.push(`ERROR: Invalid 'at' value '${oSchedule.at}'; Expected an ISO time, an epoch (ms) or a magic date/time string`);
+    } else if ( atMs < Date.now() ) {
+      errors.push(`ERROR: The 'at' value '${oSchedule.at}' is in the past (${new Date(atMs).toISOString()})`);
+    }
+  } else if ( 'intervalMs' in oSchedule ) {
+    if ( ! ( typeof oSchedule.intervalMs === 'number' && oSchedule.intervalMs > 0 ) ) {
+      errors.push("ERROR: Invalid 'intervalMs' value; Expected a number > 0");
+    }
+  } else {
+    try {
+      if ( getNextCronTime(parseCron(oSchedule.cron), Date.now()) === undefined ) {
+        errors.push(`ERROR: The cron expression '${oSchedule.cron}' never matches a time within ${MAX_CRON_SEARCH_YEARS} years`);
+      }
+    } catch ( ex ) {
+      errors.push(`ERROR: ${ex.message}`);
+    }
+  }
+  if ( 'count' in oSchedule && ! ( Number.isInteger(oSchedule.count) && oSchedule.count > 0 ) ) {
+    errors.push("ERROR: Invalid 'count' value; Expected an integer > 0");
+  }
+  return errors;
+}
+
+// Returns the next time (ms) the given schedule should fire, or undefined if it's done
+function getNextFireTime(sched, afterMs) {
+  if ( sched.count !== undefined && sched.firedCount >= sched.count ) { return undefined; }
+  if ( sched.at !== undefined ) {
+    return ( sched.firedCount === 0 ? sched.atMs : undefined );
+  }
+  if ( sched.intervalMs !== undefined ) {
+    return afterMs + sched.intervalMs;
+  }
+  return getNextCronTime(sched.oCron, afterMs);
+}
+
+// Info about a schedule, for API responses (without internals like timers)
+function getScheduleInfo(sched) {
+  const { timer, oCron, atMs, nextFireMs, ...info } = sched;
+  return {
+    ...info,
+    nextFireAt: ( nextFireMs !== undefined ? new Date(nextFireMs).toISOString() : undefined )
+  };
+}
+
+function finishSchedule(sched, status) {
+  clearTimeout(sched.timer);
+  sched.timer = undefined;
+  sched.nextFireMs = undefined;
+  sched.status = status;
+  sched.finishedAt = new Date().toISOString();
+  logger.info(`Schedule ${sched.id} for user ${sched.userId} ${status} after sending ${sched.method} ${sched.firedCount} time(s)`);
+
+  // Forget the oldest finished schedules, if there are too many
+  const finished = Array.from(schedules.values()).filter((ss) => ss.status !== 'scheduled');
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_SCHEDULES)).forEach((ss) => schedules.delete(ss.id));
+}
+
+function fireSchedule(sched) {
+  sched.firedCount += 1;
+  sched.lastFiredAt = new Date().toISOString();
+  const { prefix, suffix } = config.app.magicDateTime;
+  const result = ( sched.result === undefined ? undefined : magicDateTime.replaceDynamicDateTimeVariablesObj(sched.result, prefix, suffix) );
+  const ws = userManagement.getWsForUser(sched.userId);
+  const msg = `Schedule ${sched.id}`;
+
+  function fSuccess() {
+    sched.lastError = undefined;
+  }
+  function fErr(eventErrorType) {
+    sched.lastError = eventErrorType;
+    logger.error(`ERROR: Schedule ${sched.id} could not send event ${sched.method} to user ${sched.userId}: ${eventErrorType}`);
+  }
+  function fFatalErr(ex) {
+    sched.lastError = ex.toString();
+    logger.error(`ERROR: Schedule ${sched.id} could not send event ${sched.method} to user ${sched.userId}: ${ex}`);
+  }
+
+  if ( sched.broadcast ) {
+    sendBroadcastEvent(ws, sched.userId, sched.method, result, msg, fSuccess, fErr, fFatalErr);
+  } else {
+    sendEvent(ws, sched.userId, sched.method, result, msg, fSuccess, fErr, fFatalErr);
+  }
+}
+
+// Sets a timer for the schedule's next time (in steps, if it's further away than setTimeout allows)
+function scheduleNext(sched, afterMs) {
+  sched.nextFireMs = getNextFireTime(sched, afterMs);
+  if ( sched.nextFireMs === undefined ) {
+    finishSchedule(sched, 'completed');
+    return;
+  }
+  function wait() {
+    const ms = sched.nextFireMs - Date.now();
+    sched.timer = setTimeout(function() {
+      if ( ms > MAX_TIMER_MS ) {
+        wait();
+        return;
+      }
+      fireSchedule(sched);
+      scheduleNext(sched, sched.intervalMs !== undefined ? sched.nextFireMs : Date.now());
+    }, Math.max(0, Math.min(ms, MAX_TIMER_MS)));
+  }
+  wait();
+}
+
+// Returns info about the new schedule; Throws DataValidationError if the schedule is invalid
+function scheduleEvent(userId, oSchedule) {
+  const errors = validateSchedule(oSchedule);
+  if ( errors.length > 0 ) {
+    throw new commonErrors.DataValidationError(errors);
+  }
+  const sched = {
+    id: uuidv4(),
+    userId: ''+userId,
+    method: oSchedule.method,
+    result: oSchedule.result,
+    broadcast: !! oSchedule.broadcast,
+    at: oSchedule.at,
+    intervalMs: oSchedule.intervalMs,
+    cron: oSchedule.cron,
+    count: oSchedule.count,
+    status: 'scheduled',
+    firedCount: 0,
+    lastFiredAt: undefined,
+    lastError: undefined,
+    createdAt: new Date().toISOString(),
+    finishedAt: undefined,
+    atMs: ( 'at' in oSchedule ? parseTime(oSchedule.at) : undefined ),
+    oCron: ( 'cron' in oSchedule ? parseCron(oSchedule.cron) : undefined ),
+    nextFireMs: undefined,
+    timer: undefined
+  };
+  schedules.set(sched.id, sched);
+  scheduleNext(sched, Date.now());
+  logger.info(`Scheduled event ${sched.method} for user ${sched.userId} (schedule ${sched.id}); First sent at ${new Date(sched.nextFireMs).toISOString()}`);
+  return getScheduleInfo(sched);
+}
+
+function getSchedules(userId) {
+  return Array.from(schedules.values())
+    .filter((sched) => sched.userId === ''+userId)
+    .map(getScheduleInfo);
+}
+
+// Returns info about the given schedule or undefined if the user has no such schedule
+function getSchedule(userId, id) {
+  const sched = schedules.get(id);
+  return ( sched && sched.userId === ''+userId ? getScheduleInfo(sched) : undefined );
+}
+
+// Returns info about the cancelled schedule or undefined if the user has no such schedule
+// Cancelling a schedule which has already finished has no effect
+function cancelSchedule(userId, id) {
+  const sched = schedules.get(id);
+  if ( ! sched || sched.userId !== ''+userId ) {
+    return undefined;
+  }
+  if ( sched.status === 'scheduled' ) {
+    finishSchedule(sched, 'cancelled');
+  }
+  return getScheduleInfo(sched);
+}
+
+// --- Exports ---
+
+export const testExports = {
+  schedules, parseCron, getNextCronTime, parseTime
+};
+
+export { validateSchedule, scheduleEvent, getSchedules, getSchedule, cancelSchedule };
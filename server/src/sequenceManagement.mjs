@@ -17,28 +17,373 @@
 */
 
 // sequence management
+//
+// Each sequence (POST /api/v1/sequence) is a managed object with an id, so it can be listed and cancelled
+// Request body: { seqevent: [ <step>, ... ], repeat: <bool>, loopCount: <n>, loopDelay: <ms> } (or just the steps array)
+// - loopCount: Number of times to run through the steps (default 1)
+// - repeat: Run through the steps until cancelled (loopCount is ignored)
+// - loopDelay: Time to wait after the last step before starting the next loop (default 0)
+//
+// Steps run in order, each at a given time ({ at: <ms since start of loop> }) or after a given delay
+// ({ delay: <ms after previous step> }), and each contains one of:
+//   event: { method, result }             Send an event to the user
+//   broadcastEvent: { method, result }    Send an event to the user's group
+//   setState: { <state> }                 Update state, like PUT /api/v1/state (optionally with a "scope" key beside it)
+//   waitForCall: { method, params, timeout }  Wait (up to timeout ms; default 60000) for the app to call method
+//                                              (with params, if given), then continue; Times after this are pushed back
+//   assertCalled: { method, params }      Check that the app called method (with params, if given) during this loop
+// A waitForCall timeout or a failed assertCalled stops the sequence with status 'failed'
+//
+// Before a sequence is scheduled (or instead, for a dry run), validateSequence() can check each event step against the
+// OpenRPC event schemas and check that the app has registered for the event (for steps before any waitForCall step)
 
 'use strict';
-import {sendEvent} from './events.mjs';
 
-function executeSequence(ws,userId,seqevent) {
-  //iterating through sequence of events
-  for(let i = 0; i < seqevent.length; i++) {
-    let method_name = seqevent[i].event.method;
-    let result_val = seqevent[i].event.result;
-    let atTime_val;
-    //adding delay to the previous execution time
-    if (seqevent[i].delay){
-      atTime_val = seqevent[i-1].at + seqevent[i].delay
+import { v4 as uuidv4 } from 'uuid';
+import { isEqual } from 'lodash-es';
+import { sendEvent, sendBroadcastEvent, isRegisteredEventListener, isAnyRegisteredInGroup } from './events.mjs';
+import * as stateManagement from './stateManagement.mjs';
+import * as fireboltOpenRpc from './fireboltOpenRpc.mjs';
+import { config } from './config.mjs';
+import { createCaseAgnosticMethod } from './util.mjs';
+import * as commonErrors from './commonErrors.mjs';
+import { logger } from './logger.mjs';
+
+const MAX_FINISHED_SEQUENCES = 100; // Completed/cancelled/failed sequences kept around for status requests
+const DEFAULT_WAIT_TIMEOUT_MS = 60000;
+
+const stepTypes = [ 'event', 'broadcastEvent', 'setState', 'waitForCall', 'assertCalled' ];
+
+// Keys are sequence ids, values are sequence objects (see executeSequence)
+const sequences = new Map();
+
+function isObject(val) {
+  return ( val !== null && typeof val === 'object' && ! Array.isArray(val) );
+}
+
+function getStepType(step) {
+  return stepTypes.find((stepType) => stepType in step);
+}
+
+// Returns the time (ms since start of the loop) for each step; A delay is relative to the previous step (or 0 for the first step)
+function getStepTimes(seqevent) {
+  let prevAt = 0;
+  return seqevent.map((step) => {
+    const at = ( typeof step.delay === 'number' ? prevAt + step.delay : ( step.at || 0 ) );
+    prevAt = at;
+    return at;
+  });
+}
+
+// Returns array of error strings
+function validateStep(step, ii) {
+  if ( ! isObject(step) ) {
+    return [ `ERROR: Step ${ii} of sequence must be an object` ];
+  }
+  const errors = [];
+  const stepTypesInStep = stepTypes.filter((stepType) => stepType in step);
+  if ( stepTypesInStep.length !== 1 ) {
+    errors.push(`ERROR: Step ${ii} of sequence must contain exactly one of ${stepTypes.join(', ')}`);
+  } else {
+    const stepType = stepTypesInStep[0];
+    const val = step[stepType];
+    if ( stepType === 'setState' ) {
+      if ( ! isObject(val) ) {
+        errors.push(`ERROR: Step ${ii} of sequence has an invalid setState value; Expected an object`);
+      }
+    } else if ( ! isObject(val) || typeof val.method !== 'string' ) {
+      errors.push(`ERROR: Step ${ii} of sequence does not contain ${stepType === 'event' ? 'an event' : `a ${stepType}`} with a method`);
+    } else {
+      if ( 'params' in val && ! isObject(val.params) ) {
+        errors.push(`ERROR: Step ${ii} of sequence has an invalid params value; Expected an object`);
+      }
+      if ( 'timeout' in val && ! ( typeof val.timeout === 'number' && val.timeout > 0 ) ) {
+        errors.push(`ERROR: Step ${ii} of sequence has an invalid timeout value; Expected a number > 0`);
+      }
+    }
+  }
+  [ 'at', 'delay' ].forEach((key) => {
+    if ( key in step && ! ( typeof step[key] === 'number' && step[key] >= 0 ) ) {
+      errors.push(`ERROR: Step ${ii} of sequence has an invalid '${key}' value; Expected a number >= 0`);
+    }
+  });
+  return errors;
+}
+
+// Schema validation errors may be strings or ajv error objects
+function describeResultError(err) {
+  return ( typeof err === 'string' ? err : `${err.dataPath || 'result'} ${err.message}` );
+}
+
+// Returns array of error strings for an (otherwise valid) event or broadcastEvent step
+function validateEventStep(userId, step, ii, checkRegistration) {
+  const stepType = ( 'event' in step ? 'event' : 'broadcastEvent' );
+  const { method, result } = step[stepType];
+  const errors = [];
+  if ( config.validate.includes('events') ) {
+    if ( ! fireboltOpenRpc.getMethod(method) ) {
+      return [ `ERROR: Step ${ii} of sequence is for unknown event ${method}` ];
+    }
+    fireboltOpenRpc.validateMethodResult(result, method).forEach((err) => {
+      errors.push(`ERROR: Step ${ii} of sequence has an invalid result for event ${method}: ${describeResultError(err)}`);
+    });
+  }
+  if ( checkRegistration ) {
+    const eventMethod = ( config.app.caseInsensitiveModules ? createCaseAgnosticMethod(method) : method );
+    const isRegistered = ( stepType === 'event' ? isRegisteredEventListener(userId, eventMethod) : isAnyRegisteredInGroup(userId, eventMethod) );
+    if ( ! isRegistered ) {
+      errors.push(`ERROR: Step ${ii} of sequence is for event ${method}, which is not registered`);
+    }
+  }
+  return errors;
+}
+
+// Returns array of error strings
+// If a userId is given, event steps are validated against the OpenRPC event schemas and, up to the first waitForCall
+// step (after which the app may still register for more events), checked for event registration
+function validateSequence(seqevent, options = {}, userId) {
+  if ( ! Array.isArray(seqevent) || seqevent.length === 0 ) {
+    return [ 'ERROR: Sequence must be a non-empty array of steps' ];
+  }
+  let errors = [];
+  let checkRegistration = true;
+  seqevent.forEach((step, ii) => {
+    const stepErrors = validateStep(step, ii);
+    errors = errors.concat(stepErrors);
+    if ( stepErrors.length > 0 ) { return; }
+    if ( 'waitForCall' in step ) {
+      checkRegistration = false;
+    } else if ( userId !== undefined && ( 'event' in step || 'broadcastEvent' in step ) ) {
+      errors = errors.concat(validateEventStep(userId, step, ii, checkRegistration));
+    }
+  });
+  if ( 'loopCount' in options && ! ( Number.isInteger(options.loopCount) && options.loopCount >= 1 ) ) {
+    errors.push("ERROR: Sequence has an invalid 'loopCount' value; Expected an integer >= 1");
+  }
+  if ( 'loopDelay' in options && ! ( typeof options.loopDelay === 'number' && options.loopDelay >= 0 ) ) {
+    errors.push("ERROR: Sequence has an invalid 'loopDelay' value; Expected a number >= 0");
+  }
+  if ( errors.length === 0 && ( options.repeat || options.loopCount > 1 ) && ! seqevent.some((step) => 'waitForCall' in step) ) {
+    const stepTimes = getStepTimes(seqevent);
+    if ( Math.max(...stepTimes) + ( options.loopDelay || 0 ) <= 0 ) {
+      errors.push("ERROR: A looping sequence must take some time; Give its steps 'at' or 'delay' values or give a 'loopDelay' value");
+    }
+  }
+  return errors;
+}
+
+// The parts of a sequence object returned by the API
+function getSequenceInfo(seq) {
+  return {
+    id: seq.id,
+    userId: seq.userId,
+    status: seq.status,
+    loop: seq.loop,
+    loopCount: ( seq.repeat ? undefined : seq.loopCount ),
+    repeat: seq.repeat,
+    stepCount: seq.seqevent.length,
+    step: ( seq.status === 'running' ? seq.stepIndex : undefined ),
+    waitingFor: ( seq.pendingWait ? seq.pendingWait.method : undefined ),
+    sentCount: seq.sentCount,
+    failure: seq.failure,
+    startedAt: seq.startedAt,
+    finishedAt: seq.finishedAt
+  };
+}
+
+// A call matches if it's for the given method and has the given params (any others are ignored)
+function isMatchingCall(call, method, params) {
+  if ( call.method !== method ) { return false; }
+  if ( ! params ) { return true; }
+  const callParams = call.params || {};
+  return Object.keys(params).every((key) => isEqual(callParams[key], params[key]));
+}
+
+function finishSequence(seq, status, failure) {
+  clearTimeout(seq.timer);
+  seq.timer = undefined;
+  seq.pendingWait = undefined;
+  seq.status = status;
+  seq.failure = failure;
+  seq.finishedAt = new Date().toISOString();
+  if ( failure ) {
+    logger.error(`ERROR: Sequence ${seq.id} for user ${seq.userId} failed: ${failure}`);
+  } else {
+    logger.info(`Sequence ${seq.id} for user ${seq.userId} ${status} after ${seq.sentCount} event(s)`);
+  }
+
+  // Forget the oldest finished sequences, if there are too many
+  const finished = Array.from(sequences.values()).filter((ss) => ss.status !== 'running');
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_SEQUENCES)).forEach((ss) => sequences.delete(ss.id));
+}
+
+// Runs the given step, then calls next(); Fails the sequence instead, if the step fails
+function runStep(seq, step, next) {
+  const stepType = getStepType(step);
+  const val = step[stepType];
+  const noop = function(){};
+  const fErr = function(eventErrorType) {
+    logger.error(`ERROR: Sequence ${seq.id} could not send event ${val.method} (step ${seq.stepIndex}): ${eventErrorType}`);
+  };
+  const fFatalErr = function(ex) {
+    logger.error(`ERROR: Sequence ${seq.id} could not send event ${val.method} (step ${seq.stepIndex}): ${ex}`);
+  };
+  switch ( stepType ) {
+    case 'event':
+      sendEvent(seq.ws, seq.userId, val.method, val.result, `${val.method}`, noop, fErr, fFatalErr);
+      seq.sentCount += 1;
+      next();
+      break;
+    case 'broadcastEvent':
+      sendBroadcastEvent(seq.ws, seq.userId, val.method, val.result, `${val.method}`, noop, fErr, fFatalErr);
+      seq.sentCount += 1;
+      next();
+      break;
+    case 'setState':
+      try {
+        stateManagement.updateState(seq.userId, val, step.scope || '');
+      } catch ( ex ) {
+        finishSequence(seq, 'failed', `setState step ${seq.stepIndex} failed: ${ex.errors ? ex.errors.join('; ') : ex.message}`);
+        return;
+      }
+      next();
+      break;
+    case 'waitForCall': {
+      const timeout = val.timeout || DEFAULT_WAIT_TIMEOUT_MS;
+      seq.pendingWait = { method: val.method, params: val.params, resolve: next };
+      seq.timer = setTimeout(function() {
+        finishSequence(seq, 'failed', `Timed out after ${timeout}ms waiting for a call to ${val.method} (step ${seq.stepIndex})`);
+      }, timeout);
+      break;
     }
-    else{
-      atTime_val = seqevent[i].at;
+    case 'assertCalled':
+      if ( seq.calls.some((call) => isMatchingCall(call, val.method, val.params)) ) {
+        next();
+      } else {
+        finishSequence(seq, 'failed', `Expected a call to ${val.method}${val.params ? ` with params ${JSON.stringify(val.params)}` : ''} (step ${seq.stepIndex})`);
+      }
+      break;
+  }
+}
+
+// Steps due right away run right away, rather than via a timer, so they don't drift later (by a ms each) over many loops
+function runAfter(seq, fn, ms) {
+  if ( ms > 0 ) {
+    seq.timer = setTimeout(fn, ms);
+  } else {
+    fn();
+  }
+}
+
+// Run the steps from the given one onwards, then the next loop (if any)
+// Each step's time is relative to when the previous step finished, so waitForCall steps push later steps back
+function runSteps(seq, stepIndex) {
+  if ( seq.status !== 'running' ) { return; }
+  const stepTimes = getStepTimes(seq.seqevent);
+  const prevTime = ( stepIndex > 0 ? stepTimes[stepIndex - 1] : 0 );
+  seq.stepIndex = stepIndex;
+
+  if ( stepIndex >= seq.seqevent.length ) {
+    const isLastLoop = ( ! seq.repeat && seq.loop >= seq.loopCount );
+    const loopTime = Math.max(...stepTimes) - prevTime + ( isLastLoop ? 0 : seq.loopDelay );
+    runAfter(seq, function() {
+      if ( isLastLoop ) {
+        finishSequence(seq, 'completed');
+      } else {
+        runLoop(seq);
+      }
+    }, loopTime);
+    return;
+  }
+
+  runAfter(seq, function() {
+    runStep(seq, seq.seqevent[stepIndex], function next() {
+      clearTimeout(seq.timer);
+      seq.pendingWait = undefined;
+      runSteps(seq, stepIndex + 1);
+    });
+  }, stepTimes[stepIndex] - prevTime);
+}
+
+function runLoop(seq) {
+  seq.loop += 1;
+  seq.calls = [];
+  runSteps(seq, 0);
+}
+
+// Returns info about the new sequence (see getSequenceInfo); Throws DataValidationError if the sequence is invalid
+function executeSequence(ws, userId, seqevent, options = {}) {
+  const errors = validateSequence(seqevent, options);
+  if ( errors.length > 0 ) {
+    throw new commonErrors.DataValidationError(errors);
+  }
+  const seq = {
+    id: uuidv4(),
+    userId: ''+userId,
+    ws: ws,
+    seqevent: seqevent,
+    repeat: !! options.repeat,
+    loopCount: options.loopCount || 1,
+    loopDelay: options.loopDelay || 0,
+    status: 'running',
+    loop: 0,
+    stepIndex: 0,
+    sentCount: 0,
+    calls: [],                // Calls made by the app during the current loop
+    pendingWait: undefined,   // Set while a waitForCall step is waiting
+    timer: undefined,
+    failure: undefined,
+    startedAt: new Date().toISOString(),
+    finishedAt: undefined
+  };
+  sequences.set(seq.id, seq);
+  logger.info(`Starting sequence ${seq.id} for user ${userId} with ${seqevent.length} step(s)`);
+  runLoop(seq);
+  return getSequenceInfo(seq);
+}
+
+// Called by the message handler for each call made by an app, for waitForCall and assertCalled steps
+function notifyCall(userId, method, params) {
+  for ( const seq of sequences.values() ) {
+    if ( seq.status !== 'running' || seq.userId !== ''+userId ) { continue; }
+    const call = { method, params };
+    seq.calls.push(call);
+    if ( seq.pendingWait && isMatchingCall(call, seq.pendingWait.method, seq.pendingWait.params) ) {
+      seq.pendingWait.resolve();
     }
-    setTimeout(function() {
-      sendEvent(ws, userId, method_name, result_val, `${method_name}`, function(){}, function(){}, function(){});
-    }, atTime_val);
   }
 }
 
+// Returns info about each (running or recently finished) sequence for the given user
+function getSequences(userId) {
+  return Array.from(sequences.values())
+    .filter((seq) => seq.userId === ''+userId)
+    .map(getSequenceInfo);
+}
+
+// Returns info about the given sequence or undefined if the user has no such sequence
+function getSequence(userId, id) {
+  const seq = sequences.get(id);
+  return ( seq && seq.userId === ''+userId ? getSequenceInfo(seq) : undefined );
+}
+
+// Returns info about the cancelled sequence or undefined if the user has no such sequence
+// Cancelling a sequence which has already finished has no effect
+function cancelSequence(userId, id) {
+  const seq = sequences.get(id);
+  if ( ! seq || seq.userId !== ''+userId ) {
+    return undefined;
+  }
+  if ( seq.status === 'running' ) {
+    finishSequence(seq, 'cancelled');
+  }
+  return getSequenceInfo(seq);
+}
+
 // --- Exports ---
-export { executeSequence };
+
+export const testExports = {
+  sequences, getStepTimes, isMatchingCall
+};
+
+export { validateSequence, executeSequence, notifyCall, getSequences, getSequence, cancelSequence };
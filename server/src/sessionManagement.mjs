@@ -401,6 +401,16 @@ class Session {
                 }
                 recordings.push(responseJson)
             }
+            if(sessionDataJson.calls[i].shadow) {
+                const shadowJson = {
+                    type: "shadow-diff",
+                    timestamp: sessionDataJson.calls[i].shadow.timestamp,
+                    sequenceId: sessionDataJson.calls[i].sequenceId,
+                    method: sessionDataJson.calls[i].methodCall,
+                    shadow: sessionDataJson.calls[i].shadow
+                }
+                recordings.push(shadowJson)
+            }
             const eventJson = {
               type: "event",
               timestamp: sessionDataJson.calls[i].timestamp,
@@ -552,6 +562,31 @@ function updateCallWithResponse(method, result, key, userId) {
   }
 }
 
+// Adds how the mock and real responses compared in shadow mode (see shadow.mjs) to the latest call of the method without one
+function updateCallWithShadowDiff(method, comparison, userId) {
+  if (isRecording(userId)) {
+      const methodCalls = sessionRecording[userId].recordedSession.calls;
+      const call = methodCalls.slice().reverse().find((cc) => cc.methodCall == method && !cc.shadow);
+      if (!call) {
+          return;
+      }
+      call.shadow = {
+          status: comparison.status,
+          real: comparison.real,
+          differences: comparison.differences,
+          ...(comparison.error ? { error: comparison.error } : {}),
+          timestamp: Date.now()
+      };
+      const data = JSON.stringify(call);
+      if (sessionRecording[userId].recordedSession.sessionOutput === "live") {
+          sessionRecording[userId].recordedSession.sessionHandler.write(data);
+      }
+      if (sessionRecording[userId].recordedSession.sessionOutput === "server") {
+          sendMessageToMatchingSessions(data, userId);
+      }
+  }
+}
+
 // Created to return sessionRecording object for unit testcase
 function getMockEventCall(userId){
   return sessionRecording[userId].recordedSession.calls;
@@ -569,5 +604,5 @@ export const testExports = {
   SessionHandler
 }
 
-export { Session, FireboltCall, startRecording, setOutputDir, stopRecording, addCall, isRecording, updateCallWithResponse, setOutputFormat, getOutputFormat, getSessionOutputDir, getMockOutputDir, associateUserWithSessionWsMap, removeUserFromSessionWsMap, getWsfromSessionMap,
+export { Session, FireboltCall, startRecording, setOutputDir, stopRecording, addCall, isRecording, updateCallWithResponse, updateCallWithShadowDiff, setOutputFormat, getOutputFormat, getSessionOutputDir, getMockOutputDir, associateUserWithSessionWsMap, removeUserFromSessionWsMap, getWsfromSessionMap,
 sendMessageToMatchingSessions, closeSessionWsConnection };
\ No newline at end of file
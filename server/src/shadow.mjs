@@ -0,0 +1,197 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// Shadow mode: Answer calls from the mock (override or OpenRPC example) as usual, but also pass them through to the proxy
+// server (a real device) and compare the two responses, to find mock overrides which have drifted from real platform behaviour
+//
+// Enabled (in proxy mode) for all calls by --shadow (or "shadow": true in .mf.config.json), or per method by 'shadow'
+// routing rules (see routing.mjs)
+//
+// Each comparison looks like:
+//   {
+//     id: '<uuid>',
+//     method: 'device.name',
+//     params: { ... },
+//     timestamp: '2024-01-01T00:00:00.000Z',
+//     source: 'override',                      ( or 'example'; Where the mock response came from )
+//     mock: { result: 'Living Room' },         ( or { error: { code: xxx, message: xxx } } )
+//     real: { result: 'Kitchen' },             ( absent if the proxy server couldn't be reached or didn't respond )
+//     status: 'mismatch',                      ( or 'match' or 'failed' )
+//     differences: [ { path: 'result', kind: 'value', mock: 'Living Room', real: 'Kitchen' } ],
+//     error: '...'                             ( why the comparison failed, if it did )
+//   }
+// where each difference's kind is one of:
+//   missing     Only in the real response (e.g., a property the override lacks)
+//   unexpected  Only in the mock response
+//   type        Different types (e.g., string vs. number, or object vs. array)
+//   value       Same (primitive) type, different values
+
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import * as proxyManagement from './proxyManagement.mjs';
+import { updateCallWithShadowDiff } from './sessionManagement.mjs';
+import { logger } from './logger.mjs';
+
+const MAX_SHADOW_COMPARISONS = 100; // Per user; The oldest comparisons are forgotten first (their counts are kept)
+
+// Keys are userIds, values are { methods: per-method counts, comparisons: array of comparisons, oldest first }
+const reports = new Map();
+
+function getType(val) {
+  if ( val === null ) { return 'null'; }
+  if ( Array.isArray(val) ) { return 'array'; }
+  return typeof val;
+}
+
+// Returns an array of the differences between the given mock and real values (see above), at any depth
+function diffValues(mock, real, path = '') {
+  const mockType = getType(mock);
+  const realType = getType(real);
+  if ( mockType !== realType ) {
+    return [ { path: path, kind: 'type', mock: mock, real: real } ];
+  }
+  if ( mockType === 'array' ) {
+    const differences = [];
+    for ( let ii = 0; ii < Math.max(mock.length, real.length); ii += 1 ) {
+      const itemPath = `${path}[${ii}]`;
+      if ( ii >= real.length ) {
+        differences.push({ path: itemPath, kind: 'unexpected', mock: mock[ii] });
+      } else if ( ii >= mock.length ) {
+        differences.push({ path: itemPath, kind: 'missing', real: real[ii] });
+      } else {
+        differences.push(...diffValues(mock[ii], real[ii], itemPath));
+      }
+    }
+    return differences;
+  }
+  if ( mockType === 'object' ) {
+    const differences = [];
+    const keys = [ ...Object.keys(mock), ...Object.keys(real).filter((key) => ! ( key in mock )) ];
+    keys.forEach((key) => {
+      const keyPath = ( path ? `${path}.${key}` : key );
+      if ( ! ( key in real ) ) {
+        differences.push({ path: keyPath, kind: 'unexpected', mock: mock[key] });
+      } else if ( ! ( key in mock ) ) {
+        differences.push({ path: keyPath, kind: 'missing', real: real[key] });
+      } else {
+        differences.push(...diffValues(mock[key], real[key], keyPath));
+      }
+    });
+    return differences;
+  }
+  return ( mock === real ? [] : [ { path: path, kind: 'value', mock: mock, real: real } ] );
+}
+
+// Just the result or error of the given response object
+function getOutcome(oResponse) {
+  return ( oResponse && 'error' in oResponse ? { error: oResponse.error } : { result: ( oResponse || {} ).result } );
+}
+
+function getReport(userId) {
+  const key = ''+userId;
+  if ( ! reports.has(key) ) {
+    reports.set(key, { methods: {}, comparisons: [] });
+  }
+  return reports.get(key);
+}
+
+function recordComparison(userId, comparison) {
+  const report = getReport(userId);
+  const counts = report.methods[comparison.method] || { calls: 0, matched: 0, mismatched: 0, failed: 0 };
+  counts.calls += 1;
+  counts[{ match: 'matched', mismatch: 'mismatched', failed: 'failed' }[comparison.status]] += 1;
+  counts.source = comparison.source;
+  counts.lastCheckedAt = comparison.timestamp;
+  if ( comparison.status === 'mismatch' ) {
+    counts.lastDifferences = comparison.differences;
+  }
+  report.methods[comparison.method] = counts;
+
+  report.comparisons.push(comparison);
+  if ( report.comparisons.length > MAX_SHADOW_COMPARISONS ) {
+    report.comparisons.splice(0, report.comparisons.length - MAX_SHADOW_COMPARISONS);
+  }
+}
+
+// Passes the given call (as answered by the mock with the given response object, from the given source: 'override' or
+// 'example') through to the proxy server on behalf of the user's app (on the given web socket connection) and records
+// how the responses compare
+// Calls without an id aren't shadowed, since the proxy server's response couldn't be matched to them
+// Never rejects; Resolves with the comparison (undefined if not shadowed)
+async function shadowCall(userId, oMsg, mockResponse, source, ws) {
+  if ( oMsg.id === undefined || oMsg.id === null ) {
+    logger.debug(`Shadow: Not passing ${oMsg.method} through to the proxy server, since the call has no id`);
+    return undefined;
+  }
+  const comparison = {
+    id: uuidv4(),
+    method: oMsg.method,
+    params: oMsg.params,
+    timestamp: new Date().toISOString(),
+    source: source,
+    mock: getOutcome(mockResponse)
+  };
+  try {
+    const realResponse = await proxyManagement.sendRequest(ws, JSON.stringify(oMsg), userId);
+    comparison.real = getOutcome(JSON.parse(realResponse));
+    comparison.differences = diffValues(comparison.mock, comparison.real);
+    comparison.status = ( comparison.differences.length > 0 ? 'mismatch' : 'match' );
+    if ( comparison.status === 'mismatch' ) {
+      logger.info(`Shadow: Mock response for ${oMsg.method} (${comparison.source}) differs from the real response: ${JSON.stringify(comparison.differences)}`);
+    } else {
+      logger.debug(`Shadow: Mock response for ${oMsg.method} matches the real response`);
+    }
+  } catch ( ex ) {
+    comparison.status = 'failed';
+    comparison.differences = [];
+    comparison.error = `Could not get the real response: ${ex.message || ex}`;
+    logger.info(`Shadow: ${comparison.error} (method: ${oMsg.method})`);
+  }
+  recordComparison(userId, comparison);
+  updateCallWithShadowDiff(oMsg.method, comparison, userId);
+  return comparison;
+}
+
+// Returns the user's report: Overall and per-method counts, and the (most recent) comparisons, oldest first
+function getShadowReport(userId) {
+  const report = getReport(userId);
+  const summary = { calls: 0, matched: 0, mismatched: 0, failed: 0 };
+  Object.values(report.methods).forEach((counts) => {
+    Object.keys(summary).forEach((key) => { summary[key] += counts[key]; });
+  });
+  return {
+    summary: summary,
+    methods: report.methods,
+    comparisons: report.comparisons
+  };
+}
+
+function clearShadowReport(userId) {
+  reports.delete(''+userId);
+}
+
+// --- Exports ---
+
+export const testExports = {
+  reports, MAX_SHADOW_COMPARISONS
+};
+
+export {
+  diffValues, shadowCall, getShadowReport, clearShadowReport
+};
@@ -20,20 +20,27 @@
 
 'use strict';
 
-import { includes, mergeWith } from 'lodash-es';  // Deep merge needed; Object.assign is shallow, sadly
+import { includes, mergeWith, isEqual } from 'lodash-es';  // Deep merge needed; Object.assign is shallow, sadly
 import { config } from './config.mjs';
 import { logger } from './logger.mjs';
 import * as magicDateTime from './magicDateTime.mjs';
 import * as fireboltOpenRpc from './fireboltOpenRpc.mjs';
 import * as commonErrors from './commonErrors.mjs';
 import * as util from './util.mjs';
-import { sendBroadcastEvent, sendEvent, logSuccess, logErr, logFatalErr } from './events.mjs';
+import * as latency from './latency.mjs';
+import * as faults from './faults.mjs';
+import * as routing from './routing.mjs';
+import JSONPath from 'jsonpath';
+import { sendBroadcastEvent, sendEvent, logSuccess, logErr, logFatalErr, isRegisteredEventListener } from './events.mjs';
 import { v4 as uuidv4 } from 'uuid';
 import { parseUser, closeConnection, closeAllConnections } from './userManagement.mjs';
+import { compileFunction } from './sandbox.mjs';
+import * as statePersistence from './statePersistence.mjs';
 
 const Mode = {
   BOX: 'BOX',            // Log settrs, return default defaults for each gettr based on first example within OpenRPC specification
-  DEFAULT: 'DEFAULT'     // Log settrs, return current mock value for each gettr (as controlled by CLI, browser extension, admin UI)
+  DEFAULT: 'DEFAULT',    // Log settrs, return current mock value for each gettr (as controlled by CLI, browser extension, admin UI)
+  STATEFUL: 'STATEFUL'   // Like DEFAULT, but settrs store their value, which the matching gettr returns, and fire the matching change event(s)
 };
 
 let perUserStartState = {
@@ -66,11 +73,24 @@ let perUserStartState = {
   sequenceState: {
     // 'moduleX.methodM1': { index: 0 }
   }
+
+  // Added once a settr is called in STATEFUL mode: Per-property values set by settrs
+  // Each key is a fully qualified property (gettr) method name, e.g., properties: { 'closedcaptions.enabled': true }
+
+  // Added once a fault is set: Per-method faults to inject into responses (see faults.mjs)
+  // e.g., faults: { 'account.session': { type: 'drop', percent: 50 } }
+
+  // Added once a routing rule is set: Whether calls are mocked, proxied or sent via Conduit (see routing.mjs)
+  // e.g., routing: { 'authentication.*': 'proxy', 'lifecycle.*': 'mock' }
 };
 
 // Keys are userIds, values are state objects like the one above
 let state = {};
 
+// Named snapshots of state; Keys are userIds/groups, values are Maps whose keys are snapshot names
+// and whose values are { name, createdAt, state }
+const snapshots = new Map();
+
 // Add default user, which will be used anytime a userId is not specified
 // in REST calls (calls without an x-mockfirebolt-userid header), regardless of whether
 // these are calls to the API via cURL or Postman, or whether these are coming from
@@ -97,6 +117,7 @@ function addUser(userId) {
   if (!(group in state)){
     state[''+group] = JSON.parse(JSON.stringify(perUserStartState)); // Deep copy
   };
+  persistState();
   return {isSuccess:true, msg:""}
 }
 
@@ -164,28 +185,19 @@ function getState(userId,mergedState = true) {
   return state[config.app.defaultUserId];
 }
 
-async function getAppropriateDelay(userId, methodName) {
+// Returns a delay in ms per the latency profile for the given method (or event), or undefined if there's no latency
+// See latency.mjs for the profile types and how per-method, per-module and global profiles are chosen
+function getDelay(userId, methodName) {
   const userState = getState(userId);
 
   if ( ! userState.global ) { return; }
   if ( ! userState.global.latency ) { return; }
 
-  const globalMin = userState.global.latency.min || 0;
-  const globalMax = userState.global.latency.max || 0;
-
-  let perMethodMin = null;
-  let perMethodMax = null;
-  if ( methodName in userState.global.latency ) {
-    perMethodMin = userState.global.latency[methodName].min;
-    perMethodMax = userState.global.latency[methodName].max;
-  }
-
-  const min = ( perMethodMin !== null ? perMethodMin : globalMin ); // Careful of 0 values!
-  const max = ( perMethodMax !== null ? perMethodMax : globalMax ); // Careful of 0 values!
-
-  const dly = ( min === max ? min : util.randomIntFromInterval(min, max) );
+  return latency.getDelayForMethod(userState.global.latency, methodName);
+}
 
-  return dly;
+async function getAppropriateDelay(userId, methodName) {
+  return getDelay(userId, methodName);
 }
 
 function hasOverride(userId, methodName) {
@@ -197,9 +209,60 @@ function hasOverride(userId, methodName) {
   if ( resp.result ) { return true; }
   if ( resp.error ) { return true; }
   if ( resp.responses ) { return true; }
+  if ( resp.matchers ) { return true; }
   return false;
 }
 
+// Values of a params key (or, for keys starting with '$', of a JSONPath query against params) for use by matchers
+function getParamValues(params, key) {
+  if ( key.startsWith('$') ) {
+    return JSONPath.query(params || {}, key);
+  }
+  return ( params && key in params ? [ params[key] ] : [] );
+}
+
+// Does the given "when" clause of a matcher match the given params? All criteria given must match
+//   params:   { <paramName>: <value>, ... }           Exact (deep) match of each param given; Other params are ignored
+//   jsonPath: { <JSONPath expression>: <value>, ... } Exact (deep) match of the (first) value at the path within params
+//   regex:    { <paramName or JSONPath>: <regex> }    Regular expression match of the (stringified) value
+function matchesWhen(when, params) {
+  if ( when.params ) {
+    for ( const [key, val] of Object.entries(when.params) ) {
+      if ( ! params || ! ( key in params ) || ! isEqual(params[key], val) ) { return false; }
+    }
+  }
+  if ( when.jsonPath ) {
+    for ( const [path, val] of Object.entries(when.jsonPath) ) {
+      const values = getParamValues(params, path);
+      if ( values.length <= 0 || ! isEqual(values[0], val) ) { return false; }
+    }
+  }
+  if ( when.regex ) {
+    for ( const [key, regex] of Object.entries(when.regex) ) {
+      const values = getParamValues(params, key);
+      const re = new RegExp(regex);
+      if ( ! values.some((val) => re.test(typeof val === 'string' ? val : JSON.stringify(val))) ) { return false; }
+    }
+  }
+  return true;
+}
+
+// Handle matchers arrays, whose items are { when: {...}, result|error|response: ... }
+// The first matching item wins; If none match, the method override's own result/error/response/responses (if any) are used
+function handleMatchers(methodName, params, resp) {
+  const matcher = resp.matchers.find((mm) => matchesWhen(mm.when || {}, params));
+  if ( matcher ) {
+    logger.debug(`Using matcher ${resp.matchers.indexOf(matcher)} for method ${methodName}`);
+    const { when, ...matchedResp } = matcher;
+    return matchedResp;
+  }
+  const { matchers, ...fallbackResp } = resp;
+  if ( 'result' in fallbackResp || 'error' in fallbackResp || 'response' in fallbackResp || 'responses' in fallbackResp ) {
+    return fallbackResp;
+  }
+  return undefined; // Will cause code below to use the static default from the OpenRPC specification
+}
+
 // Handle sequence-of-responses values, which are arrays of either result, error, or response objects
 function handleSequenceOfResponseValues(userId, methodName, params, resp, userState) {
   const nextIndex = userState.sequenceState[methodName] || 0;
@@ -211,6 +274,7 @@ function handleSequenceOfResponseValues(userId, methodName, params, resp, userSt
     resp = undefined; // Will cause code below to use the static default from the OpenRPC specification
   }
   state[''+userId].sequenceState[methodName] = nextIndex + 1;
+  persistState();
   return resp;
 }
 
@@ -231,6 +295,16 @@ function logInvalidMethodError(methodName, resultErrors, resp) {
   };
 }
 
+// Functions which fail within the sandbox (exception, timeout, memory cap) are reported to the app as JSON-RPC errors
+function sandboxErrorResponse(ex) {
+  if ( ex instanceof commonErrors.SandboxError ) {
+    return {
+      error: { code: ex.code, message: ex.message }
+    };
+  }
+  return undefined;
+}
+
 // Handle response values, which are always functions which either return a result or throw a FireboltError w/ code & message
 async function handleDynamicResponseValues(userId, methodName, params, ws, resp){
   if ( typeof resp.response === 'string' && resp.response.trimStart().startsWith('function') ) {
@@ -273,8 +347,7 @@ async function handleDynamicResponseValues(userId, methodName, params, ws, resp)
         },
         FireboltError: commonErrors.FireboltError
       };
-      const sFcnBody = resp.response + ';' + 'return f(ctx, params);'
-      const fcn = new Function('ctx', 'params', sFcnBody);
+      const fcn = compileFunction(resp.response, 'f');
       const result = await fcn(ctx, params);
       const resultErrors = fireboltOpenRpc.validateMethodResult(result, methodName);
       if ( ! resultErrors || resultErrors.length === 0 ) {
@@ -293,8 +366,8 @@ async function handleDynamicResponseValues(userId, methodName, params, ws, resp)
         };
       }
     } catch ( ex ) {
-      if ( ex instanceof commonErrors.FireboltError ) {
-        // Looks like the function threw a FireboltError, which means we want to mock an error, not a result
+      if ( ex instanceof commonErrors.FireboltError || ex instanceof commonErrors.SandboxError ) {
+        // Looks like the function threw a FireboltError (or failed within the sandbox), which means we want to mock an error, not a result
         resp = {
           error: { code: ex.code, message: ex.message }
         }
@@ -325,10 +398,10 @@ async function handleStaticAndDynamicResult(userId, methodName, params, resp){
         set: function ss(key, val, scope) { return setScratch(userId, key, val, scope) },
         get: function gs(key) { return getScratch(userId, key); },
         delete: function ds(key, scope) { return deleteScratch(userId, key, scope)},
+        delay: function delay(ms){ return util.delay(ms) },
         uuid: function cuuid() {return createUuid()},
       };
-      const sFcnBody = resp.result + ';' + 'return f(ctx, params);'
-      const fcn = new Function('ctx', 'params', sFcnBody);
+      const fcn = compileFunction(resp.result, 'f');
       const result = await fcn(ctx, params);
       const resultErrors = fireboltOpenRpc.validateMethodResult(result, methodName);
       if ( ! resultErrors || resultErrors.length === 0 ) {
@@ -342,7 +415,7 @@ async function handleStaticAndDynamicResult(userId, methodName, params, resp){
     } catch ( ex ) {
       logger.error(`ERROR: Could not execute the function specified for the result of method ${methodName}`);
       logger.error(ex);
-      resp = {
+      resp = sandboxErrorResponse(ex) || {
         result: undefined  // Something...
       };
     }
@@ -354,18 +427,104 @@ async function handleStaticAndDynamicResult(userId, methodName, params, resp){
 
 // Handle error values, which are either specified as static objects with code & message props or
 // as a function which returns such an object
-function handleStaticAndDynamicError(userId, methodName, params, resp){
-  if ( typeof resp.error === 'string' && resp.error.startsWith('function') ) {
-    // @TODO
-    resp = {
-      result: 'NOT-IMPLEMENTED-YET'  // @TODO
-    };
+async function handleStaticAndDynamicError(userId, methodName, params, resp){
+  if ( typeof resp.error === 'string' && resp.error.trimStart().startsWith('function') ) {
+    // Looks like resp.error is specified as a function; evaluate it
+    try {
+      const ctx = {
+        set: function ss(key, val, scope) { return setScratch(userId, key, val, scope) },
+        get: function gs(key) { return getScratch(userId, key); },
+        delete: function ds(key, scope) { return deleteScratch(userId, key, scope)},
+        delay: function delay(ms){ return util.delay(ms) },
+        uuid: function cuuid() {return createUuid()},
+      };
+      const fcn = compileFunction(resp.error, 'f');
+      const error = await fcn(ctx, params);
+      const errorErrors = fireboltOpenRpc.validateMethodError(error);
+      if ( ! errorErrors || errorErrors.length === 0 ) {
+        resp = {
+          error: error
+        };
+      } else {
+        // After the error function was called, we're realizing what it returned isn't valid!
+        logger.error(`ERROR: The function specified for the error of ${methodName} returned an invalid value`);
+        logger.error(JSON.stringify(errorErrors, null, 4));
+        // The mock is misconfigured (not the app's params), so this is an "Internal error"
+        resp = {
+          error: {
+            code: -32603,
+            message: 'Internal error',
+            data: {
+              errors: errorErrors
+            }
+          }
+        };
+      }
+    } catch ( ex ) {
+      logger.error(`ERROR: Could not execute the function specified for the error of method ${methodName}`);
+      logger.error(ex);
+      // Still an error (the method is configured to fail), never a result
+      resp = sandboxErrorResponse(ex) || {
+        error: { code: -32603, message: 'Internal error' }
+      };
+    }
   } else {
     // Assume resp.error is a "normal" error value (object with code and message keys); leave resp alone
   }
   return resp;
 }
 
+// The value passed to a settr; Settrs take a single param (normally named 'value')
+function getSetterValue(params) {
+  if ( Array.isArray(params) ) { return params[0]; }
+  if ( params && typeof params === 'object' ) {
+    return ( 'value' in params ? params.value : Object.values(params)[0] );
+  }
+  return params;
+}
+
+function setPropertyValue(userId, propertyName, value) {
+  userId = getUserId('' + userId);
+  if ( ! ( userId in state ) ) {
+    state[''+userId] = JSON.parse(JSON.stringify(perUserStartState));
+  }
+  if ( ! state[''+userId].properties ) {
+    state[''+userId].properties = {};
+  }
+  state[''+userId].properties[propertyName] = value;
+  persistState();
+}
+
+// In STATEFUL mode, settrs (methods with an x-setter-for tag) store their value for the matching gettr and fire
+// the matching change event(s) (methods with an x-subscriber-for tag) to any registered listeners
+// Returns { result: xxx } for a gettr whose value was set, otherwise undefined (meaning: carry on as usual)
+function handleStatefulPropertyMethod(userId, methodName, params, ws, userState) {
+  const propertyName = fireboltOpenRpc.getPropertyForSetter(methodName);
+  if ( propertyName ) {
+    const value = getSetterValue(params);
+    const oldValue = ( userState.properties ? userState.properties[propertyName] : undefined );
+    setPropertyValue(userId, propertyName, value);
+    if ( ! isEqual(oldValue, value) ) {
+      // Let the settr's own response go out before the change event(s)
+      setImmediate(() => {
+        fireboltOpenRpc.getSubscribersForProperty(propertyName).forEach((eventName) => {
+          if ( isRegisteredEventListener(userId, eventName) ) {
+            const msg = `Stateful mode: ${methodName} changed ${propertyName}`;
+            sendEvent(ws, userId, eventName, value, msg, logSuccess.bind(this, eventName, value, msg), logErr.bind(this, eventName, null), logFatalErr.bind(this));
+          }
+        });
+      });
+    }
+    return undefined;
+  }
+  if ( userState.properties && methodName in userState.properties ) {
+    return {
+      result: userState.properties[methodName]
+    };
+  }
+  return undefined;
+}
+
 // Returns either { result: xxx } or { error: { code: xxx, message: 'xxx' } }
 // The params parameter isn't used for static mock responses, but is useful when
 // specifying result or error by function (see examples/discovery-watched-1.json for an example)
@@ -373,13 +532,25 @@ async function getMethodResponse(userId, methodName, params, ws) {
   let resp;
   const userState = getState(userId);
 
-  if ( userState.global.mode === Mode.DEFAULT ) {
+  if ( userState.global.mode === Mode.STATEFUL ) {
+    // For a gettr whose value was set earlier via its settr, this is the value that was set
+    resp = handleStatefulPropertyMethod(userId, methodName, params, ws, userState);
+  }
+
+  if ( resp ) {
+    // Nothing more to do
+  } else if ( userState.global.mode === Mode.DEFAULT || userState.global.mode === Mode.STATEFUL ) {
     // Use mock override values, if present, else use first example value from the OpenRPC specification
     // This includes both "normal" result and error values and also results and errors specified as functions
     // Normally, an object with either a result key, an error key, or a response key
     // But see code directly below that handles sequence-of-responses (responses array values)
     resp = userState.methods[methodName];
 
+    // Handle matchers, which pick a result, error, or response based on the params of the call
+    if ( resp && resp.matchers ) {
+      resp = handleMatchers(methodName, params, resp);
+    }
+
     // Handle sequence-of-responses values, which are arrays of either result, error, or response objects
     if ( resp && resp.responses ) {
       resp = handleSequenceOfResponseValues(userId, methodName, params, resp, userState);  
@@ -399,7 +570,7 @@ async function getMethodResponse(userId, methodName, params, ws) {
     // Handle error values, which are either specified as static objects with code & message props or
     // as a function which returns such an object
     else if ( resp && resp.error ) {
-      resp = handleStaticAndDynamicError(userId, methodName, params, resp);
+      resp = await handleStaticAndDynamicError(userId, methodName, params, resp);
     }
   } else /* if ( userState.global.mode === Mode.BOX ) */ {
     // Only use first example value from the OpenRPC specification; Force 'if' below to be
@@ -441,7 +612,9 @@ async function getMethodResponse(userId, methodName, params, ws) {
 
 // Returns array of error strings
 function validateNewState_Global(newStateGlobal) {
-  // @TODO
+  if ( newStateGlobal && 'latency' in newStateGlobal ) {
+    return latency.validateLatency(newStateGlobal.latency);
+  }
   return [];
 }
 
@@ -451,10 +624,74 @@ function validateNewState_Scratch(newStateScratch) {
   return [];
 }
 
+// Returns array of error strings
+function validateMatcherWhen(methodName, mm, when) {
+  let errors = [];
+  const knownKeys = [ 'params', 'jsonPath', 'regex' ];
+  if ( typeof when !== 'object' || when === null || Array.isArray(when) ) {
+    return [ `ERROR: Matcher ${mm} for ${methodName} does not contain a 'when' object` ];
+  }
+  for ( const [key, criteria] of Object.entries(when) ) {
+    if ( ! knownKeys.includes(key) ) {
+      errors.push(`ERROR: Matcher ${mm} for ${methodName} contains unknown 'when' key '${key}'; Expected one of ${knownKeys.join(', ')}`);
+    } else if ( typeof criteria !== 'object' || criteria === null || Array.isArray(criteria) ) {
+      errors.push(`ERROR: Matcher ${mm} for ${methodName} has a '${key}' value which is not an object`);
+    } else {
+      for ( const [path, val] of Object.entries(criteria) ) {
+        if ( key === 'jsonPath' || ( key === 'regex' && path.startsWith('$') ) ) {
+          try {
+            JSONPath.parse(path);
+          } catch ( ex ) {
+            errors.push(`ERROR: Matcher ${mm} for ${methodName} has an invalid JSONPath expression '${path}'`);
+          }
+        }
+        if ( key === 'regex' ) {
+          try {
+            new RegExp(val);
+          } catch ( ex ) {
+            errors.push(`ERROR: Matcher ${mm} for ${methodName} has an invalid regular expression '${val}' for '${path}'`);
+          }
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// Returns array of error strings
+function validateMatchers(methodName, matchers) {
+  let errors = [];
+  if ( ! Array.isArray(matchers) ) {
+    return [ `ERROR: New state data for ${methodName} has a 'matchers' value which is not an array` ];
+  }
+  for ( let mm = 0; mm < matchers.length; mm += 1 ) {
+    const matcher = matchers[mm];
+    if ( typeof matcher !== 'object' || matcher === null ) {
+      errors.push(`ERROR: Matcher ${mm} for ${methodName} is not an object`);
+      continue;
+    }
+    errors = errors.concat(validateMatcherWhen(methodName, mm, matcher.when));
+    if ( 'result' in matcher ) {
+      errors = errors.concat(fireboltOpenRpc.validateMethodResult(matcher.result, methodName));
+    } else if ( 'error' in matcher ) {
+      errors = errors.concat(fireboltOpenRpc.validateMethodError(matcher.error));
+    } else if ( 'response' in matcher ) {
+      // Do nothing since validating a response value is impossible because they are always functions
+    } else {
+      errors.push(`ERROR: Matcher ${mm} for ${methodName} does not contain 'result', 'error' or 'response'; One is required`);
+    }
+  }
+  return errors;
+}
+
 // Returns array of error strings
 function validateMethodOverride(methodName, methodOverrideObject) {
   let errors = [];
 
+  if ( 'matchers' in methodOverrideObject ) {
+    errors = errors.concat(validateMatchers(methodName, methodOverrideObject.matchers));
+  }
+
   if ( 'result' in methodOverrideObject ) {
     errors = errors.concat(fireboltOpenRpc.validateMethodResult(methodOverrideObject.result, methodName));
   } else if ( 'error' in methodOverrideObject ) {
@@ -474,7 +711,7 @@ function validateMethodOverride(methodName, methodOverrideObject) {
         errors = errors.concat(`ERROR: New state data for ${methodName} has at least one response item that does not contain 'result' or 'error'; One is required`);
       }
     }
-  } else {
+  } else if ( ! ( 'matchers' in methodOverrideObject ) ) {
     errors = errors.concat(`ERROR: New state data for ${methodName} does not contain 'result' or 'error'; One is required`);
   }
 
@@ -501,6 +738,8 @@ function validateNewState(newState) {
   let globalErrors = [];
   let scratchErrors = [];
   let methodOverrideErrors = [];
+  let faultErrors = [];
+  let routingErrors = [];
 
   if ( 'global' in newState ) {
     globalErrors = validateNewState_Global(newState.global);
@@ -511,8 +750,14 @@ function validateNewState(newState) {
   if ( 'methods' in newState ) {
     methodOverrideErrors = validateNewState_MethodOverrides(newState.methods);
   }
+  if ( 'faults' in newState ) {
+    faultErrors = faults.validateFaults(newState.faults);
+  }
+  if ( 'routing' in newState ) {
+    routingErrors = routing.validateRouting(newState.routing);
+  }
 
-  const allErrors = [].concat(globalErrors, scratchErrors, methodOverrideErrors);
+  const allErrors = [].concat(globalErrors, scratchErrors, methodOverrideErrors, faultErrors, routingErrors);
   return allErrors;
 }
 
@@ -528,10 +773,19 @@ function resetSequenceStateValues(oldState, newState) {
 
 // @TODO: Is this right? We really want/need this for "responses" arrays (sequence-of-responses values)
 //        but will this code incorrectly do the same for *all* arrays? Is this what we want???
-function mergeCustomizer(objValue, srcValue) {
+function mergeCustomizer(objValue, srcValue, key) {
   if ( Array.isArray(objValue) ) {
     return srcValue;
   }
+  if ( key === 'latency' ) {
+    return latency.mergeLatency(objValue, srcValue);
+  }
+  if ( key === 'faults' ) {
+    return faults.mergeFaults(objValue, srcValue);
+  }
+  if ( key === 'routing' ) {
+    return routing.mergeRouting(objValue, srcValue);
+  }
 }
 
 function updateState(userId, newState, scope = "") {
@@ -584,6 +838,7 @@ function updateState(userId, newState, scope = "") {
     }
     resetSequenceStateValues(userState, newState);
     mergeWith(userState, newState, mergeCustomizer);
+    persistState();
   } else {
     logger.error('Errors found when attempting to update state:');
     errors.forEach(function(errorMessage) {
@@ -601,6 +856,96 @@ function revertState(userId) {
   }
 
   state[''+userId] = JSON.parse(JSON.stringify(perUserStartState));
+  persistState();
+}
+
+// Snapshots are taken of the state for userId itself, or, if scope is given, of a group ('group' or '~xxx') or of 'global'
+function getSnapshotScope(userId, scope) {
+  if ( scope === 'group' ) {
+    scope = setScopeForGroupKeyword(userId, scope);
+  }
+  return getUserId('' + ( scope || userId ));
+}
+
+// Names which would reach Object.prototype if used as keys of plain objects (like state)
+const ILLEGAL_SNAPSHOT_KEYS = [ '__proto__', 'constructor', 'prototype' ];
+
+function isLegalSnapshotName(name) {
+  return ( typeof name === 'string' && /^[A-Za-z0-9_.-]+$/.test(name) && ! ILLEGAL_SNAPSHOT_KEYS.includes(name) );
+}
+
+// A scope (see getSnapshotScope) must be absent, 'group', 'global', a group (e.g., '~A') or a known userId
+function isLegalSnapshotScope(scope) {
+  if ( scope === undefined ) { return true; }
+  if ( typeof scope !== 'string' ) { return false; }
+  if ( scope === 'group' || scope === 'global' ) { return true; }
+  if ( /^~[A-Za-z0-9_.-]+$/.test(scope) ) { return true; }
+  return Object.prototype.hasOwnProperty.call(state, getUserId(scope));
+}
+
+// Save a copy of the current (unmerged) state of the user/group under the given name, replacing any snapshot with that name
+function saveSnapshot(userId, name, scope) {
+  scope = getSnapshotScope(userId, scope);
+  const scopeState = ( Object.prototype.hasOwnProperty.call(state, scope) ? state[scope] : perUserStartState );
+  if ( ! snapshots.has(scope) ) {
+    snapshots.set(scope, new Map());
+  }
+  const snapshot = {
+    name: name,
+    createdAt: new Date().toISOString(),
+    state: JSON.parse(JSON.stringify(scopeState))  // Deep copy
+  };
+  snapshots.get(scope).set(name, snapshot);
+  logger.info(`Saved snapshot ${name} of the state for ${scope}`);
+  return { name: name, createdAt: snapshot.createdAt };
+}
+
+function getSnapshots(userId, scope) {
+  scope = getSnapshotScope(userId, scope);
+  return Array.from(( snapshots.get(scope) || new Map() ).values()).map(({ name, createdAt }) => ({ name, createdAt }));
+}
+
+// Replace the state of the user/group with the named snapshot; Returns false if there is no such snapshot
+function restoreSnapshot(userId, name, scope) {
+  scope = getSnapshotScope(userId, scope);
+  if ( ILLEGAL_SNAPSHOT_KEYS.includes(scope) || ! snapshots.has(scope) || ! snapshots.get(scope).has(name) ) {
+    return false;
+  }
+  state[scope] = JSON.parse(JSON.stringify(snapshots.get(scope).get(name).state));  // Deep copy, so the snapshot can be restored again later
+  persistState();
+  logger.info(`Restored snapshot ${name} of the state for ${scope}`);
+  return true;
+}
+
+// Returns false if there is no such snapshot
+function deleteSnapshot(userId, name, scope) {
+  scope = getSnapshotScope(userId, scope);
+  if ( ! snapshots.has(scope) || ! snapshots.get(scope).has(name) ) {
+    return false;
+  }
+  snapshots.get(scope).delete(name);
+  return true;
+}
+
+// Save state to the state file, if one was given via --stateFile (or .mf.config.json)
+function persistState() {
+  statePersistence.scheduleSave(state);
+}
+
+// Replace in-memory state with whatever was saved to the state file, if any
+// Returns the list of userIds/groups restored
+function restorePersistedState() {
+  const savedState = statePersistence.loadState();
+  if ( ! savedState ) {
+    return [];
+  }
+  for ( const [userId, userState] of Object.entries(savedState) ) {
+    state[''+userId] = {
+      ...JSON.parse(JSON.stringify(perUserStartState)),  // In case the file predates some newer state keys
+      ...userState
+    };
+  }
+  return Object.keys(savedState);
 }
 
 function setLatency(userId, min, max) {
@@ -617,9 +962,11 @@ function setLatency(userId, min, max) {
 // Call with oLatency something like:
 //   {
 //     min: 0, max: 0                               ( global values )
+//     device: { type: 'fixed', value: 500 },       ( per module values )
 //     device.type: { min: 3000, max: 3000 },       ( per method values )
 //     ...
 //   }
+// Any of these can be a latency profile instead of min/max values; See latency.mjs
 function setLatencies(userId, oLatency) {
   updateState(userId, {
     global: {
@@ -663,6 +1010,48 @@ function setMethodError(userId, methodName, code, message) {
   });
 }
 
+// fault is something like { type: 'drop', percent: 25 }; See faults.mjs
+function setMethodFault(userId, methodName, fault) {
+  updateState(userId, {
+    faults: {
+      [methodName]: fault
+    }
+  });
+}
+
+function clearMethodFault(userId, methodName) {
+  setMethodFault(userId, methodName, null);
+}
+
+// Returns the fault to inject into the response for this call to the given method, if any
+function getFault(userId, methodName) {
+  const userState = getState(userId);
+  if ( ! userState || ! userState.faults ) { return undefined; }
+  return faults.pickFault(userState.faults, methodName);
+}
+
+// Call with oRouting something like { 'authentication.*': 'proxy', 'lifecycle.*': 'mock', 'discovery.launch': null }
+// Rules are added or replaced; null removes the rule for that method or glob
+function setRouting(userId, oRouting) {
+  updateState(userId, {
+    routing: oRouting
+  });
+}
+
+// Removes all routing rules set for the user itself (rules set for its group or globally still apply)
+function clearRouting(userId) {
+  const userState = getState(userId, false);
+  const oRouting = ( userState && userState.routing ) || {};
+  setRouting(userId, Object.fromEntries(Object.keys(oRouting).map((key) => [ key, null ])));
+}
+
+// Returns the route ruled for calls to the given method ('mock', 'proxy' or 'conduit'), or undefined if no rule applies
+function getRoute(userId, methodName) {
+  const userState = getState(userId);
+  if ( ! userState || ! userState.routing ) { return undefined; }
+  return routing.getRouteForMethod(userState.routing, methodName);
+}
+
 /* if "group" keyword is passed for scope inside ctx functions, 
 and if userid invoking the YAML contains group, the group of the userId will be used as the "scope" for that call
 else,  the full userid is used along with warning
@@ -710,11 +1099,13 @@ function deleteScratch(userId, key, scope=""){
     }
     if (scope in state && key in state[scope].scratch) {
       delete state[scope].scratch[key];
+      persistState();
     }
   }
   else{
     if ( userId in state && key in state[userId].scratch ){
       delete state[userId].scratch[key];
+      persistState();
     }
   }
 }
@@ -751,17 +1142,20 @@ function doesUserExist(users,userId){
 
 export const testExports={
   handleStaticAndDynamicError, state, validateMethodOverride, logInvalidMethodError,
-  mergeCustomizer,
+  mergeCustomizer, snapshots, matchesWhen, handleMatchers, handleStatefulPropertyMethod, getSetterValue,
 }
 export {
   state,
   addUser,getUserId,
   getState,
-  getAppropriateDelay,
+  getDelay, getAppropriateDelay,
   hasOverride, getMethodResponse,
-  updateState, revertState,
+  updateState, revertState, restorePersistedState,
+  isLegalSnapshotName, isLegalSnapshotScope, saveSnapshot, getSnapshots, restoreSnapshot, deleteSnapshot,
   setLatency, setLatencies,
   isLegalMode, setMode,
   setMethodResult, setMethodError,doesUserExist,
+  setMethodFault, clearMethodFault, getFault,
+  setRouting, clearRouting, getRoute,
   setScratch, getScratch, deleteScratch, createUuid
 };
\ No newline at end of file
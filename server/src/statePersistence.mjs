@@ -0,0 +1,191 @@
+/*
+* Copyright 2021 Comcast Cable Communications Management, LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+* http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*
+* SPDX-License-Identifier: Apache-2.0
+*/
+
+// State persistence: Saves the state of all users/groups (see stateManagement.mjs) to a local JSON or SQLite file
+// and reads it back at startup, so overrides survive server restarts
+// Enabled via --stateFile <path> or "stateFile" in .mf.config.json
+
+'use strict';
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { config } from './config.mjs';
+import { logger } from './logger.mjs';
+
+const FILE_VERSION = 1;
+const SAVE_DELAY_MS = 250;   // Saves are batched, since a single REST call can update state several times
+
+const requireModule = createRequire(import.meta.url);
+
+let saveTimer;
+let pendingState;
+let exitHandlerAdded = false;
+
+function isPersistenceEnabled() {
+  return ( !! config.stateFile );
+}
+
+// Use config.stateFileFormat if given, otherwise go by file extension (.db, .sqlite, .sqlite3 => SQLite)
+function getFormat() {
+  if ( config.stateFileFormat ) {
+    return config.stateFileFormat.toLowerCase();
+  }
+  return ( /\.(db|sqlite3?)$/i.test(config.stateFile) ? 'sqlite' : 'json' );
+}
+
+// better-sqlite3 is only needed for the SQLite format, so it isn't a hard dependency
+function openSqliteDb() {
+  let Database;
+  try {
+    Database = requireModule('better-sqlite3');
+  } catch ( ex ) {
+    throw new Error('The sqlite state file format requires the better-sqlite3 package; Run "npm install better-sqlite3" or use a .json state file');
+  }
+  const db = new Database(config.stateFile);
+  db.exec('CREATE TABLE IF NOT EXISTS state (scope TEXT PRIMARY KEY, value TEXT NOT NULL)');
+  return db;
+}
+
+function readJsonFile() {
+  if ( ! fs.existsSync(config.stateFile) ) {
+    return undefined;
+  }
+  const contents = JSON.parse(fs.readFileSync(config.stateFile, 'utf8'));
+  if ( contents.version !== FILE_VERSION || typeof contents.state !== 'object' ) {
+    throw new Error(`Unsupported state file version: ${contents.version}`);
+  }
+  return contents.state;
+}
+
+// Write to a temporary file first, so a crash mid-write can't leave a truncated state file behind
+function writeJsonFile(stateObj) {
+  const dirName = path.dirname(config.stateFile);
+  fs.mkdirSync(dirName, { recursive: true });
+  const tmpFileName = `${config.stateFile}.tmp`;
+  const contents = { version: FILE_VERSION, savedAt: new Date().toISOString(), state: stateObj };
+  fs.writeFileSync(tmpFileName, JSON.stringify(contents, null, 2));
+  fs.renameSync(tmpFileName, config.stateFile);
+}
+
+function readSqliteDb() {
+  const db = openSqliteDb();
+  try {
+    const rows = db.prepare('SELECT scope, value FROM state').all();
+    if ( rows.length <= 0 ) {
+      return undefined;
+    }
+    const stateObj = {};
+    rows.forEach(({ scope, value }) => { stateObj[scope] = JSON.parse(value); });
+    return stateObj;
+  } finally {
+    db.close();
+  }
+}
+
+function writeSqliteDb(stateObj) {
+  const db = openSqliteDb();
+  try {
+    const deleteAll = db.prepare('DELETE FROM state');
+    const insert = db.prepare('INSERT INTO state (scope, value) VALUES (?, ?)');
+    db.transaction(() => {
+      deleteAll.run();
+      for ( const [scope, value] of Object.entries(stateObj) ) {
+        insert.run(scope, JSON.stringify(value));
+      }
+    })();
+  } finally {
+    db.close();
+  }
+}
+
+// Returns the persisted state object (keys are userIds/groups/'global') or undefined if there is none
+// Problems reading the file are logged rather than thrown, so Mock Firebolt still starts (with empty state)
+function loadState() {
+  if ( ! isPersistenceEnabled() ) {
+    return undefined;
+  }
+  try {
+    const stateObj = ( getFormat() === 'sqlite' ? readSqliteDb() : readJsonFile() );
+    if ( stateObj ) {
+      logger.info(`Loaded state for ${Object.keys(stateObj).length} user(s)/group(s) from ${config.stateFile}`);
+    } else {
+      logger.info(`State file ${config.stateFile} does not exist yet; Starting with empty state`);
+    }
+    return stateObj;
+  } catch ( ex ) {
+    logger.error(`ERROR: Could not load state from ${config.stateFile}: ${ex.message}; Starting with empty state`);
+    return undefined;
+  }
+}
+
+function saveState(stateObj) {
+  try {
+    if ( getFormat() === 'sqlite' ) {
+      writeSqliteDb(stateObj);
+    } else {
+      writeJsonFile(stateObj);
+    }
+  } catch ( ex ) {
+    logger.error(`ERROR: Could not save state to ${config.stateFile}: ${ex.message}`);
+  }
+}
+
+// Called whenever state changes; The actual write happens a little later (or at exit)
+function scheduleSave(stateObj) {
+  if ( ! isPersistenceEnabled() ) {
+    return;
+  }
+  pendingState = stateObj;
+  if ( ! exitHandlerAdded ) {
+    process.on('exit', flush);
+    // Save before being stopped, then let the signal do what it would have done anyway
+    [ 'SIGINT', 'SIGTERM' ].forEach((signal) => {
+      process.once(signal, () => {
+        flush();
+        process.kill(process.pid, signal);
+      });
+    });
+    exitHandlerAdded = true;
+  }
+  if ( ! saveTimer ) {
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+}
+
+// Write any pending state changes right away
+function flush() {
+  clearTimeout(saveTimer);
+  saveTimer = undefined;
+  if ( pendingState ) {
+    const stateObj = pendingState;
+    pendingState = undefined;
+    saveState(stateObj);
+  }
+}
+
+// --- Exports ---
+
+export const testExports = {
+  getFormat, readJsonFile, writeJsonFile
+};
+
+export {
+  isPersistenceEnabled, loadState, saveState, scheduleSave, flush
+};
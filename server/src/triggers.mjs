@@ -22,6 +22,7 @@ import * as fs from 'fs';
 import * as path from 'path';
 import { logger } from './logger.mjs';
 import * as commandLine from './commandLine.mjs';
+import { compileFunction } from './sandbox.mjs';
 
 // Ultimately, this is the "map" we're building up
 const methodTriggers = {};
@@ -67,8 +68,7 @@ function processFile(methodName, filePath, fileName, fileExt) {
       let fcn;
       try {
         // Next line assumes sTriggerFunctionDefinition defines a method named <fileName> (e.g., pre or post)
-        const sFcnBody = `${sTriggerFunctionDefinition}; return ${fileName}(ctx, params);`;
-        const fcn = new Function('ctx', 'params', sFcnBody);
+        const fcn = compileFunction(sTriggerFunctionDefinition, fileName);
   
         if ( ! (methodName in eventTriggers) ) {
           eventTriggers[methodName] = {};
@@ -87,8 +87,7 @@ function processFile(methodName, filePath, fileName, fileExt) {
       let fcn;
       try {
         // Next line assumes sTriggerFunctionDefinition defines a method named <fileName> (e.g., pre or post)
-        const sFcnBody = `${sTriggerFunctionDefinition}; return ${fileName}(ctx, params);`;
-        const fcn = new Function('ctx', 'params', sFcnBody);
+        const fcn = compileFunction(sTriggerFunctionDefinition, fileName);
   
         if ( ! (methodName in methodTriggers) ) {
           methodTriggers[methodName] = {};
@@ -26,6 +26,8 @@ import * as messageHandler from './messageHandler.mjs';
 import {doesUserExist, state} from './stateManagement.mjs';
 import { logger } from './logger.mjs';
 import * as util from './util.mjs'
+import * as chaos from './chaos.mjs';
+import * as appRequests from './appRequests.mjs';
 
 const user2wss = new Map();
 const user2ws  = new Map();
@@ -226,6 +228,7 @@ function addUser(userId) {
     // Remove ws connection of user
     ws.on('close', function close() {
       closeConnection(userId, ws);
+      appRequests.cancelRequests(ws);
     });
 
     // If multiUserConnections configuration is set as deny and there is a ws object associated with userId, deny and log second ws connection and drop the attempt
@@ -247,6 +250,8 @@ function addUser(userId) {
   });
 
   const interval = setInterval(function ping() {
+    // Chaos scheduling can pause heartbeats for a while (see chaos.mjs)
+    if ( chaos.isHeartbeatPaused() ) { return; }
     wss.clients.forEach(function each(ws) {
       if (ws.isAlive === false) return ws.terminate();
       ws.isAlive = false;
@@ -0,0 +1,54 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Requests to apps: Tests
+
+"use strict";
+
+import { jest } from "@jest/globals";
+import * as appRequests from "../../src/appRequests.mjs";
+
+test(`appRequests.handleResponse settles tracked requests`, async () => {
+  const ws = {};
+  const acked = appRequests.trackRequest(ws, 1, "device.nameChanged", 5000);
+  const errored = appRequests.trackRequest(ws, 2, "device.nameChanged", 5000);
+  expect(appRequests.getPendingCount(ws)).toBe(2);
+
+  expect(appRequests.handleResponse(ws, { jsonrpc: "2.0", id: 1, result: null })).toBe(true);
+  expect(appRequests.handleResponse(ws, { jsonrpc: "2.0", id: 2, error: { code: -32601, message: "Method not found" } })).toBe(true);
+  expect(appRequests.handleResponse(ws, { jsonrpc: "2.0", id: 3, result: null })).toBe(false);
+  expect(appRequests.handleResponse(ws, { jsonrpc: "2.0", id: 1, method: "device.name" })).toBe(false);
+  expect(appRequests.handleResponse({}, { jsonrpc: "2.0", id: 1, result: null })).toBe(false);
+
+  expect(await acked).toMatchObject({ status: "acked", result: null });
+  expect(await errored).toMatchObject({ status: "errored", error: { code: -32601 } });
+  expect(appRequests.getPendingCount(ws)).toBe(0);
+});
+
+test(`appRequests.trackRequest times out and appRequests.cancelRequests settles pending requests`, async () => {
+  jest.useFakeTimers();
+  const ws = {};
+  const timedOut = appRequests.trackRequest(ws, 1, "device.nameChanged", 1000);
+  const closed = appRequests.trackRequest(ws, 2, "device.nameChanged", 5000);
+  jest.advanceTimersByTime(1000);
+  expect(await timedOut).toMatchObject({ status: "timed-out", responseTimeMs: 1000 });
+  appRequests.cancelRequests(ws);
+  expect(await closed).toEqual({ status: "closed" });
+  expect(appRequests.handleResponse(ws, { jsonrpc: "2.0", id: 1, result: null })).toBe(false);
+  jest.useRealTimers();
+});
@@ -0,0 +1,87 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Chaos Scheduling: Tests
+
+"use strict";
+
+import { jest } from "@jest/globals";
+import * as chaos from "../../src/chaos.mjs";
+import * as userManagement from "../../src/userManagement.mjs";
+import * as commonErrors from "../../src/commonErrors.mjs";
+
+jest.useFakeTimers();
+
+afterEach(() => {
+  chaos.stopChaos();
+});
+
+test(`chaos.validateChaos works properly`, () => {
+  expect(chaos.validateChaos({
+    dropConnections: { everyMs: 1000, users: ["123~A"] },
+    pauseHeartbeats: { minIntervalMs: 10, maxIntervalMs: 20, durationMs: 5 },
+  })).toEqual([]);
+  expect(chaos.validateChaos("often")).toHaveLength(1);
+  expect(chaos.validateChaos({ explode: { everyMs: 10 } })[0]).toMatch(/Unknown chaos action 'explode'/);
+  expect(chaos.validateChaos({ dropConnections: { minIntervalMs: 20, maxIntervalMs: 10 } })[0]).toMatch(/needs either an 'everyMs'/);
+  expect(chaos.validateChaos({ refuseUpgrades: { everyMs: 10 } })[0]).toMatch(/needs a 'durationMs'/);
+  expect(chaos.validateChaos({ refuseUpgrades: { everyMs: 10, durationMs: 5, users: ["123~A"] } })[0]).toMatch(/invalid 'users'/);
+  expect(() => chaos.startChaos({ dropConnections: {} })).toThrow(commonErrors.DataValidationError);
+});
+
+test(`chaos.startChaos drops connections on a schedule`, () => {
+  const ws1 = { terminate: jest.fn() };
+  const ws2 = { terminate: jest.fn() };
+  userManagement.testExports.associateUserWithWs("chaos1", ws1);
+  userManagement.testExports.associateUserWithWs("chaos2", ws2);
+  chaos.startChaos({ dropConnections: { everyMs: 1000, users: ["chaos1"] } });
+  expect(chaos.getChaosStatus().running).toBe(true);
+
+  jest.advanceTimersByTime(999);
+  expect(ws1.terminate).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(1);
+  expect(ws1.terminate).toHaveBeenCalledTimes(1);
+  expect(ws2.terminate).not.toHaveBeenCalled();
+  expect(userManagement.getWsForUser("chaos1")).toBeUndefined();
+
+  userManagement.testExports.associateUserWithWs("chaos1", ws1);
+  chaos.stopChaos();
+  jest.advanceTimersByTime(5000);
+  expect(ws1.terminate).toHaveBeenCalledTimes(1);
+  expect(chaos.getChaosStatus()).toEqual({ running: false, settings: undefined, heartbeatsPaused: false, refusingUpgrades: false });
+  userManagement.testExports.user2ws.delete("chaos1");
+  userManagement.testExports.user2ws.delete("chaos2");
+});
+
+test(`chaos.startChaos pauses heartbeats and refuses upgrades for a while`, () => {
+  chaos.startChaos({
+    pauseHeartbeats: { everyMs: 100, durationMs: 50 },
+    refuseUpgrades: { minIntervalMs: 200, maxIntervalMs: 200, durationMs: 20 },
+  });
+  expect(chaos.isHeartbeatPaused()).toBe(false);
+  jest.advanceTimersByTime(100);
+  expect(chaos.isHeartbeatPaused()).toBe(true);
+  jest.advanceTimersByTime(50);
+  expect(chaos.isHeartbeatPaused()).toBe(false);
+
+  jest.advanceTimersByTime(50);
+  expect(chaos.isRefusingUpgrades()).toBe(true);
+  expect(chaos.getChaosStatus().refusingUpgrades).toBe(true);
+  jest.advanceTimersByTime(20);
+  expect(chaos.isRefusingUpgrades()).toBe(false);
+});
@@ -35,3 +35,11 @@ describe(`DataValidationError works properly`, () => {
     expect(dataValidationError.errors).toEqual("errors");
   });
 });
+
+describe(`SandboxError works properly`, () => {
+  const sandboxError = new commonErrors.SandboxError("message");
+  test("should instantiate", () => {
+    expect(sandboxError.code).toEqual(-32603);
+    expect(sandboxError.message).toEqual("message");
+  });
+});
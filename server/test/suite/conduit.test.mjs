@@ -0,0 +1,52 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Conduit: Tests
+
+"use strict";
+
+import { jest } from "@jest/globals";
+import * as conduit from "../../src/conduit.mjs";
+import * as events from "../../src/events.mjs";
+import * as eventHistory from "../../src/eventHistory.mjs";
+
+test(`conduit.testExports.getConduitUserId works properly`, () => {
+  expect(conduit.testExports.getConduitUserId({ userId: 678 })).toBe("678");
+  expect(conduit.testExports.getConduitUserId({ userId: null })).toBe("12345");
+});
+
+test(`conduit.testExports.handleConduitMessage sends forwarded events to the user's listeners`, () => {
+  const dummyWebSocket = { send: jest.fn() };
+  events.registerEventListener("conduitUser", { registration: { id: 21 }, method: "lifecycle.onForeground" }, dummyWebSocket);
+  const oConduitMsg = {
+    from: "conduit",
+    type: "FIREBOLT-LIFECYCLE-EVENT-FORWARD",
+    userId: "conduitUser",
+    data: { moduleName: "lifecycle", eventName: "foreground", value: { state: "foreground", previous: "inactive" } },
+  };
+  conduit.testExports.handleConduitMessage(oConduitMsg);
+  expect(dummyWebSocket.send).toHaveBeenCalledTimes(1);
+  expect(eventHistory.getEventHistory("conduitUser")[0]).toMatchObject({
+    method: "lifecycle.onForeground",
+    result: { state: "foreground", previous: "inactive" },
+    delivered: true,
+  });
+
+  conduit.testExports.handleConduitMessage({ ...oConduitMsg, data: { ...oConduitMsg.data, eventName: "background" } });
+  expect(dummyWebSocket.send).toHaveBeenCalledTimes(1);
+});
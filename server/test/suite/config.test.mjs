@@ -26,6 +26,23 @@ test(`config works properly`, () => {
   const expectedResult = {
     validate: ["method", "params", "response", "events"],
     multiUserConnections: "warn",
+    sandbox: {
+      enabled: false,
+      cpuTimeoutMs: 1000,
+      timeoutMs: 10000,
+      memoryLimitMb: 64
+    },
+    proxy: {
+      url: undefined,
+      headers: {},
+      ca: undefined,
+      rejectUnauthorized: true,
+      reconnect: { maxAttempts: 5, initialDelayMs: 500, maxDelayMs: 10000 }
+    },
+    proxyRecording: {
+      outputPath: undefined,
+      redact: ['token', 'accessToken', 'refreshToken', 'deviceId', 'device.id', 'device.uid', 'authentication.token']
+    },
     app: {
       caseInsensitiveModules: true,
       socketPort: 9998,
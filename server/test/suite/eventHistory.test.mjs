@@ -0,0 +1,48 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Event history: Tests
+
+"use strict";
+
+import * as eventHistory from "../../src/eventHistory.mjs";
+
+test(`eventHistory.recordEvent records events per user`, () => {
+  const entry = eventHistory.recordEvent("histUser1", "device.onNameChanged", "abc", '"abc"', "test_msg", [
+    { socket: 0, delivered: false, error: "Socket is closed" },
+    { socket: 1, delivered: true },
+  ]);
+  expect(entry).toMatchObject({ method: "device.onNameChanged", result: "abc", message: '"abc"', delivered: true });
+  expect(eventHistory.recordEvent("histUser1", "device.onNameChanged", "def", undefined, "test_msg", []).delivered).toBe(false);
+  expect(eventHistory.getEventHistory("histUser1").map((ee) => ee.result)).toEqual(["abc", "def"]);
+  expect(eventHistory.getEvent("histUser1", entry.id)).toBe(entry);
+  expect(eventHistory.getEvent("histUser2", entry.id)).toBeUndefined();
+  expect(eventHistory.getEventHistory("histUser2")).toEqual([]);
+  eventHistory.clearEventHistory("histUser1");
+  expect(eventHistory.getEventHistory("histUser1")).toEqual([]);
+});
+
+test(`eventHistory.recordEvent forgets the oldest events`, () => {
+  const max = eventHistory.testExports.MAX_EVENT_HISTORY;
+  for ( let ii = 0; ii < max + 5; ii += 1 ) {
+    eventHistory.recordEvent("histUser3", "device.onNameChanged", ii, `${ii}`, "test_msg", []);
+  }
+  const entries = eventHistory.getEventHistory("histUser3");
+  expect(entries).toHaveLength(max);
+  expect(entries[0].result).toBe(5);
+});
@@ -24,6 +24,10 @@ import { jest } from "@jest/globals";
 import * as events from "../../src/events.mjs";
 import { logger } from "../../src/logger.mjs";
 import { eventTriggers } from "../../src/triggers.mjs";
+import * as stateManagement from "../../src/stateManagement.mjs";
+import * as eventHistory from "../../src/eventHistory.mjs";
+import * as appRequests from "../../src/appRequests.mjs";
+import { config } from "../../src/config.mjs";
 
 test(`events.registerEventListener works properly`, () => {
   const spy = jest.spyOn(logger, "debug");
@@ -83,6 +87,12 @@ test(`events.getRegisteredEventListener works properly`, () => {
       registration: { id: 12 },
     },
     wsArr: [],
+    registrations: [{
+      metadata: {
+        method: methodName,
+        registration: { id: 12 },
+      },
+    }],
   };
   expect(result).toEqual(expectedResult);
 });
@@ -362,6 +372,104 @@ test(`events.emitResponse works properly`, () => {
   expect(spy).toHaveBeenCalled();
 });
 
+test(`events.emitResponse delays events per the latency for the event`, () => {
+  jest.useFakeTimers();
+  const dummyObject = {
+    registration: { id: 13 },
+    method: 'device.onNameChanged'
+  };
+  const dummyWebSocket = { send: jest.fn() };
+  events.registerEventListener("12345", dummyObject, dummyWebSocket);
+  stateManagement.setLatencies("12345", { "device.onNameChanged": { type: "fixed", value: 500 } });
+
+  events.testExports.emitResponse("abc", "test_msg", "12345", "device.onNameChanged");
+  expect(dummyWebSocket.send).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(500);
+  expect(dummyWebSocket.send).toHaveBeenCalledTimes(1);
+
+  stateManagement.setLatencies("12345", { "device.onNameChanged": { min: 0, max: 0 } });
+  jest.useRealTimers();
+});
+
+test(`events.emitResponse records event history and events.replayEvent resends events`, () => {
+  const dummyObject = {
+    registration: { id: 14 },
+    method: 'device.onHdrChanged'
+  };
+  const openWebSocket = { send: jest.fn(), readyState: 1 };
+  const closedWebSocket = { send: jest.fn(), readyState: 3 };
+  events.registerEventListener("histUser", dummyObject, openWebSocket);
+  events.registerEventListener("histUser", dummyObject, closedWebSocket);
+
+  events.testExports.emitResponse({ hdr10: true }, "test_msg", "histUser", "device.onHdrChanged");
+  const [entry] = eventHistory.getEventHistory("histUser");
+  expect(entry).toMatchObject({
+    method: "device.onHdrChanged",
+    result: { hdr10: true },
+    delivered: true,
+    sockets: [{ socket: 0, delivered: true }, { socket: 1, delivered: false, error: "Socket is closed" }],
+  });
+  expect(closedWebSocket.send).not.toHaveBeenCalled();
+
+  const replayed = events.replayEvent("histUser", entry.id);
+  expect(replayed).toMatchObject({ method: "device.onHdrChanged", result: { hdr10: true } });
+  expect(replayed.id).not.toBe(entry.id);
+  expect(openWebSocket.send).toHaveBeenCalledTimes(2);
+  expect(events.replayEvent("histUser", "no-such-id")).toBeUndefined();
+});
+
+test(`events.emitResponse only delivers events to registrations matching their filter params`, () => {
+  const method = "discovery.onPullEntityInfo";
+  const ws1 = { send: jest.fn() };
+  const ws2 = { send: jest.fn() };
+  const register = (id, params, ws) => {
+    events.registerEventListener("filterUser", { method, registration: { id, method, params: { listen: true, ...params } } }, ws);
+  };
+  register(31, { entityType: "program" }, ws1);
+  register(32, { entityType: "channel" }, ws1);
+  register(33, {}, ws2);
+
+  events.testExports.emitResponse({ entityType: "program", id: "p1" }, "test_msg", "filterUser", method);
+  expect(ws1.send).toHaveBeenCalledTimes(1);
+  expect(ws2.send).toHaveBeenCalledTimes(1);
+  expect(events.testExports.getRegisteredEventListener("filterUser", method).registrations).toHaveLength(3);
+
+  events.deregisterEventListener("filterUser", { method, unRegistration: { method, params: { listen: false, entityType: "program" } } }, ws1);
+  events.testExports.emitResponse({ entityType: "program", id: "p2" }, "test_msg", "filterUser", method);
+  expect(ws1.send).toHaveBeenCalledTimes(1);
+  expect(ws2.send).toHaveBeenCalledTimes(2);
+  expect(events.testExports.getRegisteredEventListener("filterUser", method).wsArr).toEqual([ws1, ws2]);
+});
+
+test(`events.testExports.isMatchingRegistration uses eventConfig.filters rules when given`, () => {
+  const { eventConfig } = config.dotConfig;
+  const savedFilters = eventConfig.filters;
+  eventConfig.filters = { "device.onHdrChanged": [{ registration: "$.params.format", event: "$.format" }] };
+  const metadata = { registration: { params: { listen: true, format: "hdr10" } } };
+  expect(events.testExports.isMatchingRegistration("device.onHdrChanged", metadata, { format: "hdr10" })).toBe(true);
+  expect(events.testExports.isMatchingRegistration("device.onHdrChanged", metadata, { format: "dolbyVision" })).toBe(false);
+  expect(events.testExports.isMatchingRegistration("device.onHdrChanged", { registration: { params: { listen: true } } }, { format: "dolbyVision" })).toBe(true);
+  expect(events.testExports.isMatchingRegistration("device.onNameChanged", { registration: { params: { listen: true, x: 1 } } }, "Kitchen")).toBe(true);
+  eventConfig.filters = savedFilters;
+});
+
+test(`events.emitResponse tracks app responses to bidirectional events`, async () => {
+  const savedBidirectional = config.dotConfig.bidirectional;
+  config.dotConfig.bidirectional = true;
+  const ws = { send: jest.fn(), readyState: 1 };
+  events.registerEventListener("ackUser", { registration: { id: 15 }, method: "device.onNameChanged" }, ws);
+
+  const delivery = events.testExports.emitResponse("Kitchen", "test_msg", "ackUser", "device.onNameChanged");
+  const payload = JSON.parse(ws.send.mock.calls[0][0]);
+  expect(payload).toMatchObject({ method: "device.nameChanged", params: "Kitchen" });
+  expect(eventHistory.getEventHistory("ackUser")[0].status).toBe("delivered");
+
+  expect(appRequests.handleResponse(ws, { jsonrpc: "2.0", id: payload.id, result: null })).toBe(true);
+  const entry = await delivery;
+  expect(entry).toMatchObject({ status: "acked", sockets: [{ socket: 0, delivered: true, status: "acked", response: null }] });
+  config.dotConfig.bidirectional = savedBidirectional;
+});
+
 test(`events.extractEventData returns correct data when searchRegex and method match`, () => {
   const oMsg = {
     method: 'lifecycle.onInactive',
@@ -0,0 +1,76 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Fault Injection: Tests
+
+"use strict";
+
+import { jest } from "@jest/globals";
+import * as faults from "../../src/faults.mjs";
+
+const responseMessage = '{"jsonrpc":"2.0","id":5,"result":"abc"}';
+
+test(`faults.pickFault works properly`, () => {
+  const spy = jest.spyOn(Math, "random");
+  const oFaults = { "device.id": { type: "drop", percent: 25 }, "device.type": { type: "close" } };
+  spy.mockReturnValue(0.2);
+  expect(faults.pickFault(oFaults, "device.id")).toEqual({ type: "drop", percent: 25 });
+  spy.mockReturnValue(0.3);
+  expect(faults.pickFault(oFaults, "device.id")).toBeUndefined();
+  expect(faults.pickFault(oFaults, "device.type")).toEqual({ type: "close" });
+  expect(faults.pickFault(oFaults, "device.name")).toBeUndefined();
+  expect(faults.pickFault(undefined, "device.id")).toBeUndefined();
+  spy.mockRestore();
+});
+
+test(`faults.injectFault works properly for each fault type`, async () => {
+  const reply = jest.fn();
+  const closeConnection = jest.fn();
+  const inject = async (fault) => {
+    reply.mockClear();
+    await faults.injectFault(fault, "device.id", responseMessage, reply, closeConnection);
+    return reply.mock.calls.map((call) => call[0]);
+  };
+
+  expect(await inject({ type: "drop" })).toEqual([]);
+  expect(await inject({ type: "delay", delayMs: 1 })).toEqual([responseMessage]);
+  const [malformed] = await inject({ type: "malformed" });
+  expect(() => JSON.parse(malformed)).toThrow();
+  expect(JSON.parse((await inject({ type: "wrongId" }))[0]).id).toBe(-1);
+  expect(JSON.parse((await inject({ type: "wrongId", id: 99 }))[0])).toEqual({ jsonrpc: "2.0", id: 99, result: "abc" });
+  expect(await inject({ type: "duplicate" })).toEqual([responseMessage, responseMessage]);
+  expect(await inject({ type: "close" })).toEqual([]);
+  expect(closeConnection).toHaveBeenCalledTimes(1);
+});
+
+test(`faults.validateFaults works properly`, () => {
+  expect(faults.validateFaults({ "device.id": { type: "drop", percent: 50 }, "device.type": null })).toEqual([]);
+  expect(faults.validateFaults([])).toHaveLength(1);
+  expect(faults.validateFaults({ "device.id": "drop" })[0]).toMatch(/must be an object/);
+  expect(faults.validateFaults({ "device.id": { type: "explode" } })[0]).toMatch(/unknown type 'explode'/);
+  expect(faults.validateFaults({ "device.id": { type: "drop", percent: 150 } })[0]).toMatch(/invalid 'percent'/);
+  expect(faults.validateFaults({ "device.id": { type: "delay" } })[0]).toMatch(/needs a 'delayMs'/);
+});
+
+test(`faults.mergeFaults replaces and removes faults per method`, () => {
+  const oldFaults = { "device.id": { type: "drop", percent: 10 }, "device.type": { type: "close" } };
+  expect(faults.mergeFaults(oldFaults, { "device.id": { type: "duplicate" }, "device.type": null })).toEqual({
+    "device.id": { type: "duplicate" },
+  });
+  expect(faults.mergeFaults(undefined, { "device.id": { type: "drop" } })).toEqual({ "device.id": { type: "drop" } });
+});
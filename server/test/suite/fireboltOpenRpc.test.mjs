@@ -774,3 +774,66 @@ test(`fireboltOpenRpc.downloadOpenRpcJsonFile works properly`, () => {
       expect(err.message).toEqual("Invalid URL");
     });
 });
+
+test(`fireboltOpenRpc.getPropertyForSetter and getSubscribersForProperty work properly`, () => {
+  fireboltOpenRpc.testExports.methodMaps["core"] = {
+    "closedcaptions.enabled": { name: "closedcaptions.enabled", tags: [{ name: "property" }] },
+    "closedcaptions.setEnabled": {
+      name: "closedcaptions.setEnabled",
+      tags: [{ name: "setter", "x-setter-for": "enabled" }],
+    },
+    "closedcaptions.onEnabledChanged": {
+      name: "closedcaptions.onEnabledChanged",
+      tags: [{ name: "subscriber", "x-subscriber-for": "enabled" }, { name: "event", "x-alternative": "enabled" }],
+    },
+    "device.onNameChanged": {
+      name: "device.onNameChanged",
+      tags: [{ name: "subscriber", "x-subscriber-for": "device.name" }],
+    },
+  };
+  expect(fireboltOpenRpc.getPropertyForSetter("closedcaptions.setEnabled")).toBe("closedcaptions.enabled");
+  expect(fireboltOpenRpc.getPropertyForSetter("closedcaptions.enabled")).toBeUndefined();
+  expect(fireboltOpenRpc.getPropertyForSetter("unknown.method")).toBeUndefined();
+  expect(fireboltOpenRpc.getSubscribersForProperty("closedcaptions.enabled")).toEqual(["closedcaptions.onEnabledChanged"]);
+  expect(fireboltOpenRpc.getSubscribersForProperty("device.name")).toEqual(["device.onNameChanged"]);
+  expect(fireboltOpenRpc.getSubscribersForProperty("device.id")).toEqual([]);
+});
+
+test(`fireboltOpenRpc.testExports.generateExampleFromSchema works properly`, () => {
+  const generate = fireboltOpenRpc.testExports.generateExampleFromSchema;
+  expect(generate({ type: "string" })).toBe("example");
+  expect(generate({ type: "string", enum: ["wifi", "ethernet"] })).toBe("wifi");
+  expect(generate({ type: "integer", minimum: 3 })).toBe(3);
+  expect(generate({ type: ["null", "boolean"] })).toBe(true);
+  expect(generate({
+    anyOf: [
+      { title: "ListenResponse", type: "object", properties: { listening: { type: "boolean" } } },
+      {
+        type: "object",
+        properties: {
+          state: { type: "string", enum: ["connected", "disconnected"] },
+          speeds: { type: "array", items: { type: "number", exclusiveMinimum: 0 }, minItems: 2 },
+        },
+      },
+    ],
+  })).toEqual({ state: "connected", speeds: [1, 1] });
+  expect(generate({ allOf: [{ type: "object", properties: { a: { const: 1 } } }, { properties: { b: { default: "x" } } }] })).toEqual({ a: 1, b: "x" });
+  expect(generate(undefined)).toBeUndefined();
+});
+
+test(`fireboltOpenRpc.getExampleValueForEvent works properly`, () => {
+  fireboltOpenRpc.testExports.methodMaps["core"] = {
+    "device.onNameChanged": {
+      name: "device.onNameChanged",
+      result: { name: "value", schema: { type: "string" } },
+      examples: [{ name: "Default", result: { name: "Default Result", value: "Living Room" } }],
+    },
+    "device.onHdrChanged": {
+      name: "device.onHdrChanged",
+      result: { name: "value", schema: { type: "object", properties: { hdr10: { type: "boolean" } } } },
+    },
+  };
+  expect(fireboltOpenRpc.getExampleValueForEvent("device.onNameChanged")).toBe("Living Room");
+  expect(fireboltOpenRpc.getExampleValueForEvent("device.onHdrChanged")).toEqual({ hdr10: true });
+  expect(fireboltOpenRpc.getExampleValueForEvent("device.onUnknown")).toBeUndefined();
+});
@@ -0,0 +1,97 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Latency profiles: Tests
+
+"use strict";
+
+import { jest } from "@jest/globals";
+import * as latency from "../../src/latency.mjs";
+
+test(`latency.getProfileForMethod prefers per-method, then per-module, then global profiles`, () => {
+  const oLatency = {
+    min: 1, max: 2,
+    device: { type: "fixed", value: 10 },
+    "device.type": { type: "fixed", value: 20 },
+    lifecycle: { ready: { type: "fixed", value: 30 } },
+  };
+  expect(latency.getProfileForMethod(oLatency, "device.type")).toEqual({ type: "fixed", value: 20 });
+  expect(latency.getProfileForMethod(oLatency, "device.id")).toEqual({ type: "fixed", value: 10 });
+  expect(latency.getProfileForMethod(oLatency, "lifecycle.ready")).toEqual({ type: "fixed", value: 30 });
+  expect(latency.getProfileForMethod(oLatency, "lifecycle.close")).toEqual({ min: 1, max: 2 });
+  expect(latency.getProfileForMethod(oLatency, "accessibility.closedCaptions")).toEqual({ min: 1, max: 2 });
+  expect(latency.getProfileForMethod(undefined, "device.id")).toBeUndefined();
+});
+
+test(`latency.sampleDelay works properly for each profile type`, () => {
+  expect(latency.sampleDelay({ min: 3, max: 3 })).toBe(3);
+  expect(latency.sampleDelay({})).toBe(0);
+  expect(latency.sampleDelay({ type: "fixed", value: 150 })).toBe(150);
+  for ( let ii = 0; ii < 20; ii += 1 ) {
+    const uniform = latency.sampleDelay({ type: "uniform", min: 10, max: 20 });
+    expect(uniform).toBeGreaterThanOrEqual(10);
+    expect(uniform).toBeLessThanOrEqual(20);
+    const normal = latency.sampleDelay({ type: "normal", mean: 5, stddev: 50 });
+    expect(Number.isInteger(normal)).toBe(true);
+    expect(normal).toBeGreaterThanOrEqual(0);
+    const percentile = latency.sampleDelay({ type: "percentile", p50: 100, p95: 400, p99: 900 });
+    expect(percentile).toBeGreaterThanOrEqual(0);
+    expect(percentile).toBeLessThanOrEqual(900);
+  }
+});
+
+test(`latency.testExports.samplePercentiles interpolates between percentiles`, () => {
+  const spy = jest.spyOn(Math, "random");
+  const profile = { type: "percentile", p0: 20, p50: 100, p95: 400, p99: 900 };
+  spy.mockReturnValue(0.25);
+  expect(latency.testExports.samplePercentiles(profile)).toBe(60);
+  spy.mockReturnValue(0.5);
+  expect(latency.testExports.samplePercentiles(profile)).toBe(100);
+  spy.mockReturnValue(0.97);
+  expect(latency.testExports.samplePercentiles(profile)).toBeCloseTo(650);
+  spy.mockReturnValue(0.999);
+  expect(latency.testExports.samplePercentiles(profile)).toBe(900);
+  spy.mockRestore();
+});
+
+test(`latency.validateLatency works properly`, () => {
+  expect(latency.validateLatency({ min: 0, max: 0 })).toEqual([]);
+  expect(latency.validateLatency({
+    type: "normal", mean: 100, stddev: 20,
+    device: { type: "percentile", p50: 10, p99: 50 },
+    "device.type": { min: 1, max: 2 },
+  })).toEqual([]);
+  expect(latency.validateLatency("fast")).toHaveLength(1);
+  expect(latency.validateLatency({ type: "gaussian" })[0]).toMatch(/unknown type 'gaussian'/);
+  expect(latency.validateLatency({ type: "fixed" })[0]).toMatch(/missing 'value'/);
+  expect(latency.validateLatency({ "device.type": { min: 5, max: 1 } })[0]).toMatch(/for method device.type/);
+  expect(latency.validateLatency({ device: { type: "fixed", value: -1 } })[0]).toMatch(/for module device has an invalid 'value'/);
+  expect(latency.validateLatency({ device: { type: { min: 3000 } } })).toEqual([]);
+  expect(latency.validateLatency({ device: { type: { type: "normal", mean: 1 } } })[0]).toMatch(/for method device.type of type 'normal' is missing 'stddev'/);
+});
+
+test(`latency.mergeLatency replaces profiles rather than merging them`, () => {
+  const oldLatency = { type: "normal", mean: 100, stddev: 20, "device.type": { min: 1, max: 2 } };
+  expect(latency.mergeLatency(oldLatency, { min: 5, max: 6 })).toEqual({
+    min: 5, max: 6, "device.type": { min: 1, max: 2 },
+  });
+  expect(latency.mergeLatency(oldLatency, { "device.type": { type: "fixed", value: 3 } })).toEqual({
+    type: "normal", mean: 100, stddev: 20, "device.type": { type: "fixed", value: 3 },
+  });
+  expect(latency.mergeLatency(undefined, { min: 1, max: 1 })).toEqual({ min: 1, max: 1 });
+});
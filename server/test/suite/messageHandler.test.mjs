@@ -27,6 +27,8 @@ import * as fireboltOpenRpc from "../../src/fireboltOpenRpc.mjs";
 import { methodTriggers } from "../../src/triggers.mjs";
 import { config } from "../../src/config.mjs";
 import * as userManagement from "../../src/userManagement.mjs";
+import * as stateManagement from "../../src/stateManagement.mjs";
+import * as shadow from "../../src/shadow.mjs";
 
 test(`messageHandler.handleMessage works properly and return when message doesn't have any id`, async () => {
   const spy = jest.spyOn(logger, "info");
@@ -278,6 +280,124 @@ test(`messageHandler.handleMessage works properly for developerNotes`, async ()
   expect(resultFour).toBeUndefined();
 });
 
+test(`messageHandler.handleMessage works properly for batch requests`, async () => {
+  fireboltOpenRpc.testExports.methodMaps["core"] = {
+    "lifecycle.onInactive": {
+      name: "lifecycle.onInactive",
+      summary: "Firebolt OpenRPC schema",
+      params: [],
+      result: {
+        name: "OpenRPC Schema",
+        schema: {
+          type: "object",
+        },
+      },
+    },
+    "rpc.discover": {
+      name: "rpc.discover",
+      summary: "Firebolt OpenRPC schema",
+      params: [],
+      result: {
+        name: "OpenRPC Schema",
+        schema: {
+          type: "object",
+        },
+      },
+    },
+  };
+  delete methodTriggers["rpc.discover"];
+
+  const sendSpy = jest.fn();
+  const dummyBatchMsg = JSON.stringify([
+    { jsonrpc: "2.0", method: "rpc.discover", params: {}, id: 7 },
+    { jsonrpc: "2.0", method: "rpc.discover", params: {} },
+    { jsonrpc: "2.0", method: "invalidMethod", params: {}, id: 8 },
+    { jsonrpc: "2.0", method: "lifecycle.onInactive", params: { listen: true }, id: 9 },
+    1,
+  ]);
+  await messageHandler.handleMessage(dummyBatchMsg, "12345", { send: sendSpy });
+
+  expect(sendSpy).toHaveBeenCalledTimes(1);
+  const responses = JSON.parse(sendSpy.mock.calls[0][0]);
+  expect(responses.map((response) => response.id)).toEqual([7, 8, 9, null]);
+  expect(responses[0]).not.toHaveProperty("error");
+  expect(responses[1].error.code).toBe(-32601);
+  expect(responses[2].result).toEqual({ listening: true, event: "lifecycle.onInactive" });
+  expect(responses[3].error.code).toBe(-32600);
+});
+
+test(`messageHandler.handleMessage works properly for batch requests with only notifications`, async () => {
+  const sendSpy = jest.fn();
+  const dummyBatchMsg = JSON.stringify([
+    { jsonrpc: "2.0", method: "rpc.discover", params: {} },
+  ]);
+  await messageHandler.handleMessage(dummyBatchMsg, "12345", { send: sendSpy });
+  expect(sendSpy).not.toHaveBeenCalled();
+});
+
+test(`messageHandler.handleMessage works properly for an empty batch`, async () => {
+  const sendSpy = jest.fn();
+  await messageHandler.handleMessage("[]", "12345", { send: sendSpy });
+  expect(sendSpy).toHaveBeenCalledTimes(1);
+  const response = JSON.parse(sendSpy.mock.calls[0][0]);
+  expect(response.id).toBeNull();
+  expect(response.error.code).toBe(-32600);
+});
+
+test(`messageHandler.handleMessage injects faults into responses`, async () => {
+  const sendSpy = jest.fn();
+  stateManagement.setMethodFault("12345", "rpc.discover", { type: "duplicate" });
+  await messageHandler.handleMessage('{"jsonrpc": "2.0", "method": "rpc.discover", "params": {}, "id": 11}', "12345", { send: sendSpy });
+  expect(sendSpy).toHaveBeenCalledTimes(2);
+  expect(JSON.parse(sendSpy.mock.calls[1][0]).id).toBe(11);
+
+  sendSpy.mockClear();
+  stateManagement.setMethodFault("12345", "rpc.discover", { type: "drop" });
+  const dummyBatchMsg = JSON.stringify([
+    { jsonrpc: "2.0", method: "rpc.discover", params: {}, id: 12 },
+    { jsonrpc: "2.0", method: "invalidMethod", params: {}, id: 13 },
+  ]);
+  await messageHandler.handleMessage(dummyBatchMsg, "12345", { send: sendSpy });
+  expect(JSON.parse(sendSpy.mock.calls[0][0]).map((response) => response.id)).toEqual([13]);
+
+  stateManagement.clearMethodFault("12345", "rpc.discover");
+  expect(stateManagement.getFault("12345", "rpc.discover")).toBeUndefined();
+});
+
+test(`messageHandler.handleMessage shadows the response the app gets, after any post trigger`, async () => {
+  const sendSpy = jest.fn();
+  process.env.proxy = true;
+  delete process.env.proxyServerIP; // So the shadowed call fails fast, without a proxy server
+  config.shadow = true;
+  methodTriggers["rpc.discover"] = { post: () => "triggered" };
+  await messageHandler.handleMessage('{"jsonrpc": "2.0", "method": "rpc.discover", "params": {}, "id": 21}', "12345", { send: sendSpy });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  expect(JSON.parse(sendSpy.mock.calls[0][0]).result).toBe("triggered");
+  const comparisons = shadow.getShadowReport("12345").comparisons;
+  expect(comparisons).toHaveLength(1);
+  expect(comparisons[0]).toMatchObject({ method: "rpc.discover", mock: { result: "triggered" }, status: "failed" });
+
+  delete process.env.proxy;
+  delete config.shadow;
+  delete methodTriggers["rpc.discover"];
+  shadow.clearShadowReport("12345");
+});
+
+test(`messageHandler.handleMessage drops responses from the app which no request is waiting for`, async () => {
+  const sendSpy = jest.fn();
+  const spy = jest.spyOn(logger, "info");
+  await messageHandler.handleMessage('{"jsonrpc": "2.0", "id": 9999, "result": null}', "12345", { send: sendSpy });
+  await messageHandler.handleMessage('{"jsonrpc": "2.0", "id": 9998, "error": { "code": -32601, "message": "Nope" }}', "12345", { send: sendSpy });
+  expect(sendSpy).not.toHaveBeenCalled();
+  expect(spy).toHaveBeenCalledWith(expect.stringMatching(/Dropping response from the app with id 9999/));
+
+  // Messages with neither a method nor a result or error still get an error reply
+  await messageHandler.handleMessage('{"jsonrpc": "2.0", "id": 9997}', "12345", { send: sendSpy });
+  expect(sendSpy).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(sendSpy.mock.calls[0][0]).id).toBe(9997);
+});
+
 test(`messageHandler.fSuccess works properly`, () => {
   const spy = jest.spyOn(logger, "info");
   messageHandler.testExports.fSuccess("", "", { id: "1" });
@@ -0,0 +1,71 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+// Provider simulation: Tests
+
+"use strict";
+
+import * as providers from "../../src/providers.mjs";
+import * as fireboltOpenRpc from "../../src/fireboltOpenRpc.mjs";
+import * as userManagement from "../../src/userManagement.mjs";
+import * as appRequests from "../../src/appRequests.mjs";
+import * as commonErrors from "../../src/commonErrors.mjs";
+
+// Method names are case-agnostic (config.app.caseInsensitiveModules), so the method map keys are lowercase
+function mockToAppMethods() {
+  fireboltOpenRpc.testExports.methodMaps["coreToApp"] = {
+    "keyboard.standard": {
+      name: "keyboard.standard",
+      params: [{ name: "message", required: true, schema: { type: "string" } }],
+      result: { name: "value", schema: { type: "string" } },
+      examples: [{ params: [{ name: "message", value: "Enter a name" }], result: { value: "Living Room" } }],
+    },
+  };
+}
+
+test(`providers.validateProviderCall works properly`, () => {
+  mockToAppMethods();
+  expect(providers.validateProviderCall("Keyboard.standard", { message: "Enter a name" })).toEqual([]);
+  expect(providers.validateProviderCall("Keyboard.standard", undefined)).toHaveLength(1);
+  expect(providers.validateProviderCall("Keyboard.standard", [ "Enter a name" ])).toHaveLength(1);
+  expect(providers.validateProviderCall("Keyboard.standard", { message: 42 })).toEqual([ "params should be string" ]);
+  expect(providers.validateProviderCall("device.name", {})[0]).toMatch(/not a method apps provide/);
+  expect(providers.validateProviderCall("Keyboard.standard", { message: "Enter a name" }, 5000)).toEqual([]);
+  [ "abc", "5000", 0, -1, NaN, Infinity, null ].forEach((timeoutMs) => {
+    expect(providers.validateProviderCall("Keyboard.standard", { message: "Enter a name" }, timeoutMs)[0]).toMatch(/timeoutMs must be a positive number/);
+  });
+});
+
+test(`providers.callProvider calls the app and validates its response`, async () => {
+  mockToAppMethods();
+  const sent = [];
+  const ws = { send: (message) => sent.push(JSON.parse(message)) };
+  userManagement.testExports.associateUserWithWs("providerUser", ws);
+
+  const pending = providers.callProvider("providerUser", "Keyboard.standard", undefined, 5000);
+  await new Promise(process.nextTick);
+  expect(sent).toHaveLength(1);
+  expect(sent[0]).toMatchObject({ jsonrpc: "2.0", method: "Keyboard.standard", params: { message: "Enter a name" } });
+  appRequests.handleResponse(ws, { jsonrpc: "2.0", id: sent[0].id, result: 42 });
+  const call = await pending;
+  expect(call.response).toMatchObject({ status: "acked", result: 42 });
+  expect(call.errors).toEqual([ "result should be string" ]);
+
+  await expect(providers.callProvider("providerUser", "Keyboard.standard", { message: 42 })).rejects.toBeInstanceOf(commonErrors.DataValidationError);
+  await expect(providers.callProvider("providerUser", "Keyboard.standard", { message: "Enter a name" }, "abc")).rejects.toBeInstanceOf(commonErrors.DataValidationError);
+  expect(await providers.callProvider("noSuchUser", "Keyboard.standard", { message: "Enter a name" })).toBeUndefined();
+});
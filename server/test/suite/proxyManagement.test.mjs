@@ -3,6 +3,21 @@
 import { jest } from "@jest/globals";
 import * as proxyManagement from "../../src/proxyManagement.mjs";
 import * as userManagement from "../../src/userManagement.mjs";
+import { config } from "../../src/config.mjs";
+import { WebSocketServer } from "ws";
+
+// A stand-in proxy server on a free port; respond(ws, oMsg) is called for each message it receives
+function startProxyServer(respond) {
+    return new Promise((resolve) => {
+        const wss = new WebSocketServer({ port: 0 });
+        wss.requests = [];
+        wss.on("connection", (ws, request) => {
+            wss.requests.push(request);
+            ws.on("message", (data) => respond(ws, JSON.parse(data.toString())));
+        });
+        wss.on("listening", () => resolve(wss));
+    });
+}
 
 jest.setTimeout(80 * 1000)
 describe('sequentially run tests', () => {
@@ -49,6 +64,94 @@ describe('sequentially run tests', () => {
         }
     });
 
+    test(`proxyManagement.buildWSUrl supports full ws:// and wss:// URLs`, () => {
+        process.env.proxyServerIP = "192.168.0.100"
+        expect(proxyManagement.testExports.buildWSUrl()).toBe("ws://192.168.0.100:9998/jsonrpc");
+        process.env.proxyServerIP = "wss://gateway.test:8443/firebolt/jsonrpc"
+        expect(proxyManagement.testExports.buildWSUrl()).toBe("wss://gateway.test:8443/firebolt/jsonrpc");
+        process.env.MF_TOKEN = "abcd"
+        process.env.proxyServerIP = "wss://gateway.test/firebolt?device=1"
+        expect(proxyManagement.testExports.buildWSUrl()).toBe("wss://gateway.test/firebolt?device=1&token=abcd");
+        clearEnvs()
+    });
+
+    test(`proxyManagement.sendRequest sends headers and matches concurrent responses to calls`, async () => {
+        const pending = [];
+        const wss = await startProxyServer((ws, oMsg) => {
+            // Respond to the calls in reverse order, after an event
+            pending.push(oMsg);
+            if (pending.length === 2) {
+                ws.send(JSON.stringify({ jsonrpc: "2.0", method: "device.onNameChanged", params: { value: "Kitchen" } }));
+                pending.reverse().forEach((oCall) => ws.send(JSON.stringify({ jsonrpc: "2.0", id: oCall.id, result: oCall.method })));
+            }
+        });
+        process.env.proxyServerIP = `ws://localhost:${wss.address().port}/custom/path`
+        config.proxy.headers = { Authorization: "Bearer xyz" };
+        const returnWs = { send: jest.fn(), readyState: 1, once: jest.fn() };
+
+        const responses = await Promise.all([
+            proxyManagement.sendRequest(returnWs, JSON.stringify({ jsonrpc: "2.0", id: 1, method: "device.id" }), "12345"),
+            proxyManagement.sendRequest(returnWs, JSON.stringify({ jsonrpc: "2.0", id: 2, method: "device.name" }), "12345")
+        ]);
+        expect(responses.map((response) => JSON.parse(response).result)).toEqual(["device.id", "device.name"]);
+        expect(returnWs.send).toHaveBeenCalledTimes(1);
+        expect(wss.requests).toHaveLength(1);
+        expect(wss.requests[0].url).toBe("/custom/path");
+        expect(wss.requests[0].headers.authorization).toBe("Bearer xyz");
+
+        returnWs.readyState = 3;
+        proxyManagement.testExports.wsMap.get(returnWs).close();
+        config.proxy.headers = {};
+        await new Promise((resolve) => wss.close(resolve));
+        clearEnvs()
+    });
+
+    test(`proxyManagement.sendRequest forwards events which carry the registration call's id`, async () => {
+        const wss = await startProxyServer((ws, oMsg) => {
+            // Firebolt 1.x style: The event has the id of the registration call (and no method), after its response
+            ws.send(JSON.stringify({ jsonrpc: "2.0", id: oMsg.id, result: { listening: true, event: oMsg.method } }));
+            ws.send(JSON.stringify({ jsonrpc: "2.0", id: oMsg.id, result: "Kitchen" }));
+        });
+        process.env.proxyServerIP = `localhost:${wss.address().port}`
+        let eventReceived;
+        const pEvent = new Promise((resolve) => { eventReceived = resolve; });
+        const returnWs = { send: jest.fn((message) => eventReceived(message)), readyState: 1, once: jest.fn() };
+        const command = JSON.stringify({ jsonrpc: "2.0", id: 5, method: "device.onNameChanged", params: { listen: true } });
+
+        expect(JSON.parse(await proxyManagement.sendRequest(returnWs, command, "12345")).result.listening).toBe(true);
+        expect(JSON.parse(await pEvent)).toEqual({ jsonrpc: "2.0", id: 5, result: "Kitchen" });
+        expect(returnWs.send).toHaveBeenCalledTimes(1);
+
+        returnWs.readyState = 3;
+        proxyManagement.testExports.wsMap.get(returnWs).close();
+        await new Promise((resolve) => wss.close(resolve));
+        clearEnvs()
+    });
+
+    test(`proxyManagement.sendRequest reconnects after the proxy connection drops`, async () => {
+        const wss = await startProxyServer((ws, oMsg) => {
+            ws.send(JSON.stringify({ jsonrpc: "2.0", id: oMsg.id, result: "ok" }));
+        });
+        process.env.proxyServerIP = `localhost:${wss.address().port}`
+        const savedReconnect = config.proxy.reconnect;
+        config.proxy.reconnect = { maxAttempts: 3, initialDelayMs: 10, maxDelayMs: 20 };
+        const returnWs = { send: jest.fn(), readyState: 1, once: jest.fn() };
+        const command = JSON.stringify({ jsonrpc: "2.0", id: 1, method: "device.id" });
+
+        expect(JSON.parse(await proxyManagement.sendRequest(returnWs, command, "12345")).result).toBe("ok");
+        const closed = new Promise((resolve) => proxyManagement.testExports.wsMap.get(returnWs).once("close", resolve));
+        wss.clients.forEach((ws) => ws.terminate());
+        await closed;
+        expect(JSON.parse(await proxyManagement.sendRequest(returnWs, command, "12345")).result).toBe("ok");
+        expect(wss.requests).toHaveLength(2);
+
+        returnWs.readyState = 3;
+        proxyManagement.testExports.wsMap.get(returnWs).close();
+        config.proxy.reconnect = savedReconnect;
+        await new Promise((resolve) => wss.close(resolve));
+        clearEnvs()
+    });
+
     test(`proxyManagement.deleteWsOfUser works properly`, () => {
 
         const dummyWebSocketOne = { send: () => { } };
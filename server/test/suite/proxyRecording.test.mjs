@@ -0,0 +1,98 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+// Proxy recording: Tests
+
+"use strict";
+
+import fs from "fs";
+import path from "path";
+import tmp from "tmp";
+import * as proxyRecording from "../../src/proxyRecording.mjs";
+import { config } from "../../src/config.mjs";
+
+function call(id, method, params) {
+  return JSON.stringify({ jsonrpc: "2.0", id, method, params });
+}
+
+function response(id, key, val) {
+  return JSON.stringify({ jsonrpc: "2.0", id, [key]: val });
+}
+
+test(`proxyRecording.redact works properly`, () => {
+  const { redact, REDACTED_VALUE } = proxyRecording.testExports;
+  expect(redact("1234-5678", "device.id")).toBe(REDACTED_VALUE);
+  expect(redact("1234-5678", "Device.Id")).toBe(REDACTED_VALUE);
+  expect(redact({ value: "x", Token: "abc", nested: [{ deviceId: 1 }] }, "authentication.session")).toEqual({
+    value: "x", Token: REDACTED_VALUE, nested: [{ deviceId: REDACTED_VALUE }],
+  });
+});
+
+test(`proxyRecording records responses and events as an override bundle`, () => {
+  const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+  const outputPath = tmpDir.name;
+  const previous = config.proxyRecording.outputPath;
+  config.proxyRecording.outputPath = outputPath;
+  try {
+    proxyRecording.recordResponse("recUser", call(1, "device.type", {}), response(1, "result", "STB"));
+    proxyRecording.recordResponse("recUser", call(2, "device.type", {}), response(2, "result", "STB"));
+    proxyRecording.recordResponse("recUser", call(3, "account.session", {}), response(3, "error", { code: -32601, message: "Nope" }));
+    proxyRecording.recordResponse("recUser", call(4, "account.session", {}), response(4, "result", { token: "abc" }));
+    proxyRecording.recordResponse("recUser", call(5, "device.onNameChanged", { listen: true }), response(5, "result", { listening: true }));
+    proxyRecording.recordEvent("recUser", JSON.stringify({ jsonrpc: "2.0", method: "device.nameChanged", params: "Kitchen" }));
+
+    const expected = {
+      methods: {
+        "device.type": { result: "STB" },
+        "account.session": { responses: [{ error: { code: -32601, message: "Nope" } }, { result: { token: "REDACTED" } }] },
+      },
+    };
+    expect(proxyRecording.getMockOverrides("recUser")).toEqual(expected);
+    expect(JSON.parse(fs.readFileSync(path.join(outputPath, "recUser", "mocks.json"), "utf8"))).toEqual(expected);
+    const eventFile = path.join(outputPath, "recUser", "events", "001-device.nameChanged.event.json");
+    expect(JSON.parse(fs.readFileSync(eventFile, "utf8"))).toEqual({ method: "device.nameChanged", result: "Kitchen" });
+  } finally {
+    config.proxyRecording.outputPath = previous;
+    tmpDir.removeCallback();
+  }
+  proxyRecording.recordResponse("recUser", call(6, "device.model", {}), response(6, "result", "xi6"));
+  expect(proxyRecording.getMockOverrides("recUser").methods["device.model"]).toBeUndefined();
+});
+
+test(`proxyRecording records events which only have the id of their registration call`, () => {
+  const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+  const outputPath = tmpDir.name;
+  const previous = config.proxyRecording.outputPath;
+  config.proxyRecording.outputPath = outputPath;
+  try {
+    proxyRecording.recordResponse("recUser1x", call(7, "device.onNameChanged", { listen: true }), response(7, "result", { listening: true }));
+    proxyRecording.recordEvent("recUser1x", response(7, "result", "Kitchen"));
+    proxyRecording.recordEvent("recUser1x", response(99, "result", "Unknown")); // Not an event of any registration
+    proxyRecording.recordResponse("recUser1x", call(8, "device.onNameChanged", { listen: false }), response(8, "result", { listening: false }));
+    proxyRecording.recordEvent("recUser1x", response(7, "result", "Den"));
+
+    const eventsDir = path.join(outputPath, "recUser1x", "events");
+    expect(fs.readdirSync(eventsDir)).toEqual(["001-device.onNameChanged.event.json"]);
+    expect(JSON.parse(fs.readFileSync(path.join(eventsDir, "001-device.onNameChanged.event.json"), "utf8"))).toEqual({
+      method: "device.onNameChanged", result: "Kitchen",
+    });
+    expect(proxyRecording.getMockOverrides("recUser1x")).toEqual({ methods: {} });
+  } finally {
+    config.proxyRecording.outputPath = previous;
+    tmpDir.removeCallback();
+  }
+});
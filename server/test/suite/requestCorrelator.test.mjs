@@ -0,0 +1,69 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Request Correlation: Tests
+
+"use strict";
+
+import { jest } from "@jest/globals";
+import * as commonErrors from "../../src/commonErrors.mjs";
+import { createCorrelator } from "../../src/requestCorrelator.mjs";
+
+test(`requestCorrelator matches concurrent responses to their requests by id`, async () => {
+  const correlator = createCorrelator("the proxy");
+  const p1 = correlator.track(1, 1000);
+  const p2 = correlator.track("two", 1000);
+  expect(correlator.getPendingCount()).toBe(2);
+
+  expect(correlator.resolve("two", '{"id":"two","result":2}')).toBe(true);
+  expect(correlator.resolve(1, '{"id":1,"result":1}')).toBe(true);
+  expect(correlator.resolve(1, '{"id":1,"result":1}')).toBe(false);
+  await expect(p1).resolves.toBe('{"id":1,"result":1}');
+  await expect(p2).resolves.toBe('{"id":"two","result":2}');
+  expect(correlator.getPendingCount()).toBe(0);
+
+  const p3 = correlator.track(3, 1000);
+  await expect(correlator.track(3, 1000)).rejects.toThrow(/already waiting/);
+  correlator.resolve(3, "three");
+  await expect(p3).resolves.toBe("three");
+});
+
+test(`requestCorrelator rejects requests which time out`, async () => {
+  jest.useFakeTimers();
+  const correlator = createCorrelator("Conduit");
+  const p1 = correlator.track(1, 3000);
+  const p2 = correlator.track(2, 5000);
+  jest.advanceTimersByTime(3000);
+  await expect(p1).rejects.toThrow(commonErrors.RequestTimeoutError);
+  await expect(p1).rejects.toMatchObject({ code: -32603, message: "No response from Conduit within 3000ms" });
+  expect(correlator.getPendingCount()).toBe(1);
+  expect(correlator.resolve(1, "late")).toBe(false);
+  correlator.resolve(2, "two");
+  await expect(p2).resolves.toBe("two");
+  jest.useRealTimers();
+});
+
+test(`requestCorrelator.rejectAll rejects all pending requests`, async () => {
+  const correlator = createCorrelator("the proxy");
+  const p1 = correlator.track(1, 1000);
+  const p2 = correlator.track(2, 1000);
+  correlator.rejectAll(new Error("Connection closed"));
+  await expect(p1).rejects.toThrow("Connection closed");
+  await expect(p2).rejects.toThrow("Connection closed");
+  expect(correlator.getPendingCount()).toBe(0);
+});
@@ -0,0 +1,56 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Routing Rules: Tests
+
+"use strict";
+
+import * as routing from "../../src/routing.mjs";
+
+test(`routing.getRouteForMethod works properly`, () => {
+  const oRouting = {
+    "*": "mock",
+    "authentication.*": "proxy",
+    "discovery.*": "conduit",
+    "discovery.launch": "mock",
+    "discovery.watch*": "proxy",
+  };
+  expect(routing.getRouteForMethod(oRouting, "authentication.token")).toBe("proxy");
+  expect(routing.getRouteForMethod(oRouting, "Authentication.token")).toBe("proxy");
+  expect(routing.getRouteForMethod(oRouting, "discovery.entityInfo")).toBe("conduit");
+  expect(routing.getRouteForMethod(oRouting, "discovery.launch")).toBe("mock");
+  expect(routing.getRouteForMethod(oRouting, "discovery.watched")).toBe("proxy");
+  expect(routing.getRouteForMethod(oRouting, "lifecycle.ready")).toBe("mock");
+  expect(routing.getRouteForMethod({ "device.*": "proxy" }, "lifecycle.ready")).toBeUndefined();
+  expect(routing.getRouteForMethod({ "device.*": "proxy" }, "deviceXid")).toBeUndefined();
+  expect(routing.getRouteForMethod(undefined, "device.id")).toBeUndefined();
+});
+
+test(`routing.validateRouting works properly`, () => {
+  expect(routing.validateRouting({ "lifecycle.*": "mock", "device.id": null })).toEqual([]);
+  expect(routing.validateRouting([])).toHaveLength(1);
+  expect(routing.validateRouting({ "lifecycle.*": "real" })[0]).toMatch(/unknown route 'real'/);
+});
+
+test(`routing.mergeRouting replaces and removes rules`, () => {
+  const oldRouting = { "lifecycle.*": "mock", "authentication.*": "proxy" };
+  expect(routing.mergeRouting(oldRouting, { "lifecycle.*": "conduit", "authentication.*": null })).toEqual({
+    "lifecycle.*": "conduit",
+  });
+  expect(routing.mergeRouting(undefined, { "device.*": "proxy" })).toEqual({ "device.*": "proxy" });
+});
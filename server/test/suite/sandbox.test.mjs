@@ -0,0 +1,100 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Sandbox: Tests
+
+"use strict";
+
+import * as sandbox from "../../src/sandbox.mjs";
+import * as commonErrors from "../../src/commonErrors.mjs";
+import { config } from "../../src/config.mjs";
+
+const originalSandboxConfig = { ...config.sandbox };
+
+afterEach(() => {
+  config.sandbox = { ...originalSandboxConfig };
+});
+
+test(`sandbox.compileFunction works properly when the sandbox is disabled`, () => {
+  config.sandbox.enabled = false;
+  expect(sandbox.isSandboxEnabled()).toBe(false);
+  const fcn = sandbox.compileFunction("function f(ctx, params) { return params.a + 1; }", "f");
+  expect(fcn({}, { a: 1 })).toBe(2);
+});
+
+test(`sandbox.compileFunction throws right away for bad source code`, () => {
+  config.sandbox.enabled = true;
+  expect(() => sandbox.compileFunction("function f(ctx, params) { return ; ; }}", "f")).toThrow();
+});
+
+test(`sandbox.compileFunction runs functions in the sandbox and bridges ctx functions`, async () => {
+  config.sandbox.enabled = true;
+  const scratch = {};
+  const ctx = {
+    set: (key, val) => { scratch[key] = val; },
+    get: (key) => scratch[key],
+    logger: { info: () => {} },
+    setTimeout: setTimeout,
+    delay: () => {},
+    answer: 42,
+  };
+  const fcn = sandbox.compileFunction(
+    "async function f(ctx, params) { ctx.set('name', params.name); await ctx.delay(1); ctx.logger.info('hi'); return { name: ctx.get('name'), answer: ctx.answer, hasProcess: typeof process !== 'undefined' }; }",
+    "f"
+  );
+  const result = await fcn(ctx, { name: "Bob" });
+  expect(result).toEqual({ name: "Bob", answer: 42, hasProcess: false });
+  expect(scratch.name).toBe("Bob");
+});
+
+test(`sandbox.compileFunction maps FireboltError and other exceptions`, async () => {
+  config.sandbox.enabled = true;
+  const ctx = { FireboltError: commonErrors.FireboltError };
+  const fireboltErrorFcn = sandbox.compileFunction(
+    "function f(ctx, params) { throw new ctx.FireboltError(-32001, 'Nope'); }",
+    "f"
+  );
+  await expect(fireboltErrorFcn(ctx, {})).rejects.toMatchObject({ code: -32001, message: "Nope" });
+  await expect(fireboltErrorFcn(ctx, {})).rejects.toBeInstanceOf(commonErrors.FireboltError);
+
+  const exceptionFcn = sandbox.compileFunction("function f(ctx, params) { return require('fs'); }", "f");
+  await expect(exceptionFcn(ctx, {})).rejects.toBeInstanceOf(commonErrors.SandboxError);
+});
+
+test(`sandbox.compileFunction enforces the CPU time limit`, async () => {
+  config.sandbox.enabled = true;
+  const fcn = sandbox.compileFunction("function f(ctx, params) { while ( true ) {} }", "f");
+  await expect(fcn({}, {})).rejects.toThrow(/Exceeded CPU time limit/);
+});
+
+test(`sandbox.describeCtx works properly`, () => {
+  const meta = JSON.parse(
+    sandbox.testExports.describeCtx({
+      get: () => {},
+      logger: { info: () => {} },
+      setTimeout: setTimeout,
+      delay: () => {},
+      result: { a: 1 },
+    })
+  );
+  expect(meta.methods).toEqual(["get"]);
+  expect(meta.namespaces).toEqual({ logger: ["info"] });
+  expect(JSON.parse(meta.data)).toEqual({ result: { a: 1 } });
+  expect(meta.hasDelay).toBe(true);
+  expect(meta.hasFireboltError).toBe(false);
+});
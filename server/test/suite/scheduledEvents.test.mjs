@@ -0,0 +1,75 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+// Scheduled events: Tests
+
+"use strict";
+
+import { jest } from "@jest/globals";
+import * as scheduledEvents from "../../src/scheduledEvents.mjs";
+import * as events from "../../src/events.mjs";
+import * as fireboltOpenRpc from "../../src/fireboltOpenRpc.mjs";
+
+test(`scheduledEvents.getNextCronTime works properly`, () => {
+  const { parseCron, getNextCronTime } = scheduledEvents.testExports;
+  const from = new Date(2030, 0, 1, 10, 7, 30).getTime(); // Tue Jan 1 2030, 10:07:30 (local time)
+  expect(getNextCronTime(parseCron("*/15 * * * *"), from)).toBe(new Date(2030, 0, 1, 10, 15).getTime());
+  expect(getNextCronTime(parseCron("0 6 * * *"), from)).toBe(new Date(2030, 0, 2, 6, 0).getTime());
+  expect(getNextCronTime(parseCron("30 9 * * sat,sun"), from)).toBe(new Date(2030, 0, 5, 9, 30).getTime());
+  expect(getNextCronTime(parseCron("0 0 1 mar *"), from)).toBe(new Date(2030, 2, 1, 0, 0).getTime());
+  expect(getNextCronTime(parseCron("0 0 31 2 *"), from)).toBeUndefined();
+  expect(() => parseCron("0 6 * *")).toThrow(/Expected 5 fields/);
+  expect(() => parseCron("0 24 * * *")).toThrow(/Invalid hour field/);
+});
+
+test(`scheduledEvents.validateSchedule works properly`, () => {
+  const method = "authentication.onTokenChanged";
+  expect(scheduledEvents.validateSchedule({ method, intervalMs: 1000 })).toEqual([]);
+  expect(scheduledEvents.validateSchedule({ method, cron: "0 6 * * mon-fri", count: 5 })).toEqual([]);
+  expect(scheduledEvents.validateSchedule({ method, at: "{{+15s|x}}" })).toEqual([]);
+  expect(scheduledEvents.validateSchedule({ method, at: "2000-01-01T00:00:00Z" })[0]).toMatch(/in the past/);
+  expect(scheduledEvents.validateSchedule({ method, at: "tomorrow" })[0]).toMatch(/Invalid 'at' value/);
+  expect(scheduledEvents.validateSchedule({ method, intervalMs: 1000, cron: "* * * * *" })).toHaveLength(1);
+  expect(scheduledEvents.validateSchedule({ intervalMs: 0, count: 1.5 })).toHaveLength(3);
+});
+
+test(`scheduledEvents.scheduleEvent sends events until done or cancelled`, () => {
+  jest.useFakeTimers();
+  fireboltOpenRpc.testExports.methodMaps["core"] = {
+    "authentication.onTokenChanged": { name: "authentication.onTokenChanged", result: { schema: { type: "object" } } },
+  };
+  const ws = { send: jest.fn() };
+  events.registerEventListener("schedUser", { method: "authentication.onTokenChanged", registration: { id: 5 } }, ws);
+
+  const limited = scheduledEvents.scheduleEvent("schedUser", {
+    method: "authentication.onTokenChanged", result: { expires: "{{+1h|x}}" }, intervalMs: 1000, count: 2,
+  });
+  expect(limited).toMatchObject({ status: "scheduled", firedCount: 0 });
+  jest.advanceTimersByTime(3000);
+  expect(ws.send).toHaveBeenCalledTimes(2);
+  expect(JSON.parse(ws.send.mock.calls[0][0]).params.expires).toEqual(expect.any(Number));
+  expect(scheduledEvents.getSchedule("schedUser", limited.id)).toMatchObject({ status: "completed", firedCount: 2 });
+
+  const unlimited = scheduledEvents.scheduleEvent("schedUser", { method: "authentication.onTokenChanged", result: {}, intervalMs: 1000 });
+  jest.advanceTimersByTime(1000);
+  expect(scheduledEvents.cancelSchedule("schedUser", unlimited.id)).toMatchObject({ status: "cancelled", firedCount: 1 });
+  jest.advanceTimersByTime(5000);
+  expect(ws.send).toHaveBeenCalledTimes(3);
+  expect(scheduledEvents.getSchedules("schedUser")).toHaveLength(2);
+  expect(scheduledEvents.cancelSchedule("otherUser", unlimited.id)).toBeUndefined();
+  jest.useRealTimers();
+});
@@ -22,6 +22,9 @@
 
 import { jest } from "@jest/globals";
 import * as sequenceManagement from "../../src/sequenceManagement.mjs";
+import * as stateManagement from "../../src/stateManagement.mjs";
+import * as events from "../../src/events.mjs";
+import * as fireboltOpenRpc from "../../src/fireboltOpenRpc.mjs";
 
 jest.useFakeTimers();
 jest.spyOn(global, 'setTimeout');
@@ -43,4 +46,110 @@ test(`sequenceManagement.executeSequence works properly`, () => {
   }];
   sequenceManagement.executeSequence({}, 12345, dummySequenceEvents);
   expect(setTimeout).toHaveBeenCalled();
-});
\ No newline at end of file
+});
+test(`sequenceManagement.testExports.getStepTimes works properly`, () => {
+  const steps = [
+    { delay: 100, event: { method: "device.onNameChanged" } },
+    { at: 500, event: { method: "device.onNameChanged" } },
+    { delay: 50, event: { method: "device.onNameChanged" } },
+    { event: { method: "device.onNameChanged" } },
+  ];
+  expect(sequenceManagement.testExports.getStepTimes(steps)).toEqual([100, 500, 550, 0]);
+});
+
+test(`sequenceManagement.validateSequence works properly`, () => {
+  const steps = [{ at: 10, event: { method: "device.onNameChanged", result: "a" } }];
+  expect(sequenceManagement.validateSequence(steps, { loopCount: 3 })).toEqual([]);
+  expect(sequenceManagement.validateSequence([])).toHaveLength(1);
+  expect(sequenceManagement.validateSequence([{ at: -1, event: {} }])).toHaveLength(2);
+  expect(sequenceManagement.validateSequence([{ event: { method: "a.b" }, setState: {} }])[0]).toMatch(/exactly one of/);
+  expect(sequenceManagement.validateSequence([{ waitForCall: { method: "lifecycle.ready", timeout: 0 } }])[0]).toMatch(/invalid timeout/);
+  expect(sequenceManagement.validateSequence([{ assertCalled: { params: {} } }])[0]).toMatch(/assertCalled with a method/);
+  expect(sequenceManagement.validateSequence([{ waitForCall: { method: "lifecycle.ready" } }], { repeat: true })).toEqual([]);
+  expect(sequenceManagement.validateSequence(steps, { loopCount: 0 })[0]).toMatch(/loopCount/);
+  expect(sequenceManagement.validateSequence([{ event: { method: "device.onNameChanged" } }], { repeat: true })[0]).toMatch(/must take some time/);
+  expect(() => sequenceManagement.executeSequence({}, "12345", [])).toThrow();
+});
+
+test(`sequenceManagement.executeSequence loops and completes`, () => {
+  const steps = [
+    { at: 100, event: { method: "device.onNameChanged", result: "a" } },
+    { delay: 100, event: { method: "device.onNameChanged", result: "b" } },
+  ];
+  const sequence = sequenceManagement.executeSequence({}, "seqUser1", steps, { loopCount: 2, loopDelay: 50 });
+  expect(sequence).toMatchObject({ userId: "seqUser1", status: "running", loop: 1, loopCount: 2, stepCount: 2, sentCount: 0 });
+
+  jest.advanceTimersByTime(250);
+  expect(sequenceManagement.getSequence("seqUser1", sequence.id)).toMatchObject({ loop: 2, sentCount: 2 });
+  jest.advanceTimersByTime(200);
+  expect(sequenceManagement.getSequence("seqUser1", sequence.id)).toMatchObject({ status: "completed", sentCount: 4 });
+  expect(sequenceManagement.getSequences("seqUser1").map((seq) => seq.id)).toEqual([sequence.id]);
+  expect(sequenceManagement.getSequence("someoneElse", sequence.id)).toBeUndefined();
+});
+
+test(`sequenceManagement.cancelSequence stops a repeating sequence`, () => {
+  const steps = [{ at: 100, event: { method: "device.onNameChanged", result: "a" } }];
+  const sequence = sequenceManagement.executeSequence({}, "seqUser2", steps, { repeat: true });
+  jest.advanceTimersByTime(1000);
+  expect(sequenceManagement.getSequence("seqUser2", sequence.id)).toMatchObject({ status: "running", sentCount: 10 });
+
+  expect(sequenceManagement.cancelSequence("someoneElse", sequence.id)).toBeUndefined();
+  expect(sequenceManagement.cancelSequence("seqUser2", sequence.id)).toMatchObject({ status: "cancelled", sentCount: 10 });
+  jest.advanceTimersByTime(1000);
+  expect(sequenceManagement.getSequence("seqUser2", sequence.id).sentCount).toBe(10);
+});
+
+test(`sequenceManagement.executeSequence runs setState, waitForCall and assertCalled steps`, () => {
+  const steps = [
+    { waitForCall: { method: "lifecycle.ready" } },
+    { delay: 2000, setState: { scratch: { seqNetwork: "offline" } } },
+    { delay: 100, assertCalled: { method: "metrics.error", params: { type: "network" } } },
+  ];
+  const sequence = sequenceManagement.executeSequence({}, "12345", steps);
+  jest.advanceTimersByTime(10000);
+  expect(sequenceManagement.getSequence("12345", sequence.id)).toMatchObject({ status: "running", step: 0, waitingFor: "lifecycle.ready" });
+
+  sequenceManagement.notifyCall("12345", "device.id", {});
+  sequenceManagement.notifyCall("12345", "lifecycle.ready", {});
+  jest.advanceTimersByTime(2000);
+  expect(stateManagement.getScratch("12345", "seqNetwork")).toBe("offline");
+
+  sequenceManagement.notifyCall("12345", "metrics.error", { type: "network", code: "X" });
+  jest.advanceTimersByTime(100);
+  expect(sequenceManagement.getSequence("12345", sequence.id).status).toBe("completed");
+});
+
+test(`sequenceManagement.executeSequence fails on waitForCall timeouts and failed assertions`, () => {
+  const waitSequence = sequenceManagement.executeSequence({}, "12345", [{ waitForCall: { method: "lifecycle.ready", timeout: 500 } }]);
+  jest.advanceTimersByTime(500);
+  expect(sequenceManagement.getSequence("12345", waitSequence.id)).toMatchObject({ status: "failed" });
+  expect(sequenceManagement.getSequence("12345", waitSequence.id).failure).toMatch(/Timed out after 500ms waiting for a call to lifecycle.ready/);
+
+  sequenceManagement.notifyCall("12345", "metrics.error", { type: "media" });
+  const assertSequence = sequenceManagement.executeSequence({}, "12345", [{ assertCalled: { method: "metrics.error" } }]);
+  expect(sequenceManagement.getSequence("12345", assertSequence.id).failure).toMatch(/Expected a call to metrics.error/);
+  expect(sequenceManagement.testExports.isMatchingCall({ method: "a.b", params: { x: [1] } }, "a.b", { x: [1] })).toBe(true);
+  expect(sequenceManagement.testExports.isMatchingCall({ method: "a.b" }, "a.b", { x: 1 })).toBe(false);
+});
+
+test(`sequenceManagement.validateSequence validates event steps for a user`, () => {
+  fireboltOpenRpc.testExports.methodMaps["core"] = {
+    "device.onNameChanged": { name: "device.onNameChanged", result: { name: "value", schema: { type: "string" } } },
+    "lifecycle.onBackground": { name: "lifecycle.onBackground", result: { name: "value", schema: { type: "object" } } },
+  };
+  events.registerEventListener("seqUser4", { method: "device.onNameChanged" }, {});
+  const steps = [
+    { event: { method: "device.onNameChanged", result: "a" } },
+    { event: { method: "device.onNameChanged", result: 5 } },
+    { event: { method: "device.onUnknown", result: "a" } },
+    { event: { method: "lifecycle.onBackground", result: {} } },
+    { waitForCall: { method: "lifecycle.ready" } },
+    { event: { method: "lifecycle.onBackground", result: {} } },
+  ];
+  expect(sequenceManagement.validateSequence(steps)).toEqual([]);
+  const errors = sequenceManagement.validateSequence(steps, {}, "seqUser4");
+  expect(errors).toHaveLength(3);
+  expect(errors[0]).toMatch(/Step 1 of sequence has an invalid result for event device.onNameChanged/);
+  expect(errors[1]).toMatch(/Step 2 of sequence is for unknown event device.onUnknown/);
+  expect(errors[2]).toMatch(/Step 3 of sequence is for event lifecycle.onBackground, which is not registered/);
+});
@@ -553,6 +553,41 @@ test('verify updateCallWithResponse is working for server sessionOutput', () =>
   expect(result).toBeUndefined();
 });
 
+test('verify updateCallWithShadowDiff adds the comparison to the latest call of the method', () => {
+  const mockSessionHandler = {
+    close: jest.fn(),
+    write: jest.fn(),
+    open: jest.fn()
+  };
+
+  const mockSessionRecording = {
+    '12345': {
+      recording: true,
+      recordedSession: {
+        userId: '12345',
+        calls: [
+          { methodCall: 'device.name', params: {}, timestamp: 1694024718139, sequenceId: 11 },
+          { methodCall: 'device.name', params: {}, timestamp: 1694024718140, sequenceId: 12 }
+        ],
+        sessionOutput: 'live',
+        sessionOutputPath: 'ws://example.com',
+        mockOutputPath: 'ws://example.com',
+        sessionHandler: mockSessionHandler,
+        exportSession: jest.fn()
+      }
+    }
+  };
+
+  sessionManagement.testExports.setTestSessionRecording(mockSessionRecording);
+
+  const differences = [ { path: 'result', kind: 'value', mock: 'Living Room', real: 'Kitchen' } ];
+  sessionManagement.updateCallWithShadowDiff("device.name", { status: 'mismatch', real: { result: 'Kitchen' }, differences: differences }, userId);
+  const calls = mockSessionRecording['12345'].recordedSession.calls;
+  expect(calls[0].shadow).toBeUndefined();
+  expect(calls[1].shadow).toMatchObject({ status: 'mismatch', real: { result: 'Kitchen' }, differences: differences });
+  expect(mockSessionHandler.write).toHaveBeenCalledWith(JSON.stringify(calls[1]));
+});
+
 test('verify updateCallWithResponse is working for recording Events', () => {
   const mockSessionRecording = {
     '12345': {
@@ -0,0 +1,100 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Shadow Mode: Tests
+
+"use strict";
+
+import { jest } from "@jest/globals";
+import { WebSocketServer } from "ws";
+import * as shadow from "../../src/shadow.mjs";
+import * as proxyManagement from "../../src/proxyManagement.mjs";
+
+test(`shadow.diffValues works properly`, () => {
+  expect(shadow.diffValues({ result: { a: 1, b: [1, 2] } }, { result: { a: 1, b: [1, 2] } })).toEqual([]);
+  expect(shadow.diffValues({ result: { a: 1, b: "x", c: true } }, { result: { a: 2, b: 3, d: null } })).toEqual([
+    { path: "result.a", kind: "value", mock: 1, real: 2 },
+    { path: "result.b", kind: "type", mock: "x", real: 3 },
+    { path: "result.c", kind: "unexpected", mock: true },
+    { path: "result.d", kind: "missing", real: null },
+  ]);
+  expect(shadow.diffValues({ result: [1, 2] }, { result: [1] })).toEqual([{ path: "result[1]", kind: "unexpected", mock: 2 }]);
+  expect(shadow.diffValues({ result: {} }, { result: [] })).toEqual([{ path: "result", kind: "type", mock: {}, real: [] }]);
+  expect(shadow.diffValues({ result: "x" }, { error: { code: -32601 } })).toEqual([
+    { path: "result", kind: "unexpected", mock: "x" },
+    { path: "error", kind: "missing", real: { code: -32601 } },
+  ]);
+});
+
+test(`shadow.shadowCall compares mock and real responses and reports the differences`, async () => {
+  const wss = await new Promise((resolve) => {
+    const server = new WebSocketServer({ port: 0 });
+    server.on("connection", (ws) => {
+      ws.on("message", (data) => {
+        const oMsg = JSON.parse(data.toString());
+        ws.send(JSON.stringify({ jsonrpc: "2.0", id: oMsg.id, result: { name: "Kitchen", type: "tv" } }));
+      });
+    });
+    server.on("listening", () => resolve(server));
+  });
+  process.env.proxyServerIP = `localhost:${wss.address().port}`;
+  const returnWs = { send: jest.fn(), readyState: 1, once: jest.fn() };
+  const oMsg = { jsonrpc: "2.0", id: 7, method: "device.info" };
+
+  const mismatch = await shadow.shadowCall("shadowUser", oMsg, { result: { name: "Living Room", type: "tv" } }, "example", returnWs);
+  expect(mismatch).toMatchObject({
+    method: "device.info",
+    source: "example",
+    real: { result: { name: "Kitchen", type: "tv" } },
+    status: "mismatch",
+    differences: [{ path: "result.name", kind: "value", mock: "Living Room", real: "Kitchen" }],
+  });
+  const match = await shadow.shadowCall("shadowUser", { ...oMsg, id: 8 }, { result: { name: "Kitchen", type: "tv" } }, "example", returnWs);
+  expect(match.status).toBe("match");
+  expect(returnWs.send).not.toHaveBeenCalled();
+
+  const report = shadow.getShadowReport("shadowUser");
+  expect(report.summary).toEqual({ calls: 2, matched: 1, mismatched: 1, failed: 0 });
+  expect(report.methods["device.info"]).toMatchObject({ calls: 2, matched: 1, mismatched: 1, source: "example" });
+  expect(report.methods["device.info"].lastDifferences).toEqual(mismatch.differences);
+  expect(report.comparisons.map((cc) => cc.status)).toEqual(["mismatch", "match"]);
+
+  returnWs.readyState = 3;
+  proxyManagement.testExports.wsMap.get(returnWs).close();
+  await new Promise((resolve) => wss.close(resolve));
+  delete process.env.proxyServerIP;
+
+  shadow.clearShadowReport("shadowUser");
+  expect(shadow.getShadowReport("shadowUser").summary.calls).toBe(0);
+});
+
+test(`shadow.shadowCall reports calls which couldn't be passed through`, async () => {
+  delete process.env.proxyServerIP;
+  const comparison = await shadow.shadowCall("shadowUser2", { jsonrpc: "2.0", id: 1, method: "device.id" }, { result: "123" }, "override", {});
+  expect(comparison).toMatchObject({ source: "override", status: "failed", differences: [] });
+  expect(comparison.error).toMatch(/Proxy Url not found/);
+  expect(shadow.getShadowReport("shadowUser2").summary).toEqual({ calls: 1, matched: 0, mismatched: 0, failed: 1 });
+});
+
+test(`shadow.shadowCall doesn't shadow calls without an id`, async () => {
+  const returnWs = { send: jest.fn(), readyState: 1, once: jest.fn() };
+  expect(await shadow.shadowCall("shadowUser3", { jsonrpc: "2.0", method: "device.id" }, { result: "123" }, "example", returnWs)).toBeUndefined();
+  expect(await shadow.shadowCall("shadowUser3", { jsonrpc: "2.0", id: null, method: "device.id" }, { result: "123" }, "example", returnWs)).toBeUndefined();
+  expect(proxyManagement.testExports.wsMap.has(returnWs)).toBe(false);
+  expect(shadow.getShadowReport("shadowUser3").summary.calls).toBe(0);
+});
@@ -27,6 +27,8 @@ import {
   logger
 } from "../../src/logger.mjs";
 import * as stateManagement from "../../src/stateManagement.mjs";
+import * as fireboltOpenRpc from "../../src/fireboltOpenRpc.mjs";
+import * as events from "../../src/events.mjs";
 
 //jest.mock('stateManagement');
 
@@ -300,6 +302,67 @@ test(`stateManagement.revertState works properly`, () => {
   expect(spy1).toHaveBeenCalled();
 });
 
+test(`stateManagement snapshots work properly`, () => {
+  const userId = "snapshotUser";
+  stateManagement.addUser(userId);
+  stateManagement.setScratch(userId, "profile", "kids");
+  expect(stateManagement.saveSnapshot(userId, "kids").name).toBe("kids");
+  stateManagement.setScratch(userId, "profile", "lapsed");
+  expect(stateManagement.getSnapshots(userId).map((snapshot) => snapshot.name)).toEqual(["kids"]);
+
+  expect(stateManagement.restoreSnapshot(userId, "kids")).toBe(true);
+  expect(stateManagement.getScratch(userId, "profile")).toBe("kids");
+  // Changes after a restore don't alter the snapshot itself
+  stateManagement.setScratch(userId, "profile", "lapsed");
+  expect(stateManagement.restoreSnapshot(userId, "kids")).toBe(true);
+  expect(stateManagement.getScratch(userId, "profile")).toBe("kids");
+
+  expect(stateManagement.restoreSnapshot(userId, "missing")).toBe(false);
+  expect(stateManagement.deleteSnapshot(userId, "kids")).toBe(true);
+  expect(stateManagement.deleteSnapshot(userId, "kids")).toBe(false);
+  expect(stateManagement.getSnapshots(userId)).toEqual([]);
+  delete stateManagement.testExports.state[userId];
+});
+
+test(`stateManagement snapshots work properly for groups`, () => {
+  stateManagement.saveSnapshot("123~A", "groupSnapshot", "group");
+  expect(stateManagement.getSnapshots("~A").map((snapshot) => snapshot.name)).toEqual(["groupSnapshot"]);
+  expect(stateManagement.getSnapshots("123~A")).toEqual([]);
+  expect(stateManagement.deleteSnapshot("123~A", "groupSnapshot", "group")).toBe(true);
+});
+
+test(`stateManagement.isLegalSnapshotName works properly`, () => {
+  expect(stateManagement.isLegalSnapshotName("new-subscriber_1.0")).toBe(true);
+  expect(stateManagement.isLegalSnapshotName("../etc")).toBe(false);
+  expect(stateManagement.isLegalSnapshotName(undefined)).toBe(false);
+  expect(stateManagement.isLegalSnapshotName("__proto__")).toBe(false);
+  expect(stateManagement.isLegalSnapshotName("constructor")).toBe(false);
+  expect(stateManagement.isLegalSnapshotName("prototype")).toBe(false);
+});
+
+test(`stateManagement.isLegalSnapshotScope works properly`, () => {
+  stateManagement.addUser("scopeUser");
+  expect(stateManagement.isLegalSnapshotScope(undefined)).toBe(true);
+  expect(stateManagement.isLegalSnapshotScope("group")).toBe(true);
+  expect(stateManagement.isLegalSnapshotScope("global")).toBe(true);
+  expect(stateManagement.isLegalSnapshotScope("~A")).toBe(true);
+  expect(stateManagement.isLegalSnapshotScope("scopeUser")).toBe(true);
+  expect(stateManagement.isLegalSnapshotScope("unknownUser")).toBe(false);
+  expect(stateManagement.isLegalSnapshotScope("__proto__")).toBe(false);
+  expect(stateManagement.isLegalSnapshotScope("toString")).toBe(false);
+  expect(stateManagement.isLegalSnapshotScope(["global"])).toBe(false);
+});
+
+test(`stateManagement snapshots can't reach Object.prototype`, () => {
+  stateManagement.saveSnapshot("12345", "polluted", "__proto__");
+  expect(({}).polluted).toBeUndefined();
+  expect(stateManagement.restoreSnapshot("12345", "constructor", "toString")).toBe(false);
+  expect(stateManagement.restoreSnapshot("12345", "polluted", "__proto__")).toBe(false);
+  expect(Object.getPrototypeOf(stateManagement.testExports.state)).toBe(Object.prototype);
+  expect(stateManagement.testExports.snapshots.get("__proto__").has("polluted")).toBe(true);
+  expect(stateManagement.deleteSnapshot("12345", "polluted", "__proto__")).toBe(true);
+});
+
 test(`stateManagement.setLatency works properly`, () => {
   const userId = 12345,
     min = 3000,
@@ -417,24 +480,24 @@ test(`stateManagement.deleteScratch with scope works properly`, () => {
 });
 
 
-test(`stateManagement.handleStaticAndDynamicError works properly`, () => {
+test(`stateManagement.handleStaticAndDynamicError works properly`, async () => {
   const userId = "12345",
     methodName = "rpc.discover",
-    params = [],
+    params = { entitlementId: "bad-id" },
     resp1 = {
-      error: "function()12345"
+      error: "function f(ctx, params) { return { code: -32602, message: `Unknown entitlement ${params.entitlementId}` }; }"
     },
     resp2 = "test-elsePath";
   const expectedResult1 = {
-    result: "NOT-IMPLEMENTED-YET",
+    error: { code: -32602, message: "Unknown entitlement bad-id" },
   };
-  const result1 = stateManagement.testExports.handleStaticAndDynamicError(
+  const result1 = await stateManagement.testExports.handleStaticAndDynamicError(
     userId,
     methodName,
     params,
     resp1
   );
-  const result2 = stateManagement.testExports.handleStaticAndDynamicError(
+  const result2 = await stateManagement.testExports.handleStaticAndDynamicError(
     userId,
     methodName,
     params,
@@ -444,6 +507,36 @@ test(`stateManagement.handleStaticAndDynamicError works properly`, () => {
   expect(result2).toBe(resp2);
 });
 
+test(`stateManagement.handleStaticAndDynamicError works properly for invalid error values`, async () => {
+  const spy = jest.spyOn(logger, "error");
+  const userId = "12345",
+    methodName = "rpc.discover",
+    params = {},
+    resp1 = {
+      error: "function f(ctx, params) { return { message: 'No code' }; }"
+    },
+    resp2 = {
+      error: "function()12345"
+    };
+  const result1 = await stateManagement.testExports.handleStaticAndDynamicError(
+    userId,
+    methodName,
+    params,
+    resp1
+  );
+  const result2 = await stateManagement.testExports.handleStaticAndDynamicError(
+    userId,
+    methodName,
+    params,
+    resp2
+  );
+  expect(result1.error.code).toBe(-32603);
+  expect(result1.error.message).toBe("Internal error");
+  expect(result1.error.data.errors.length).toBe(1);
+  expect(result2).toEqual({ error: { code: -32603, message: "Internal error" } });
+  expect(spy).toHaveBeenCalled();
+});
+
 test(`stateManagement.validateMethodOverride works properly`, () => {
   const dummyMethodName = "rpc.discover",
     dummyMethodOverrideObject = [{
@@ -488,6 +581,123 @@ test(`stateManagement.validateMethodOverride works properly`, () => {
   });
 });
 
+test(`stateManagement.matchesWhen works properly`, () => {
+  const matchesWhen = stateManagement.testExports.matchesWhen;
+  const params = { key: "foo", scope: "device", options: { ttl: 60, tags: ["a", "b"] } };
+  expect(matchesWhen({}, params)).toBe(true);
+  expect(matchesWhen({ params: { key: "foo" } }, params)).toBe(true);
+  expect(matchesWhen({ params: { key: "foo", scope: "account" } }, params)).toBe(false);
+  expect(matchesWhen({ params: { missing: "foo" } }, params)).toBe(false);
+  expect(matchesWhen({ jsonPath: { "$.options.ttl": 60 } }, params)).toBe(true);
+  expect(matchesWhen({ jsonPath: { "$.options.tags": ["a", "b"] } }, params)).toBe(true);
+  expect(matchesWhen({ jsonPath: { "$.options.ttl": 61 } }, params)).toBe(false);
+  expect(matchesWhen({ regex: { key: "^f" } }, params)).toBe(true);
+  expect(matchesWhen({ regex: { "$.options.tags[*]": "^b$" } }, params)).toBe(true);
+  expect(matchesWhen({ params: { key: "foo" }, regex: { scope: "^acc" } }, params)).toBe(false);
+  expect(matchesWhen({ params: { key: "foo" } }, undefined)).toBe(false);
+});
+
+test(`stateManagement.getMethodResponse works properly with matchers`, async () => {
+  const methodName = "securestorage.get";
+  stateManagement.testExports.state["12345"] = {
+    global: { mode: "DEFAULT", latency: { min: 0, max: 0 } },
+    scratch: {},
+    methods: {
+      [methodName]: {
+        matchers: [
+          { when: { params: { key: "authToken" } }, result: "token-123" },
+          { when: { regex: { key: "^expired" } }, error: { code: -32001, message: "Expired" } },
+        ],
+        result: "fallback",
+      },
+    },
+    sequenceState: {},
+  };
+  expect(await stateManagement.getMethodResponse("12345", methodName, { key: "authToken" })).toEqual({ result: "token-123" });
+  expect(await stateManagement.getMethodResponse("12345", methodName, { key: "expiredToken" })).toEqual({
+    error: { code: -32001, message: "Expired" },
+  });
+  expect(await stateManagement.getMethodResponse("12345", methodName, { key: "other" })).toEqual({ result: "fallback" });
+  expect(stateManagement.hasOverride("12345", methodName)).toBe(true);
+
+  // Without a fallback, a call that matches nothing gets the static default
+  delete stateManagement.testExports.state["12345"].methods[methodName].result;
+  const resp = stateManagement.testExports.handleMatchers(
+    methodName, { key: "other" }, stateManagement.testExports.state["12345"].methods[methodName]
+  );
+  expect(resp).toBeUndefined();
+});
+
+test(`stateManagement.getMethodResponse works properly in stateful mode`, async () => {
+  fireboltOpenRpc.testExports.methodMaps["core"] = {
+    "closedcaptions.enabled": { name: "closedcaptions.enabled", tags: [{ name: "property" }] },
+    "closedcaptions.setEnabled": {
+      name: "closedcaptions.setEnabled",
+      tags: [{ name: "setter", "x-setter-for": "enabled" }],
+    },
+    "closedcaptions.onEnabledChanged": {
+      name: "closedcaptions.onEnabledChanged",
+      tags: [{ name: "subscriber", "x-subscriber-for": "enabled" }],
+      result: { name: "enabled", schema: { type: "boolean" } },
+    },
+  };
+  jest.useFakeTimers();
+  const userId = "statefulUser";
+  const ws = { send: jest.fn() };
+  stateManagement.addUser(userId);
+  stateManagement.setMode(userId, "stateful");
+  events.registerEventListener(userId, { method: "closedcaptions.onEnabledChanged", registration: { id: 1 } }, ws);
+
+  expect(await stateManagement.getMethodResponse(userId, "closedcaptions.setEnabled", { value: true }, ws)).toEqual({ result: undefined });
+  expect(await stateManagement.getMethodResponse(userId, "closedcaptions.enabled", {}, ws)).toEqual({ result: true });
+  jest.runAllTimers();
+  expect(ws.send).toHaveBeenCalledTimes(1);
+
+  // Setting the same value again doesn't fire the change event again
+  await stateManagement.getMethodResponse(userId, "closedcaptions.setEnabled", { value: true }, ws);
+  jest.runAllTimers();
+  expect(ws.send).toHaveBeenCalledTimes(1);
+
+  // Values are only used in stateful mode
+  stateManagement.setMode(userId, "default");
+  expect(await stateManagement.getMethodResponse(userId, "closedcaptions.enabled", {}, ws)).toEqual({ result: undefined });
+  delete stateManagement.testExports.state[userId];
+  jest.useRealTimers();
+});
+
+test(`stateManagement.getSetterValue works properly`, () => {
+  const getSetterValue = stateManagement.testExports.getSetterValue;
+  expect(getSetterValue({ value: "x" })).toBe("x");
+  expect(getSetterValue({ enabled: false })).toBe(false);
+  expect(getSetterValue([17])).toBe(17);
+  expect(getSetterValue(undefined)).toBeUndefined();
+});
+
+test(`stateManagement.validateMethodOverride works properly with matchers`, () => {
+  const validateMethodOverride = stateManagement.testExports.validateMethodOverride;
+  expect(validateMethodOverride("rpc.discover", {
+    matchers: [{ when: { params: { key: "foo" }, regex: { "$.key": "^f" } }, response: "function f(ctx, params) {}" }],
+  })).toEqual([]);
+  expect(validateMethodOverride("rpc.discover", { matchers: {} })).toEqual([
+    "ERROR: New state data for rpc.discover has a 'matchers' value which is not an array",
+  ]);
+  expect(validateMethodOverride("rpc.discover", {
+    matchers: [
+      { when: { params: { key: "foo" } } },
+      { when: { unknown: {} }, response: "" },
+      { when: { regex: { key: "(" } }, response: "" },
+      { when: { jsonPath: { "$..[": 1 } }, response: "" },
+      { response: "" },
+    ],
+  })).toEqual([
+    "ERROR: Matcher 0 for rpc.discover does not contain 'result', 'error' or 'response'; One is required",
+    "ERROR: Matcher 1 for rpc.discover contains unknown 'when' key 'unknown'; Expected one of params, jsonPath, regex",
+    "ERROR: Matcher 2 for rpc.discover has an invalid regular expression '(' for 'key'",
+    "ERROR: Matcher 3 for rpc.discover has an invalid JSONPath expression '$..['",
+    "ERROR: Matcher 4 for rpc.discover does not contain a 'when' object",
+  ]);
+});
+
 test(`stateManagement.getMethodResponse works properly`, async () => {
   //testing for resp=handleSequenceOfResponseValues(userId, methodName, params, resp,userState);
   const userIdArray = ["12345", "23456", "34567"],
@@ -841,4 +1051,22 @@ test(`stateManagement.logInvalidMethodError works properly`, () => {
 test(`stateManagement.mergeCustomizer works properly`, () => {
   const result = stateManagement.testExports.mergeCustomizer([], "dummy_value");
   expect(result).toBe("dummy_value");
-});
\ No newline at end of file
+});
+test(`stateManagement.setRouting, getRoute and clearRouting work properly`, () => {
+  stateManagement.addUser("4321");
+  stateManagement.setRouting("global", { "authentication.*": "proxy", "lifecycle.*": "mock" });
+  stateManagement.setRouting("4321", { "lifecycle.*": "conduit", "discovery.launch": "proxy" });
+  expect(stateManagement.getState("4321").routing).toEqual({
+    "authentication.*": "proxy",
+    "lifecycle.*": "conduit",
+    "discovery.launch": "proxy",
+  });
+  expect(stateManagement.getRoute("4321", "lifecycle.ready")).toBe("conduit");
+  expect(stateManagement.getRoute("4321", "device.id")).toBeUndefined();
+  expect(() => stateManagement.setRouting("4321", { "device.*": "real" })).toThrow();
+
+  stateManagement.clearRouting("4321");
+  expect(stateManagement.getRoute("4321", "lifecycle.ready")).toBe("mock");
+  expect(stateManagement.getRoute("4321", "authentication.token")).toBe("proxy");
+  stateManagement.setRouting("global", { "authentication.*": null, "lifecycle.*": null });
+});
@@ -0,0 +1,124 @@
+/*
+ * Copyright 2021 Comcast Cable Communications Management, LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// State Persistence: Tests
+
+"use strict";
+
+import fs from "fs";
+import path from "path";
+import tmp from "tmp";
+import { createRequire } from "module";
+import { jest } from "@jest/globals";
+import * as statePersistence from "../../src/statePersistence.mjs";
+import * as stateManagement from "../../src/stateManagement.mjs";
+import { config } from "../../src/config.mjs";
+import { logger } from "../../src/logger.mjs";
+
+let tmpDir;
+
+// better-sqlite3 is an optional dependency; SQLite tests are skipped if it isn't installed (or wasn't built for this Node.js)
+function isSqliteAvailable() {
+  try {
+    const Database = createRequire(import.meta.url)("better-sqlite3");
+    new Database(":memory:").close();
+    return true;
+  } catch (ex) {
+    return false;
+  }
+}
+const testIfSqlite = isSqliteAvailable() ? test : test.skip;
+
+beforeEach(() => {
+  tmpDir = tmp.dirSync({ unsafeCleanup: true });
+});
+
+afterEach(() => {
+  delete config.stateFile;
+  delete config.stateFileFormat;
+  tmpDir.removeCallback();
+});
+
+test(`statePersistence is disabled without a state file`, () => {
+  expect(statePersistence.isPersistenceEnabled()).toBe(false);
+  expect(statePersistence.loadState()).toBeUndefined();
+});
+
+test(`statePersistence.getFormat works properly`, () => {
+  config.stateFile = "/some/dir/state.json";
+  expect(statePersistence.testExports.getFormat()).toBe("json");
+  config.stateFile = "/some/dir/state.db";
+  expect(statePersistence.testExports.getFormat()).toBe("sqlite");
+  config.stateFileFormat = "JSON";
+  expect(statePersistence.testExports.getFormat()).toBe("json");
+});
+
+test(`statePersistence saves and loads JSON state files`, () => {
+  config.stateFile = path.join(tmpDir.name, "sub", "state.json");
+  expect(statePersistence.loadState()).toBeUndefined();
+  const stateObj = { "123~A": { methods: { "device.id": { result: "abc" } }, scratch: { a: 1 } } };
+  statePersistence.saveState(stateObj);
+  expect(JSON.parse(fs.readFileSync(config.stateFile, "utf8")).version).toBe(1);
+  expect(statePersistence.loadState()).toEqual(stateObj);
+});
+
+testIfSqlite(`statePersistence saves and loads SQLite state files`, () => {
+  config.stateFile = path.join(tmpDir.name, "state.db");
+  expect(statePersistence.loadState()).toBeUndefined();
+  const stateObj = {
+    "123~A": { methods: { "device.id": { result: "abc" } }, scratch: { a: 1 } },
+    global: { global: { mode: "BOX" } },
+  };
+  statePersistence.saveState(stateObj);
+  expect(statePersistence.loadState()).toEqual(stateObj);
+  // Saves replace (rather than add to) what was saved before
+  statePersistence.saveState({ "123~A": { scratch: { a: 2 } } });
+  expect(statePersistence.loadState()).toEqual({ "123~A": { scratch: { a: 2 } } });
+});
+
+test(`statePersistence.scheduleSave writes the latest state on flush`, () => {
+  config.stateFile = path.join(tmpDir.name, "state.json");
+  statePersistence.scheduleSave({ a: { scratch: { x: 1 } } });
+  statePersistence.scheduleSave({ a: { scratch: { x: 2 } } });
+  expect(fs.existsSync(config.stateFile)).toBe(false);
+  statePersistence.flush();
+  expect(statePersistence.loadState()).toEqual({ a: { scratch: { x: 2 } } });
+});
+
+test(`statePersistence.loadState logs and returns undefined for bad files`, () => {
+  config.stateFile = path.join(tmpDir.name, "state.json");
+  fs.writeFileSync(config.stateFile, '{"version": 99}');
+  const spy = jest.spyOn(logger, "error");
+  expect(statePersistence.loadState()).toBeUndefined();
+  expect(spy).toHaveBeenCalled();
+});
+
+test(`stateManagement.restorePersistedState works properly`, () => {
+  config.stateFile = path.join(tmpDir.name, "state.json");
+  expect(stateManagement.restorePersistedState()).toEqual([]);
+  statePersistence.saveState({
+    "999~Z": { global: { mode: "BOX", latency: { min: 1, max: 2 } }, methods: { "device.id": { result: "xyz", scope: "user" } } },
+  });
+  expect(stateManagement.restorePersistedState()).toEqual(["999~Z"]);
+  const userState = stateManagement.getState("999~Z", false);
+  expect(userState.methods["device.id"].result).toBe("xyz");
+  expect(userState.global.mode).toBe("BOX");
+  expect(userState.scratch).toEqual({});
+  expect(userState.sequenceState).toEqual({});
+  delete stateManagement.state["999~Z"];
+});